@@ -0,0 +1,162 @@
+const fs = require("fs");
+const { Readable } = require("stream");
+
+const BLOCK_SIZE = 512;
+const END_OF_ARCHIVE = Buffer.alloc(BLOCK_SIZE * 2);
+
+function writeOctal(header, value, offset, length) {
+  header.write(
+    value.toString(8).padStart(length - 1, "0") + "\0",
+    offset,
+    length,
+    "ascii",
+  );
+}
+
+function createHeader({ name, size, mtime = new Date(), mode = 0o644 }) {
+  const nameBytes = Buffer.byteLength(name);
+  if (nameBytes > 100) {
+    throw new Error(`Archive entry name is too long: ${name}`);
+  }
+  const header = Buffer.alloc(BLOCK_SIZE);
+  header.write(name, 0, 100, "utf8");
+  writeOctal(header, mode, 100, 8);
+  writeOctal(header, 0, 108, 8);
+  writeOctal(header, 0, 116, 8);
+  writeOctal(header, size, 124, 12);
+  writeOctal(header, Math.floor(mtime.getTime() / 1000), 136, 12);
+  header.fill(" ", 148, 156);
+  header.write("0", 156, 1, "ascii");
+  header.write("ustar\0", 257, 6, "ascii");
+  header.write("00", 263, 2, "ascii");
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(checksum.toString(8).padStart(6, "0") + "\0 ", 148, 8, "ascii");
+  return header;
+}
+
+function padding(size) {
+  const remainder = size % BLOCK_SIZE;
+  return remainder === 0 ? null : Buffer.alloc(BLOCK_SIZE - remainder);
+}
+
+async function* generateTar(entries) {
+  for await (const entry of entries) {
+    yield createHeader(entry);
+    let written = 0;
+    if (Buffer.isBuffer(entry.source)) {
+      written = entry.source.length;
+      yield entry.source;
+    } else {
+      for await (const chunk of entry.source) {
+        written += chunk.length;
+        if (written > entry.size) {
+          throw new Error(`Archive entry ${entry.name} grew while writing.`);
+        }
+        yield chunk;
+      }
+    }
+    if (written !== entry.size) {
+      throw new Error(`Archive entry ${entry.name} changed while writing.`);
+    }
+    const pad = padding(entry.size);
+    if (pad) {
+      yield pad;
+    }
+  }
+  yield END_OF_ARCHIVE;
+}
+
+function createTarStream(entries) {
+  return Readable.from(generateTar(entries), { objectMode: false });
+}
+
+function readString(buffer, offset, length) {
+  const slice = buffer.subarray(offset, offset + length);
+  const end = slice.indexOf(0);
+  return slice.subarray(0, end === -1 ? slice.length : end).toString("utf8");
+}
+
+function readOctal(buffer, offset, length) {
+  const text = readString(buffer, offset, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function invalidArchive(message) {
+  const error = new Error(message);
+  error.code = "ARCHIVE_INVALID";
+  return error;
+}
+
+async function readTarIndex(filePath) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const { size: fileSize } = await handle.stat();
+    const entries = [];
+    const header = Buffer.alloc(BLOCK_SIZE);
+    let position = 0;
+    while (position + BLOCK_SIZE <= fileSize) {
+      await handle.read(header, 0, BLOCK_SIZE, position);
+      if (header.every((byte) => byte === 0)) {
+        break;
+      }
+      const expected = readOctal(header, 148, 8);
+      let checksum = 0;
+      for (let index = 0; index < BLOCK_SIZE; index += 1) {
+        checksum += index >= 148 && index < 156 ? 32 : header[index];
+      }
+      if (checksum !== expected) {
+        throw invalidArchive("Archive header checksum mismatch.");
+      }
+      const prefix = readString(header, 345, 155);
+      const baseName = readString(header, 0, 100);
+      const size = readOctal(header, 124, 12);
+      const type = String.fromCharCode(header[156] || 48);
+      const offset = position + BLOCK_SIZE;
+      if (offset + size > fileSize) {
+        throw invalidArchive("Archive is truncated.");
+      }
+      if (type === "0") {
+        entries.push({
+          name: prefix ? `${prefix}/${baseName}` : baseName,
+          size,
+          offset,
+        });
+      }
+      position = offset + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+    }
+    return entries;
+  } finally {
+    await handle.close();
+  }
+}
+
+function createEntryReadStream(filePath, entry) {
+  if (entry.size === 0) {
+    return Readable.from([]);
+  }
+  return fs.createReadStream(filePath, {
+    start: entry.offset,
+    end: entry.offset + entry.size - 1,
+  });
+}
+
+async function readEntry(filePath, entry) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(entry.size);
+    await handle.read(buffer, 0, entry.size, entry.offset);
+    return buffer;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = {
+  createTarStream,
+  readTarIndex,
+  createEntryReadStream,
+  readEntry,
+};
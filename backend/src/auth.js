@@ -1,114 +1,496 @@
 const jwt = require("jsonwebtoken");
 const crypto = require("crypto");
+const util = require("util");
 const config = require("./config");
+const logger = require("./logger");
+const totp = require("./totp");
+const { getLimitStore } = require("./limit-store");
+const {
+  adoptUnownedContent,
+  consumeRecoveryCode,
+  countUsers,
+  createSession,
+  createUser,
+  enableTotp,
+  findActiveSession,
+  findApiTokenByHash,
+  findUserById,
+  findUserCredentials,
+  findUserTotp,
+  listUsers,
+  recordTotpStep,
+  setPendingTotpSecret,
+  touchApiToken,
+  touchSession,
+} = require("./database");
 
-const loginAttempts = new Map();
+const scrypt = util.promisify(crypto.scrypt);
 
-const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
-const sweepTimer = setInterval(() => {
-  const now = Date.now();
-  for (const [ip, record] of loginAttempts) {
-    if (!record.lockoutUntil || record.lockoutUntil <= now) {
-      loginAttempts.delete(ip);
-    }
-  }
-}, SWEEP_INTERVAL_MS);
-sweepTimer.unref?.();
+const ROLES = ["viewer", "editor", "admin"];
+const MIN_PASSWORD_LENGTH = 8;
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1, keyLength: 64 };
+const API_TOKEN_PREFIX = "gsk_";
+const API_TOKEN_SCOPES = ["read", "upload", "manage"];
+const MAX_TOKEN_NAME_LENGTH = 100;
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+const MAX_USER_AGENT_LENGTH = 255;
+const TOTP_ISSUER = "gifselector";
+const LOGIN_CHALLENGE_AUDIENCE = "login-2fa";
+const LOGIN_CHALLENGE_TTL_SECONDS = 5 * 60;
+const RECOVERY_CODE_COUNT = 10;
+
+const LOGIN_ATTEMPT_WINDOW_MS = 10 * 60 * 1000;
 
 function getClientIp(req) {
   return req.ip;
 }
 
-function checkLoginRateLimit(req) {
+async function checkLoginRateLimit(req) {
+  const lockout = await getLimitStore().get(
+    `login-lockout:${getClientIp(req)}`,
+  );
+  if (lockout) {
+    const remainingSeconds = Math.ceil((lockout.resetAt - Date.now()) / 1000);
+    return { allowed: false, remainingSeconds };
+  }
+  return { allowed: true };
+}
+
+async function recordFailedLogin(req) {
   const ip = getClientIp(req);
-  const now = Date.now();
-  const record = loginAttempts.get(ip);
+  const store = getLimitStore();
+  const attempts = await store.hit(
+    `login-attempts:${ip}`,
+    LOGIN_ATTEMPT_WINDOW_MS,
+  );
 
-  if (!record) {
-    return { allowed: true };
+  if (attempts.count >= config.MAX_LOGIN_ATTEMPTS) {
+    await store.delete(`login-attempts:${ip}`);
+    await store.set(`login-lockout:${ip}`, {
+      count: attempts.count,
+      resetAt: Date.now() + config.LOCKOUT_DURATION_MS,
+    });
+    return { blocked: true };
   }
 
-  if (record.lockoutUntil && record.lockoutUntil > now) {
-    const remainingSeconds = Math.ceil((record.lockoutUntil - now) / 1000);
-    return { allowed: false, remainingSeconds };
+  return { blocked: false };
+}
+
+async function recordSuccessfulLogin(req) {
+  await getLimitStore().delete(`login-attempts:${getClientIp(req)}`);
+}
+
+function describeClient(req) {
+  const userAgent = req.get("user-agent");
+  return {
+    ip: getClientIp(req) || null,
+    userAgent: userAgent ? userAgent.slice(0, MAX_USER_AGENT_LENGTH) : null,
+  };
+}
+
+async function issueToken(user, req) {
+  const sessionId = crypto.randomBytes(18).toString("base64url");
+  await createSession({
+    id: sessionId,
+    userId: user.id,
+    ttlSeconds: SESSION_TTL_SECONDS,
+    ...describeClient(req),
+  });
+  return jwt.sign(
+    { sub: String(user.id), username: user.username, role: user.role },
+    config.JWT_SECRET,
+    {
+      expiresIn: SESSION_TTL_SECONDS,
+      algorithm: "HS256",
+      jwtid: sessionId,
+    },
+  );
+}
+
+async function verifyToken(token) {
+  const payload = jwt.verify(token, config.JWT_SECRET, {
+    algorithms: ["HS256"],
+  });
+  const session = payload.jti ? await findActiveSession(payload.jti) : null;
+  if (!session || String(session.userId) !== payload.sub) {
+    const error = new Error("Session has been revoked.");
+    error.code = "SESSION_REVOKED";
+    throw error;
   }
+  return payload;
+}
 
-  if (record.lockoutUntil && record.lockoutUntil <= now) {
-    loginAttempts.delete(ip);
+async function resolveSession(token, req) {
+  if (!token) {
+    return null;
+  }
+  let payload;
+  try {
+    payload = await verifyToken(token);
+  } catch (error) {
+    if (error instanceof jwt.JsonWebTokenError) {
+      return null;
+    }
+    if (error?.code === "SESSION_REVOKED") {
+      return null;
+    }
+    throw error;
+  }
+  const userId = Number(payload.sub);
+  if (!Number.isInteger(userId)) {
+    return null;
   }
+  const user = await findUserById(userId);
+  if (!user || user.disabled) {
+    return null;
+  }
+  if (req) {
+    await touchSession(payload.jti, describeClient(req));
+  }
+  return {
+    user: { id: user.id, username: user.username, role: user.role },
+    sessionId: payload.jti,
+  };
+}
 
-  return { allowed: true };
+function hashApiToken(secret) {
+  return crypto.createHash("sha256").update(String(secret)).digest("hex");
 }
 
-function recordFailedLogin(req) {
-  const ip = getClientIp(req);
-  const now = Date.now();
-  let record = loginAttempts.get(ip);
+function generateApiToken() {
+  const secret =
+    API_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+  return {
+    secret,
+    prefix: secret.slice(0, API_TOKEN_PREFIX.length + 6),
+    tokenHash: hashApiToken(secret),
+  };
+}
 
-  if (!record) {
-    record = { attempts: 0, lockoutUntil: null };
-    loginAttempts.set(ip, record);
+function readBearerToken(req) {
+  const header = req.get("authorization");
+  if (!header) {
+    return null;
   }
+  const [scheme, value] = header.trim().split(/\s+/);
+  if (scheme.toLowerCase() !== "bearer" || !value) {
+    return null;
+  }
+  return value;
+}
 
-  if (record.lockoutUntil && record.lockoutUntil <= now) {
-    record.attempts = 0;
-    record.lockoutUntil = null;
+async function resolveApiToken(secret) {
+  if (!secret || !secret.startsWith(API_TOKEN_PREFIX)) {
+    return null;
+  }
+  const token = await findApiTokenByHash(hashApiToken(secret));
+  if (!token) {
+    return null;
+  }
+  const user = await findUserById(token.userId);
+  if (!user || user.disabled) {
+    return null;
   }
+  await touchApiToken(token.id);
+  return {
+    user: { id: user.id, username: user.username, role: user.role },
+    token,
+  };
+}
 
-  record.attempts += 1;
+async function authMiddleware(req, res, next) {
+  try {
+    const bearer = readBearerToken(req);
+    if (bearer) {
+      const resolved = await resolveApiToken(bearer);
+      if (!resolved) {
+        return res.status(401).json({ error: "Unauthorized" });
+      }
+      req.user = resolved.user;
+      req.auth = {
+        type: "token",
+        tokenId: resolved.token.id,
+        scopes: resolved.token.scopes,
+      };
+      return next();
+    }
+    const session = await resolveSession(req.cookies?.authToken, req);
+    if (!session) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    req.user = session.user;
+    req.auth = { type: "session", sessionId: session.sessionId };
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
 
-  if (record.attempts >= config.MAX_LOGIN_ATTEMPTS) {
-    record.lockoutUntil = now + config.LOCKOUT_DURATION_MS;
-    return { blocked: true };
+function requireScope(scope) {
+  return function scopeMiddleware(req, res, next) {
+    if (req.auth?.type === "token" && !req.auth.scopes.includes(scope)) {
+      return res
+        .status(403)
+        .json({ error: `API token is missing the "${scope}" scope.` });
+    }
+    return next();
+  };
+}
+
+function requireSession(req, res, next) {
+  if (req.auth?.type !== "session") {
+    return res
+      .status(403)
+      .json({ error: "This action is not available to API tokens." });
   }
+  return next();
+}
 
-  return { blocked: false };
+function hasRole(user, role) {
+  return ROLES.indexOf(user?.role) >= ROLES.indexOf(role);
 }
 
-function recordSuccessfulLogin(req) {
-  const ip = getClientIp(req);
-  loginAttempts.delete(ip);
+function canManage(user, resource) {
+  if (!user || !resource) {
+    return false;
+  }
+  return user.role === "admin" || resource.ownerId === user.id;
 }
 
-function issueToken(username) {
-  return jwt.sign({ username }, config.JWT_SECRET, {
-    expiresIn: "7d",
-    algorithm: "HS256",
+function requireRole(role) {
+  return function roleMiddleware(req, res, next) {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: "Forbidden" });
+    }
+    return next();
+  };
+}
+
+async function hashPassword(password) {
+  const { N, r, p, keyLength } = SCRYPT_PARAMS;
+  const salt = crypto.randomBytes(16);
+  const derived = await scrypt(String(password), salt, keyLength, {
+    N,
+    r,
+    p,
   });
+  return [
+    "scrypt",
+    N,
+    r,
+    p,
+    salt.toString("base64"),
+    derived.toString("base64"),
+  ].join("$");
 }
 
-function verifyToken(token) {
-  return jwt.verify(token, config.JWT_SECRET, { algorithms: ["HS256"] });
+async function verifyPassword(password, storedHash) {
+  const [scheme, N, r, p, saltB64, hashB64] = String(storedHash).split("$");
+  if (scheme !== "scrypt" || !saltB64 || !hashB64) {
+    return false;
+  }
+  const expected = Buffer.from(hashB64, "base64");
+  const derived = await scrypt(
+    String(password),
+    Buffer.from(saltB64, "base64"),
+    expected.length,
+    { N: Number(N), r: Number(r), p: Number(p) },
+  );
+  return crypto.timingSafeEqual(derived, expected);
 }
 
-function authMiddleware(req, res, next) {
-  const token = req.cookies?.authToken;
-  if (!token) {
-    return res.status(401).json({ error: "Unauthorized" });
+let dummyHashPromise;
+
+async function authenticateUser(username, password) {
+  const user = await findUserCredentials(String(username));
+  if (!user) {
+    if (!dummyHashPromise) {
+      dummyHashPromise = hashPassword(crypto.randomBytes(16).toString("hex"));
+    }
+    await verifyPassword(password, await dummyHashPromise);
+    return null;
+  }
+  const valid = await verifyPassword(password, user.passwordHash);
+  if (!valid || user.disabled) {
+    return null;
   }
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    totpEnabled: user.totpEnabled,
+  };
+}
+
+function issueLoginChallenge(user) {
+  return jwt.sign({ sub: String(user.id) }, config.JWT_SECRET, {
+    expiresIn: LOGIN_CHALLENGE_TTL_SECONDS,
+    algorithm: "HS256",
+    audience: LOGIN_CHALLENGE_AUDIENCE,
+  });
+}
+
+async function resolveLoginChallenge(challenge) {
+  let payload;
   try {
-    const payload = verifyToken(token);
-    req.user = payload;
-    return next();
+    payload = jwt.verify(String(challenge ?? ""), config.JWT_SECRET, {
+      algorithms: ["HS256"],
+      audience: LOGIN_CHALLENGE_AUDIENCE,
+    });
   } catch (error) {
-    return res.status(401).json({ error: "Unauthorized" });
+    return null;
+  }
+  const user = await findUserById(Number(payload.sub));
+  if (!user || user.disabled || !user.totpEnabled) {
+    return null;
   }
+  return { id: user.id, username: user.username, role: user.role };
 }
 
-function constantTimeEquals(a, b) {
-  const bufA = Buffer.from(String(a));
-  const bufB = Buffer.from(String(b));
-  if (bufA.length !== bufB.length) {
-    crypto.timingSafeEqual(bufA, bufA);
+function hashRecoveryCode(code) {
+  const normalized = String(code ?? "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return { codes, codeHashes: codes.map(hashRecoveryCode) };
+}
+
+async function verifySecondFactor(userId, code) {
+  const state = await findUserTotp(userId);
+  if (!state?.enabled || !state.secret) {
     return false;
   }
-  return crypto.timingSafeEqual(bufA, bufB);
+  const step = totp.verifyCode(state.secret, code);
+  if (step !== null) {
+    return recordTotpStep(userId, step);
+  }
+  return consumeRecoveryCode(userId, hashRecoveryCode(code));
+}
+
+async function startTotpEnrollment(user) {
+  const secret = totp.generateSecret();
+  if (!(await setPendingTotpSecret(user.id, secret))) {
+    const error = new Error("Two-factor authentication is already enabled.");
+    error.code = "TOTP_ALREADY_ENABLED";
+    throw error;
+  }
+  return {
+    secret,
+    otpauthUri: totp.buildOtpauthUri({
+      issuer: TOTP_ISSUER,
+      account: user.username,
+      secret,
+    }),
+  };
+}
+
+async function confirmTotpEnrollment(userId, code) {
+  const state = await findUserTotp(userId);
+  if (!state?.secret || state.enabled) {
+    const error = new Error("Start two-factor setup first.");
+    error.code = "TOTP_INVALID";
+    throw error;
+  }
+  const step = totp.verifyCode(state.secret, code);
+  if (step === null) {
+    const error = new Error("Invalid verification code.");
+    error.code = "TOTP_INVALID";
+    throw error;
+  }
+  const { codes, codeHashes } = generateRecoveryCodes();
+  await enableTotp(userId, { lastStep: step, recoveryCodeHashes: codeHashes });
+  return codes;
+}
+
+function validateUsername(username) {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    const error = new Error(
+      "Username must be 1-64 characters of letters, digits, '.', '_' or '-'.",
+    );
+    error.code = "USER_INVALID";
+    throw error;
+  }
+  return username;
 }
 
-function credentialsAreValid(username, password) {
-  const userOk = constantTimeEquals(username, config.ADMIN_USERNAME);
-  const passOk = constantTimeEquals(password, config.ADMIN_PASSWORD);
-  return userOk && passOk;
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    const error = new Error(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+    );
+    error.code = "USER_INVALID";
+    throw error;
+  }
+  return password;
+}
+
+function validateRole(role) {
+  if (!ROLES.includes(role)) {
+    const error = new Error(`Role must be one of ${ROLES.join(", ")}.`);
+    error.code = "USER_INVALID";
+    throw error;
+  }
+  return role;
+}
+
+function validateTokenName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed || trimmed.length > MAX_TOKEN_NAME_LENGTH) {
+    const error = new Error(
+      `Token name must be 1-${MAX_TOKEN_NAME_LENGTH} characters.`,
+    );
+    error.code = "TOKEN_INVALID";
+    throw error;
+  }
+  return trimmed;
+}
+
+function validateTokenScopes(scopes) {
+  if (
+    !Array.isArray(scopes) ||
+    scopes.length === 0 ||
+    scopes.some((scope) => !API_TOKEN_SCOPES.includes(scope))
+  ) {
+    const error = new Error(
+      `Scopes must be a non-empty list of ${API_TOKEN_SCOPES.join(", ")}.`,
+    );
+    error.code = "TOKEN_INVALID";
+    throw error;
+  }
+  return API_TOKEN_SCOPES.filter((scope) => scopes.includes(scope));
+}
+
+async function ensureBootstrapUser() {
+  if ((await countUsers()) === 0) {
+    const user = await createUser({
+      username: config.ADMIN_USERNAME,
+      passwordHash: await hashPassword(config.ADMIN_PASSWORD),
+      role: "admin",
+    });
+    logger.info("Created bootstrap admin account", {
+      username: user.username,
+    });
+  }
+  const [firstAdmin] = (await listUsers())
+    .filter((user) => user.role === "admin")
+    .sort((a, b) => a.id - b.id);
+  if (firstAdmin) {
+    const adopted = await adoptUnownedContent(firstAdmin.id);
+    if (adopted > 0) {
+      logger.info("Assigned unowned items to admin", {
+        count: adopted,
+        username: firstAdmin.username,
+      });
+    }
+  }
 }
 
 function cookieOptions() {
@@ -122,10 +504,33 @@ function cookieOptions() {
 }
 
 module.exports = {
+  ROLES,
+  API_TOKEN_SCOPES,
   issueToken,
   verifyToken,
+  resolveSession,
   authMiddleware,
-  credentialsAreValid,
+  requireRole,
+  requireScope,
+  requireSession,
+  generateApiToken,
+  hasRole,
+  canManage,
+  hashPassword,
+  verifyPassword,
+  authenticateUser,
+  issueLoginChallenge,
+  resolveLoginChallenge,
+  verifySecondFactor,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  generateRecoveryCodes,
+  validateUsername,
+  validatePassword,
+  validateRole,
+  validateTokenName,
+  validateTokenScopes,
+  ensureBootstrapUser,
   cookieOptions,
   checkLoginRateLimit,
   recordFailedLogin,
@@ -0,0 +1,379 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { nanoid } = require("nanoid");
+const config = require("./config");
+const logger = require("./logger");
+const { hashFile } = require("./content-hash");
+const { removeThumbnails } = require("./thumbnails");
+const { removeOriginal } = require("./conversion");
+const { removeRenditions } = require("./renditions");
+const {
+  createEntryReadStream,
+  createTarStream,
+  readEntry,
+  readTarIndex,
+} = require("./archive");
+const {
+  CATEGORY_VISIBILITIES,
+  importLibrary,
+  listGifFiles,
+  listUsers,
+  readLibrarySnapshot,
+} = require("./database");
+
+const fsPromises = fs.promises;
+
+const ARCHIVE_FORMAT = "gifselector-archive";
+const ARCHIVE_VERSION = 1;
+const MANIFEST_NAME = "manifest.json";
+const MAX_MANIFEST_BYTES = 64 * 1024 * 1024;
+const FILE_EXTENSIONS = new Set([".gif", ".webp"]);
+const SLUG_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const SHA256_PATTERN = /^[0-9a-f]{64}$/;
+const COLLECTION_SLUG_PATTERN = /^[a-z0-9-]{1,200}$/;
+const IMPORT_MODES = ["merge", "replace"];
+const CONFLICT_STRATEGIES = ["rename", "skip"];
+
+function invalidArchive(message) {
+  const error = new Error(message);
+  error.code = "ARCHIVE_INVALID";
+  return error;
+}
+
+async function* hashChunks(source, hash) {
+  for await (const chunk of source) {
+    hash.update(chunk);
+    yield chunk;
+  }
+}
+
+async function prepareExport() {
+  const snapshot = await readLibrarySnapshot();
+  const gifs = [];
+  for (const gif of snapshot.gifs) {
+    const filePath = path.resolve(config.UPLOAD_DIR, gif.filename);
+    const stats = await fsPromises.stat(filePath).catch(() => null);
+    if (!stats?.isFile()) {
+      logger.warn("Skipping GIF with missing file in export", {
+        slug: gif.slug,
+        filename: gif.filename,
+      });
+      continue;
+    }
+    gifs.push({ ...gif, filePath, sizeBytes: stats.size });
+  }
+  return { ...snapshot, gifs };
+}
+
+async function* exportEntries(snapshot, manifestGifs) {
+  for (const gif of snapshot.gifs) {
+    const hash = crypto.createHash("sha256");
+    const name = `files/${gif.slug}${path.extname(gif.filename).toLowerCase()}`;
+    const source = hashChunks(fs.createReadStream(gif.filePath), hash);
+    yield { name, size: gif.sizeBytes, source };
+    manifestGifs.push({
+      slug: gif.slug,
+      file: name,
+      sha256: hash.digest("hex"),
+      sourceSha256: gif.sourceSha256,
+      sizeBytes: gif.sizeBytes,
+      originalName: gif.originalName,
+      mimeType: gif.mimeType,
+      createdAt: gif.createdAt,
+      title: gif.title,
+      description: gif.description,
+      tags: gif.tags,
+      owner: gif.ownerName,
+      shared: Boolean(gif.shared),
+      categoryIds: gif.categoryIds,
+    });
+  }
+  const manifest = Buffer.from(
+    JSON.stringify(
+      {
+        format: ARCHIVE_FORMAT,
+        version: ARCHIVE_VERSION,
+        exportedAt: new Date().toISOString(),
+        schemaVersion: snapshot.schemaVersion,
+        categories: snapshot.categories.map((category) => ({
+          id: category.id,
+          name: category.name,
+          createdAt: category.createdAt,
+          owner: category.ownerName,
+          shared: Boolean(category.shared),
+          visibility: category.visibility || "private",
+          publicSlug: category.publicSlug,
+          accessToken: category.accessToken,
+        })),
+        gifs: manifestGifs,
+      },
+      null,
+      2,
+    ),
+  );
+  yield { name: MANIFEST_NAME, size: manifest.length, source: manifest };
+}
+
+async function createExportStream() {
+  const snapshot = await prepareExport();
+  return createTarStream(exportEntries(snapshot, []));
+}
+
+function validateManifest(manifest, entriesByName) {
+  if (
+    !manifest ||
+    manifest.format !== ARCHIVE_FORMAT ||
+    manifest.version !== ARCHIVE_VERSION
+  ) {
+    throw invalidArchive("Not a gifselector archive or unsupported version.");
+  }
+  if (!Array.isArray(manifest.gifs) || !Array.isArray(manifest.categories)) {
+    throw invalidArchive("Archive manifest is incomplete.");
+  }
+  const categoryIds = new Set();
+  const categoryNames = new Set();
+  manifest.categories.forEach((category) => {
+    // Names are unique per owner, as in the database.
+    const nameKey = `${category?.owner ?? ""}\u0000${String(category?.name).trim()}`;
+    if (
+      !Number.isInteger(category?.id) ||
+      typeof category.name !== "string" ||
+      !category.name.trim() ||
+      categoryIds.has(category.id) ||
+      categoryNames.has(nameKey)
+    ) {
+      throw invalidArchive("Archive contains an invalid category entry.");
+    }
+    categoryIds.add(category.id);
+    categoryNames.add(nameKey);
+  });
+  const slugs = new Set();
+  manifest.gifs.forEach((gif) => {
+    const entry = entriesByName.get(gif?.file);
+    if (
+      typeof gif?.slug !== "string" ||
+      !SLUG_PATTERN.test(gif.slug) ||
+      slugs.has(gif.slug) ||
+      typeof gif.file !== "string" ||
+      typeof gif.sha256 !== "string" ||
+      !SHA256_PATTERN.test(gif.sha256) ||
+      !FILE_EXTENSIONS.has(path.extname(gif.file).toLowerCase()) ||
+      !Array.isArray(gif.categoryIds) ||
+      gif.categoryIds.some((id) => !categoryIds.has(id))
+    ) {
+      throw invalidArchive("Archive contains an invalid GIF entry.");
+    }
+    if (!entry || entry.size !== gif.sizeBytes) {
+      throw invalidArchive(`File for ${gif.slug} is missing or truncated.`);
+    }
+    slugs.add(gif.slug);
+  });
+}
+
+async function readManifest(archivePath) {
+  const entries = await readTarIndex(archivePath);
+  const entriesByName = new Map(entries.map((entry) => [entry.name, entry]));
+  const manifestEntry = entriesByName.get(MANIFEST_NAME);
+  if (!manifestEntry) {
+    throw invalidArchive("Archive has no manifest.");
+  }
+  if (manifestEntry.size > MAX_MANIFEST_BYTES) {
+    throw invalidArchive("Archive manifest is too large.");
+  }
+  let manifest;
+  try {
+    manifest = JSON.parse(await readEntry(archivePath, manifestEntry));
+  } catch (error) {
+    throw invalidArchive("Archive manifest is not valid JSON.");
+  }
+  validateManifest(manifest, entriesByName);
+  return { manifest, entriesByName };
+}
+
+async function extractEntry(archivePath, entry, gif) {
+  const extension = path.extname(gif.file).toLowerCase();
+  const filename = `${Date.now()}-${nanoid(6)}${extension}`;
+  const filePath = path.resolve(config.UPLOAD_DIR, filename);
+  const hash = crypto.createHash("sha256");
+  try {
+    await pipeline(
+      hashChunks(createEntryReadStream(archivePath, entry), hash),
+      fs.createWriteStream(filePath, { flags: "wx" }),
+    );
+    if (hash.digest("hex") !== gif.sha256) {
+      throw invalidArchive(`Checksum mismatch for ${gif.slug}.`);
+    }
+  } catch (error) {
+    await fsPromises.rm(filePath, { force: true });
+    throw error;
+  }
+  return filename;
+}
+
+async function resolveOwners(fallbackOwnerId) {
+  const users = await listUsers();
+  const byName = new Map(users.map((user) => [user.username, user.id]));
+  return (username) => byName.get(username) ?? fallbackOwnerId;
+}
+
+async function findIdenticalGif(existing, gif) {
+  if (!existing) {
+    return false;
+  }
+  if (existing.sha256) {
+    return existing.sha256 === gif.sha256;
+  }
+  const filePath = path.resolve(config.UPLOAD_DIR, existing.filename);
+  const hash = await hashFile(filePath).catch(() => null);
+  return hash === gif.sha256;
+}
+
+// Archives made before collections existed have no visibility, and an
+// unlisted collection without its secret would be unreachable, so both are
+// imported as private.
+function importedVisibility(category) {
+  const accessToken =
+    typeof category.accessToken === "string" && category.accessToken
+      ? category.accessToken
+      : null;
+  let visibility = CATEGORY_VISIBILITIES.includes(category.visibility)
+    ? category.visibility
+    : "private";
+  if (visibility === "unlisted" && !accessToken) {
+    visibility = "private";
+  }
+  return {
+    visibility,
+    publicSlug:
+      typeof category.publicSlug === "string" &&
+      COLLECTION_SLUG_PATTERN.test(category.publicSlug)
+        ? category.publicSlug
+        : null,
+    accessToken,
+  };
+}
+
+async function importArchive(
+  archivePath,
+  { mode = "merge", conflict = "rename", importedBy } = {},
+) {
+  const { manifest, entriesByName } = await readManifest(archivePath);
+  const ownerOf = await resolveOwners(importedBy);
+  const existing =
+    mode === "replace"
+      ? new Map()
+      : new Map((await listGifFiles()).map((gif) => [gif.slug, gif]));
+  const takenSlugs = new Set(existing.keys());
+  const summary = {
+    mode,
+    imported: 0,
+    renamed: [],
+    skipped: [],
+    unchanged: [],
+    categoriesCreated: 0,
+  };
+
+  const planned = [];
+  for (const gif of manifest.gifs) {
+    let slug = gif.slug;
+    if (takenSlugs.has(slug)) {
+      if (await findIdenticalGif(existing.get(slug), gif)) {
+        summary.unchanged.push(slug);
+        continue;
+      }
+      if (conflict === "skip") {
+        summary.skipped.push(slug);
+        continue;
+      }
+      do {
+        slug = nanoid(10);
+      } while (takenSlugs.has(slug));
+      summary.renamed.push({ from: gif.slug, to: slug });
+    }
+    takenSlugs.add(slug);
+    planned.push({ gif, slug });
+  }
+
+  const extracted = [];
+  try {
+    for (const { gif, slug } of planned) {
+      const filename = await extractEntry(
+        archivePath,
+        entriesByName.get(gif.file),
+        gif,
+      );
+      extracted.push({
+        key: gif.slug,
+        slug,
+        filename,
+        originalName: String(gif.originalName || path.basename(gif.file)),
+        mimeType: String(gif.mimeType || "image/gif"),
+        sizeBytes: gif.sizeBytes,
+        sha256: gif.sha256,
+        sourceSha256:
+          typeof gif.sourceSha256 === "string" &&
+          SHA256_PATTERN.test(gif.sourceSha256)
+            ? gif.sourceSha256
+            : null,
+        createdAt: typeof gif.createdAt === "string" ? gif.createdAt : null,
+        title: gif.title ?? null,
+        description: gif.description ?? null,
+        tags: Array.isArray(gif.tags) ? gif.tags : [],
+        ownerId: ownerOf(gif.owner),
+        shared: Boolean(gif.shared),
+        categoryKeys: gif.categoryIds,
+      });
+    }
+
+    const { categoriesCreated, replacedFilenames, replacedOriginals } =
+      await importLibrary({
+        mode,
+        importedBy,
+        categories: manifest.categories.map((category) => ({
+          key: category.id,
+          name: category.name.trim(),
+          createdAt:
+            typeof category.createdAt === "string" ? category.createdAt : null,
+          ownerId: ownerOf(category.owner),
+          shared: Boolean(category.shared),
+          ...importedVisibility(category),
+        })),
+        gifs: extracted,
+      });
+    summary.imported = extracted.length;
+    summary.categoriesCreated = categoriesCreated;
+
+    await Promise.all([
+      ...replacedFilenames.map((filename) =>
+        Promise.all([
+          fsPromises
+            .rm(path.resolve(config.UPLOAD_DIR, filename), { force: true })
+            .catch(() => {}),
+          removeThumbnails(filename),
+          removeRenditions(filename),
+        ]),
+      ),
+      ...replacedOriginals.map(removeOriginal),
+    ]);
+  } catch (error) {
+    await Promise.all(
+      extracted.map(({ filename }) =>
+        fsPromises
+          .rm(path.resolve(config.UPLOAD_DIR, filename), { force: true })
+          .catch(() => {}),
+      ),
+    );
+    throw error;
+  }
+
+  return summary;
+}
+
+module.exports = {
+  IMPORT_MODES,
+  CONFLICT_STRATEGIES,
+  createExportStream,
+  importArchive,
+};
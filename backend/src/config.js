@@ -54,7 +54,132 @@ const LOCKOUT_DURATION_MS = parseInt(
   10,
 );
 
-const PUBLIC_GIF_CATEGORY = process.env.PUBLIC_GIF_CATEGORY;
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+if (!["memory", "sqlite"].includes(RATE_LIMIT_STORE)) {
+  throw new Error(
+    `RATE_LIMIT_STORE must be "memory" or "sqlite". Received: ${RATE_LIMIT_STORE}`,
+  );
+}
+
+const PUBLIC_API_RATE_LIMIT = parseInt(
+  process.env.PUBLIC_API_RATE_LIMIT || "60",
+  10,
+);
+const PUBLIC_API_RATE_WINDOW_MS = parseInt(
+  process.env.PUBLIC_API_RATE_WINDOW_MS || "60000",
+  10,
+);
+if (!Number.isInteger(PUBLIC_API_RATE_LIMIT) || PUBLIC_API_RATE_LIMIT < 1) {
+  throw new Error(
+    `PUBLIC_API_RATE_LIMIT must be a positive integer. Received: ${process.env.PUBLIC_API_RATE_LIMIT}`,
+  );
+}
+if (
+  !Number.isInteger(PUBLIC_API_RATE_WINDOW_MS) ||
+  PUBLIC_API_RATE_WINDOW_MS < 1
+) {
+  throw new Error(
+    `PUBLIC_API_RATE_WINDOW_MS must be a positive integer. Received: ${process.env.PUBLIC_API_RATE_WINDOW_MS}`,
+  );
+}
+
+const DB_FLUSH_DELAY_MS = parseInt(process.env.DB_FLUSH_DELAY_MS || "500", 10);
+
+const IMPORT_ARCHIVE_MAX_BYTES = parseInt(
+  process.env.IMPORT_ARCHIVE_MAX_BYTES || String(2 * 1024 * 1024 * 1024),
+  10,
+);
+
+const SIMILARITY_THRESHOLD = Number(process.env.SIMILARITY_THRESHOLD || "0.9");
+if (
+  !Number.isFinite(SIMILARITY_THRESHOLD) ||
+  SIMILARITY_THRESHOLD <= 0 ||
+  SIMILARITY_THRESHOLD > 1
+) {
+  throw new Error(
+    `SIMILARITY_THRESHOLD must be a number between 0 and 1. Received: ${process.env.SIMILARITY_THRESHOLD}`,
+  );
+}
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY || "2", 10);
+if (!Number.isInteger(JOB_CONCURRENCY) || JOB_CONCURRENCY < 1) {
+  throw new Error(
+    `JOB_CONCURRENCY must be a positive integer. Received: ${process.env.JOB_CONCURRENCY}`,
+  );
+}
+const RENDITION_CONCURRENCY = parseInt(
+  process.env.RENDITION_CONCURRENCY || "2",
+  10,
+);
+if (!Number.isInteger(RENDITION_CONCURRENCY) || RENDITION_CONCURRENCY < 1) {
+  throw new Error(
+    `RENDITION_CONCURRENCY must be a positive integer. Received: ${process.env.RENDITION_CONCURRENCY}`,
+  );
+}
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || "3", 10);
+if (!Number.isInteger(JOB_MAX_ATTEMPTS) || JOB_MAX_ATTEMPTS < 1) {
+  throw new Error(
+    `JOB_MAX_ATTEMPTS must be a positive integer. Received: ${process.env.JOB_MAX_ATTEMPTS}`,
+  );
+}
+const JOB_RETRY_DELAY_MS = parseInt(
+  process.env.JOB_RETRY_DELAY_MS || "30000",
+  10,
+);
+
+const SHARE_HIT_RETENTION_DAYS = parseInt(
+  process.env.SHARE_HIT_RETENTION_DAYS || "90",
+  10,
+);
+if (
+  !Number.isInteger(SHARE_HIT_RETENTION_DAYS) ||
+  SHARE_HIT_RETENTION_DAYS < 0
+) {
+  throw new Error(
+    `SHARE_HIT_RETENTION_DAYS must be a whole number of days. Received: ${process.env.SHARE_HIT_RETENTION_DAYS}`,
+  );
+}
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_LEVEL = process.env.LOG_LEVEL || "info";
+if (!LOG_LEVELS.includes(LOG_LEVEL)) {
+  throw new Error(
+    `LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")}. Received: ${LOG_LEVEL}`,
+  );
+}
+
+const LOG_IP_MODE = process.env.LOG_IP_MODE || "full";
+if (!["full", "truncate", "hash"].includes(LOG_IP_MODE)) {
+  throw new Error(
+    `LOG_IP_MODE must be "full", "truncate" or "hash". Received: ${LOG_IP_MODE}`,
+  );
+}
+
+function parseLogSetting(name, fallback) {
+  const value = parseInt(process.env[name] || fallback, 10);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(
+      `${name} must be a whole number. Received: ${process.env[name]}`,
+    );
+  }
+  return value;
+}
+
+const LOG_MAX_BYTES = parseLogSetting(
+  "LOG_MAX_BYTES",
+  String(10 * 1024 * 1024),
+);
+const LOG_ROTATE_HOURS = parseLogSetting("LOG_ROTATE_HOURS", "24");
+const LOG_RETENTION_DAYS = parseLogSetting("LOG_RETENTION_DAYS", "14");
+
+const VIDEO_UPLOAD_MAX_BYTES = parseInt(
+  process.env.VIDEO_UPLOAD_MAX_BYTES || String(50 * 1024 * 1024),
+  10,
+);
+
+// Conversion limits are validated together with the profile in conversion.js.
+const CONVERSION_PROFILE = process.env.CONVERSION_PROFILE || "webp";
+
 const PUBLIC_API_SPEED_LIMIT = 1024 * 1024;
 
 function ensureAbsolutePath(label, targetPath) {
@@ -83,6 +208,21 @@ if (!fs.existsSync(resolvedUploadDir)) {
   fs.mkdirSync(resolvedUploadDir, { recursive: true });
 }
 
+const resolvedThumbnailDir = ensureAbsolutePath(
+  "THUMBNAIL_DIR",
+  process.env.THUMBNAIL_DIR || path.join(resolvedUploadDir, "thumbnails"),
+);
+
+const resolvedOriginalsDir = ensureAbsolutePath(
+  "ORIGINALS_DIR",
+  process.env.ORIGINALS_DIR || path.join(resolvedUploadDir, "originals"),
+);
+
+const resolvedRenditionDir = ensureAbsolutePath(
+  "RENDITION_DIR",
+  process.env.RENDITION_DIR || path.join(resolvedUploadDir, "renditions"),
+);
+
 const defaultDataDir = path.join(__dirname, "..", "data");
 const resolvedDataDir = ensureAbsolutePath(
   "DATA_DIR",
@@ -111,12 +251,42 @@ module.exports = {
   ADMIN_PASSWORD,
   MAX_LOGIN_ATTEMPTS,
   LOCKOUT_DURATION_MS,
-  PUBLIC_GIF_CATEGORY,
+  DB_FLUSH_DELAY_MS,
+  IMPORT_ARCHIVE_MAX_BYTES,
+  SIMILARITY_THRESHOLD,
+  JOB_CONCURRENCY,
+  RENDITION_CONCURRENCY,
+  JOB_MAX_ATTEMPTS,
+  JOB_RETRY_DELAY_MS,
+  SHARE_HIT_RETENTION_DAYS,
+  VIDEO_UPLOAD_MAX_BYTES,
+  CONVERSION_PROFILE,
+  CONVERSION_FORMAT: process.env.CONVERSION_FORMAT,
+  CONVERSION_MAX_WIDTH: process.env.CONVERSION_MAX_WIDTH,
+  CONVERSION_MAX_HEIGHT: process.env.CONVERSION_MAX_HEIGHT,
+  CONVERSION_MAX_FPS: process.env.CONVERSION_MAX_FPS,
+  CONVERSION_QUALITY: process.env.CONVERSION_QUALITY,
+  CONVERSION_MAX_BYTES: process.env.CONVERSION_MAX_BYTES,
+  KEEP_ORIGINALS: process.env.KEEP_ORIGINALS === "1",
+  RATE_LIMIT_STORE,
+  PUBLIC_API_RATE_LIMIT,
+  PUBLIC_API_RATE_WINDOW_MS,
   PUBLIC_API_SPEED_LIMIT,
+  METRICS_TOKEN: process.env.METRICS_TOKEN || null,
   FRONTEND_DIST,
   UPLOAD_DIR: resolvedUploadDir,
+  THUMBNAIL_DIR: resolvedThumbnailDir,
+  ORIGINALS_DIR: resolvedOriginalsDir,
+  RENDITION_DIR: resolvedRenditionDir,
   DATA_DIR: resolvedDataDir,
+  DEDUPLICATE_UPLOADS: process.env.DEDUPLICATE_UPLOADS !== "0",
   ENABLE_FILE_LOGGING: process.env.ENABLE_FILE_LOGGING === "1",
+  LOG_LEVELS,
+  LOG_LEVEL,
+  LOG_IP_MODE,
+  LOG_MAX_BYTES,
+  LOG_ROTATE_HOURS,
+  LOG_RETENTION_DAYS,
   LOG_FILE_PATH: path.join(resolvedDataDir, "access.log"),
   STATS_FILE_PATH: path.join(resolvedDataDir, "log_statistics.txt"),
 };
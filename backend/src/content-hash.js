@@ -0,0 +1,38 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const config = require("./config");
+const logger = require("./logger");
+const { listGifsWithoutHash, setGifContentHash } = require("./database");
+
+async function hashFile(filePath) {
+  const hash = crypto.createHash("sha256");
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest("hex");
+}
+
+async function backfillContentHashes() {
+  const gifs = await listGifsWithoutHash();
+  let hashed = 0;
+  for (const gif of gifs) {
+    try {
+      const sha256 = await hashFile(
+        path.resolve(config.UPLOAD_DIR, gif.filename),
+      );
+      await setGifContentHash(gif.id, sha256);
+      hashed += 1;
+    } catch (error) {
+      logger.warn("Could not hash GIF", { slug: gif.slug, error });
+    }
+  }
+  if (hashed > 0) {
+    logger.info("Computed content hashes", { count: hashed });
+  }
+  return hashed;
+}
+
+module.exports = {
+  hashFile,
+  backfillContentHashes,
+};
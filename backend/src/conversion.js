@@ -0,0 +1,329 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { execFile } = require("child_process");
+const { nanoid } = require("nanoid");
+const config = require("./config");
+const { conversionDuration } = require("./metrics");
+
+const execFilePromise = util.promisify(execFile);
+const fsPromises = fs.promises;
+
+const FORMAT_MIME_TYPES = {
+  gif: "image/gif",
+  webp: "image/webp",
+};
+const VIDEO_EXTENSIONS = new Set([".mp4", ".webm", ".mov"]);
+// Each attempt that overshoots the size budget shrinks the frame and lowers
+// the quality before trying again.
+const BUDGET_ATTEMPTS = [
+  { scale: 1, quality: 1 },
+  { scale: 0.75, quality: 0.85 },
+  { scale: 0.5, quality: 0.7 },
+];
+
+const PROFILES = {
+  webp: {
+    format: "webp",
+    maxWidth: null,
+    maxHeight: null,
+    maxFps: null,
+    quality: 80,
+    maxBytes: 15 * 1024 * 1024,
+  },
+  compact: {
+    format: "webp",
+    maxWidth: 480,
+    maxHeight: 480,
+    maxFps: 15,
+    quality: 60,
+    maxBytes: 2 * 1024 * 1024,
+  },
+  gif: {
+    format: "gif",
+    maxWidth: 640,
+    maxHeight: 640,
+    maxFps: 20,
+    quality: 80,
+    maxBytes: 15 * 1024 * 1024,
+  },
+  original: {
+    format: "original",
+    maxWidth: null,
+    maxHeight: null,
+    maxFps: null,
+    quality: 80,
+    maxBytes: 15 * 1024 * 1024,
+  },
+};
+
+function conversionError(message) {
+  const error = new Error(message);
+  error.code = "CONVERSION_FAILED";
+  return error;
+}
+
+function parseLimit(name, value) {
+  if (value === undefined || value === "") {
+    return undefined;
+  }
+  if (value === "0" || value === "none") {
+    return null;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(
+      `${name} must be a positive integer or "none". Received: ${value}`,
+    );
+  }
+  return number;
+}
+
+function buildProfile() {
+  const name = config.CONVERSION_PROFILE;
+  if (!PROFILES[name]) {
+    throw new Error(
+      `CONVERSION_PROFILE must be one of ${Object.keys(PROFILES).join(", ")}. Received: ${name}`,
+    );
+  }
+  const overrides = {
+    format: config.CONVERSION_FORMAT || undefined,
+    maxWidth: parseLimit("CONVERSION_MAX_WIDTH", config.CONVERSION_MAX_WIDTH),
+    maxHeight: parseLimit(
+      "CONVERSION_MAX_HEIGHT",
+      config.CONVERSION_MAX_HEIGHT,
+    ),
+    maxFps: parseLimit("CONVERSION_MAX_FPS", config.CONVERSION_MAX_FPS),
+    quality: parseLimit("CONVERSION_QUALITY", config.CONVERSION_QUALITY),
+    maxBytes: parseLimit("CONVERSION_MAX_BYTES", config.CONVERSION_MAX_BYTES),
+  };
+  const profile = { ...PROFILES[name], name };
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value !== undefined) {
+      profile[key] = value;
+    }
+  });
+  if (!["gif", "webp", "original"].includes(profile.format)) {
+    throw new Error(
+      `CONVERSION_FORMAT must be gif, webp or original. Received: ${profile.format}`,
+    );
+  }
+  if (profile.quality === null || profile.quality > 100) {
+    throw new Error("CONVERSION_QUALITY must be between 1 and 100.");
+  }
+  return profile;
+}
+
+const activeProfile = buildProfile();
+
+function targetFormat(profile, inputExt) {
+  if (profile.format !== "original") {
+    return profile.format;
+  }
+  // Videos cannot be stored as-is, so "original" falls back to WebP for them.
+  return inputExt === ".gif" ? "gif" : "webp";
+}
+
+function needsConversion(profile, inputExt, format, sizeBytes) {
+  return (
+    VIDEO_EXTENSIONS.has(inputExt) ||
+    `.${format}` !== inputExt ||
+    profile.maxWidth !== null ||
+    profile.maxHeight !== null ||
+    profile.maxFps !== null ||
+    (profile.maxBytes !== null && sizeBytes > profile.maxBytes)
+  );
+}
+
+function ffmpegArgs(inputPath, outputPath, format, settings) {
+  const filters = [];
+  if (settings.maxFps !== null) {
+    filters.push(`fps=${settings.maxFps}`);
+  }
+  if (settings.maxWidth !== null || settings.maxHeight !== null) {
+    const width = settings.maxWidth ?? "iw";
+    const height = settings.maxHeight ?? "ih";
+    filters.push(
+      `scale='min(${width},iw)*${settings.scale}':'min(${height},ih)*${settings.scale}':force_original_aspect_ratio=decrease`,
+    );
+  } else if (settings.scale < 1) {
+    filters.push(`scale=iw*${settings.scale}:-2`);
+  }
+  const args = ["-y"];
+  if (settings.trim) {
+    args.push("-ss", String(settings.trim.start));
+    if (settings.trim.end !== null) {
+      args.push("-t", String(settings.trim.end - settings.trim.start));
+    }
+  }
+  args.push("-i", inputPath, "-an");
+  if (format === "gif") {
+    const prefix = filters.length > 0 ? `${filters.join(",")},` : "";
+    args.push(
+      "-filter_complex",
+      `${prefix}split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+      "-loop",
+      "0",
+    );
+  } else {
+    if (filters.length > 0) {
+      args.push("-vf", filters.join(","));
+    }
+    args.push(
+      "-vcodec",
+      "libwebp",
+      "-loop",
+      "0",
+      "-compression_level",
+      "4",
+      "-q:v",
+      String(settings.quality),
+    );
+  }
+  args.push(outputPath);
+  return args;
+}
+
+function magickArgs(inputPath, outputPath, settings) {
+  const args = [inputPath, "-coalesce"];
+  if (settings.maxWidth !== null || settings.maxHeight !== null) {
+    args.push(
+      "-resize",
+      `${settings.maxWidth ?? ""}x${settings.maxHeight ?? ""}>`,
+    );
+  }
+  if (settings.scale < 1) {
+    args.push("-resize", `${Math.round(settings.scale * 100)}%`);
+  }
+  args.push("-quality", String(settings.quality), "-loop", "0", outputPath);
+  return args;
+}
+
+// ffmpeg handles videos and GIFs (including the fps cap and trimming);
+// ImageMagick is the fallback, and the only option for animated WebP input,
+// which ffmpeg cannot decode. ImageMagick ignores the fps cap.
+async function render(inputPath, outputPath, inputExt, format, settings) {
+  const attempts = [];
+  if (inputExt !== ".webp") {
+    attempts.push([
+      "ffmpeg",
+      ffmpegArgs(inputPath, outputPath, format, settings),
+    ]);
+  }
+  if (!VIDEO_EXTENSIONS.has(inputExt)) {
+    const args = magickArgs(inputPath, outputPath, settings);
+    attempts.push(["magick", args], ["convert", args]);
+  }
+  let lastError;
+  for (const [cmd, args] of attempts) {
+    try {
+      await execFilePromise(cmd, args);
+      await fsPromises.access(outputPath);
+      return;
+    } catch (error) {
+      lastError = error;
+      await fsPromises.rm(outputPath, { force: true }).catch(() => {});
+    }
+  }
+  throw lastError || conversionError("No converter available.");
+}
+
+function narrowerLimit(limit, requested) {
+  if (requested === null) {
+    return limit;
+  }
+  return limit === null ? requested : Math.min(limit, requested);
+}
+
+// Converts `inputPath` according to the profile and replaces it with the
+// result, which may have a different extension. Videos can additionally be
+// trimmed to `trim: { start, end }` seconds (`end` may be null) and narrowed
+// to `maxWidth` pixels. `kind` ("upload", "video" or "import") labels the
+// conversion in the metrics. Returns the new path and MIME type, or null when
+// the file already matches the profile.
+async function convertMedia(
+  inputPath,
+  {
+    kind,
+    profile: baseProfile = activeProfile,
+    trim = null,
+    maxWidth = null,
+  } = {},
+) {
+  const profile = {
+    ...baseProfile,
+    maxWidth: narrowerLimit(baseProfile.maxWidth, maxWidth),
+  };
+  const inputExt = path.extname(inputPath).toLowerCase();
+  const format = targetFormat(profile, inputExt);
+  const { size } = await fsPromises.stat(inputPath);
+  if (!trim && !needsConversion(profile, inputExt, format, size)) {
+    return null;
+  }
+
+  const base = inputPath.slice(0, inputPath.length - inputExt.length);
+  const outputPath = `${base}.${format}`;
+  const tmpPath = `${base}-convert-${nanoid(6)}.${format}`;
+  const stopTimer = conversionDuration.startTimer({ kind, format });
+  try {
+    for (const attempt of BUDGET_ATTEMPTS) {
+      await render(inputPath, tmpPath, inputExt, format, {
+        maxWidth: profile.maxWidth,
+        maxHeight: profile.maxHeight,
+        maxFps: profile.maxFps,
+        trim,
+        scale: attempt.scale,
+        quality: Math.max(1, Math.round(profile.quality * attempt.quality)),
+      });
+      const converted = await fsPromises.stat(tmpPath);
+      if (profile.maxBytes === null || converted.size <= profile.maxBytes) {
+        if (outputPath !== inputPath) {
+          await fsPromises.rm(inputPath, { force: true });
+        }
+        await fsPromises.rename(tmpPath, outputPath);
+        return { filePath: outputPath, mimeType: FORMAT_MIME_TYPES[format] };
+      }
+    }
+    throw conversionError(
+      `Converted file is still larger than ${profile.maxBytes} bytes.`,
+    );
+  } finally {
+    stopTimer();
+    await fsPromises.rm(tmpPath, { force: true }).catch(() => {});
+  }
+}
+
+// Copies the untouched source into ORIGINALS_DIR before it is converted, when
+// KEEP_ORIGINALS is on. Returns the stored file name or null.
+async function retainOriginal(filePath) {
+  if (!config.KEEP_ORIGINALS) {
+    return null;
+  }
+  await fsPromises.mkdir(config.ORIGINALS_DIR, { recursive: true });
+  const filename = `${Date.now()}-${nanoid(6)}${path
+    .extname(filePath)
+    .toLowerCase()}`;
+  await fsPromises.copyFile(
+    filePath,
+    path.join(config.ORIGINALS_DIR, filename),
+  );
+  return filename;
+}
+
+async function removeOriginal(filename) {
+  if (!filename) {
+    return;
+  }
+  await fsPromises
+    .rm(path.join(config.ORIGINALS_DIR, filename), { force: true })
+    .catch(() => {});
+}
+
+module.exports = {
+  PROFILES,
+  VIDEO_EXTENSIONS,
+  activeProfile,
+  convertMedia,
+  retainOriginal,
+  removeOriginal,
+};
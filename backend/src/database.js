@@ -1,59 +1,145 @@
 const fs = require("fs");
 const path = require("path");
 const initSqlJs = require("sql.js");
+const config = require("./config");
+const logger = require("./logger");
+const { dbPersistDuration } = require("./metrics");
+const {
+  applyMigrations,
+  backupDatabaseFile,
+  getMigrationStatus,
+  pendingMigrations,
+} = require("./migrator");
 
 const dbPath = path.resolve(__dirname, "../data/gifselector.db");
+const GIF_COLUMNS = `
+  g.id,
+  g.slug,
+  g.filename,
+  g.original_name AS originalName,
+  g.mime_type AS mimeType,
+  g.size_bytes AS sizeBytes,
+  g.sha256,
+  g.source_sha256 AS sourceSha256,
+  g.created_at AS createdAt,
+  g.title,
+  g.description,
+  g.owner_id AS ownerId,
+  (SELECT u.username FROM users u WHERE u.id = g.owner_id) AS ownerName,
+  g.shared,
+  g.original_filename AS originalFilename
+`;
+const MAX_TAGS_PER_GIF = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+const FLUSH_MAX_DELAY_MS = 5000;
 const sqlJsDistDir = path.dirname(require.resolve("sql.js/dist/sql-wasm.wasm"));
 let dbInstancePromise;
+let pendingDb = null;
+let flushTimer = null;
+let firstPendingAt = 0;
+let flushPromise = null;
+let flushingDb = null;
 
 function locateSqlJsFile(file) {
   return path.join(sqlJsDistDir, file);
 }
 
-async function initialiseDatabase() {
+async function openDatabaseFile() {
   const SQL = await initSqlJs({ locateFile: locateSqlJsFile });
   const existingFile = fs.existsSync(dbPath) ? fs.readFileSync(dbPath) : null;
   const db = existingFile ? new SQL.Database(existingFile) : new SQL.Database();
+  return { SQL, db, existingFile };
+}
 
-  db.run("PRAGMA foreign_keys = ON");
+async function initialiseDatabase() {
+  const { SQL, db, existingFile } = await openDatabaseFile();
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS gifs (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      slug TEXT NOT NULL UNIQUE,
-      filename TEXT NOT NULL,
-      original_name TEXT NOT NULL,
-      mime_type TEXT NOT NULL,
-      size_bytes INTEGER NOT NULL,
-      created_at TEXT NOT NULL DEFAULT (datetime('now'))
-    )
-  `);
+  db.run("PRAGMA foreign_keys = ON");
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS categories (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL UNIQUE,
-      created_at TEXT NOT NULL DEFAULT (datetime('now'))
-    )
-  `);
+  const pending = pendingMigrations(db);
+  if (pending.length > 0) {
+    if (existingFile) {
+      const { currentVersion } = getMigrationStatus(db);
+      const backupPath = backupDatabaseFile(dbPath, currentVersion);
+      logger.info("Backed up database before migrating", { backupPath });
+    }
+    applyMigrations(db, pending);
+    pending.forEach((migration) => {
+      logger.info("Applied database migration", {
+        migration: migration.file,
+      });
+    });
+  }
 
-  db.run(`
-    CREATE TABLE IF NOT EXISTS gif_categories (
-      gif_id INTEGER NOT NULL,
-      category_id INTEGER NOT NULL,
-      PRIMARY KEY (gif_id, category_id),
-      FOREIGN KEY (gif_id) REFERENCES gifs(id) ON DELETE CASCADE,
-      FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
-    )
-  `);
+  const indexed = selectValue(db, "SELECT COUNT(*) FROM gifs_fts");
+  const total = selectValue(db, "SELECT COUNT(*) FROM gifs");
+  if (indexed !== total) {
+    rebuildSearchIndex(db);
+  }
 
-  if (!existingFile) {
+  if (!existingFile || pending.length > 0 || indexed !== total) {
     persistDatabase(db);
   }
 
   return { SQL, db };
 }
 
+function selectValue(db, sql, params = {}) {
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  const value = stmt.step() ? stmt.get()[0] : null;
+  stmt.free();
+  return value;
+}
+
+function selectRows(db, sql, params = {}) {
+  const stmt = db.prepare(sql);
+  stmt.bind(params);
+  const rows = [];
+  while (stmt.step()) {
+    rows.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return rows;
+}
+
+function rebuildSearchIndex(db) {
+  db.run("DELETE FROM gifs_fts");
+  const stmt = db.prepare("SELECT id FROM gifs");
+  const ids = [];
+  while (stmt.step()) {
+    ids.push(stmt.get()[0]);
+  }
+  stmt.free();
+  ids.forEach((id) => indexGif(db, id));
+}
+
+function indexGif(db, gifId) {
+  const deleteStmt = db.prepare("DELETE FROM gifs_fts WHERE docid = :gifId");
+  deleteStmt.run({ ":gifId": gifId });
+  deleteStmt.free();
+  const insertStmt = db.prepare(`
+    INSERT INTO gifs_fts (docid, title, description, original_name, tags)
+    SELECT
+      g.id,
+      COALESCE(g.title, ''),
+      COALESCE(g.description, ''),
+      g.original_name,
+      COALESCE((
+        SELECT group_concat(t.name, ' ')
+        FROM gif_tags gt
+        INNER JOIN tags t ON t.id = gt.tag_id
+        WHERE gt.gif_id = g.id
+      ), '')
+    FROM gifs g
+    WHERE g.id = :gifId
+  `);
+  insertStmt.run({ ":gifId": gifId });
+  insertStmt.free();
+}
+
 function getDatabase() {
   if (!dbInstancePromise) {
     dbInstancePromise = initialiseDatabase();
@@ -61,17 +147,161 @@ function getDatabase() {
   return dbInstancePromise;
 }
 
+function exportDatabase(db) {
+  const data = Buffer.from(db.export());
+  // sql.js reopens the database on export, which resets connection pragmas.
+  db.run("PRAGMA foreign_keys = ON");
+  return data;
+}
+
+async function writeFileAtomic(targetPath, data) {
+  const directory = path.dirname(targetPath);
+  const tempPath = `${targetPath}.${process.pid}.tmp`;
+  await fs.promises.mkdir(directory, { recursive: true });
+  const handle = await fs.promises.open(tempPath, "w");
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+  await fs.promises.rename(tempPath, targetPath);
+  try {
+    const dirHandle = await fs.promises.open(directory, "r");
+    await dirHandle.sync().finally(() => dirHandle.close());
+  } catch (error) {
+    // Not every platform allows fsync on a directory.
+  }
+}
+
+function writeFileAtomicSync(targetPath, data) {
+  const tempPath = `${targetPath}.${process.pid}.tmp`;
+  fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+  const fd = fs.openSync(tempPath, "w");
+  try {
+    fs.writeFileSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, targetPath);
+}
+
 function persistDatabase(db) {
-  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
-  const data = db.export();
-  fs.writeFileSync(dbPath, Buffer.from(data));
+  pendingDb = db;
+  const now = Date.now();
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+  } else {
+    firstPendingAt = now;
+  }
+  const delay = Math.max(
+    0,
+    Math.min(
+      config.DB_FLUSH_DELAY_MS,
+      firstPendingAt + FLUSH_MAX_DELAY_MS - now,
+    ),
+  );
+  flushTimer = setTimeout(() => {
+    flushDatabase().catch((error) => {
+      logger.error("Failed to write database file", { error });
+    });
+  }, delay);
+}
+
+async function flushDatabase() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  while (flushPromise) {
+    await flushPromise.catch(() => {});
+  }
+  if (!pendingDb) {
+    return;
+  }
+  const db = pendingDb;
+  pendingDb = null;
+  flushingDb = db;
+  const stopTimer = dbPersistDuration.startTimer();
+  flushPromise = writeFileAtomic(dbPath, exportDatabase(db))
+    .then(() => {
+      stopTimer({ result: "success" });
+    })
+    .catch((error) => {
+      stopTimer({ result: "failure" });
+      pendingDb = pendingDb || db;
+      throw error;
+    })
+    .finally(() => {
+      flushingDb = null;
+      flushPromise = null;
+    });
+  await flushPromise;
+}
+
+function flushDatabaseSync() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+  const db = pendingDb || flushingDb;
+  if (!db) {
+    return;
+  }
+  pendingDb = null;
+  writeFileAtomicSync(dbPath, exportDatabase(db));
+}
+
+process.once("exit", () => {
+  try {
+    flushDatabaseSync();
+  } catch (error) {
+    logger.error("Failed to write database file on exit", { error });
+  }
+});
+
+// Throws unless the database has been loaded and answers queries.
+async function checkDatabase() {
+  const { db } = await getDatabase();
+  selectValue(db, "SELECT 1");
+}
+
+async function readMigrationStatus() {
+  if (dbInstancePromise) {
+    const { db } = await dbInstancePromise;
+    return getMigrationStatus(db);
+  }
+  const { db } = await openDatabaseFile();
+  try {
+    return getMigrationStatus(db);
+  } finally {
+    db.close();
+  }
+}
+
+async function migrateDatabase() {
+  await getDatabase();
+  await flushDatabase();
+  return readMigrationStatus();
 }
 
-async function addGif({ slug, filename, originalName, mimeType, sizeBytes }) {
+async function addGif({
+  slug,
+  filename,
+  originalName,
+  mimeType,
+  sizeBytes,
+  sha256 = null,
+  sourceSha256 = null,
+  phash = null,
+  ownerId = null,
+  originalFilename = null,
+}) {
   const { db } = await getDatabase();
   const stmt = db.prepare(`
-    INSERT INTO gifs (slug, filename, original_name, mime_type, size_bytes)
-    VALUES (:slug, :filename, :originalName, :mimeType, :sizeBytes)
+    INSERT INTO gifs (slug, filename, original_name, mime_type, size_bytes, sha256, source_sha256, phash, owner_id, original_filename)
+    VALUES (:slug, :filename, :originalName, :mimeType, :sizeBytes, :sha256, :sourceSha256, :phash, :ownerId, :originalFilename)
   `);
   stmt.run({
     ":slug": slug,
@@ -79,69 +309,229 @@ async function addGif({ slug, filename, originalName, mimeType, sizeBytes }) {
     ":originalName": originalName,
     ":mimeType": mimeType,
     ":sizeBytes": sizeBytes,
+    ":sha256": sha256,
+    ":sourceSha256": sourceSha256,
+    ":phash": phash,
+    ":ownerId": ownerId,
+    ":originalFilename": originalFilename,
   });
   stmt.free();
+  indexGif(db, selectValue(db, "SELECT last_insert_rowid()"));
   persistDatabase(db);
 }
 
-async function listGifs() {
+const GIF_SORT_KEYS = {
+  created: "g.created_at",
+  size: "g.size_bytes",
+  name: "COALESCE(g.title, g.original_name) COLLATE NOCASE",
+};
+
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  let decoded = null;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString());
+  } catch (error) {
+    decoded = null;
+  }
+  if (
+    !Array.isArray(decoded) ||
+    decoded.length !== 2 ||
+    !(
+      typeof decoded[0] === "string" ||
+      (typeof decoded[0] === "number" && Number.isFinite(decoded[0]))
+    ) ||
+    !Number.isInteger(decoded[1])
+  ) {
+    const error = new Error("Invalid cursor.");
+    error.code = "GIF_QUERY_INVALID";
+    throw error;
+  }
+  return decoded;
+}
+
+function visibilityCondition(alias, { viewerId, scope = "shared" } = {}) {
+  if (viewerId === undefined || scope === "all") {
+    return null;
+  }
+  if (scope === "mine") {
+    return `${alias}.owner_id = :viewerId`;
+  }
+  return `(${alias}.owner_id = :viewerId OR ${alias}.shared = 1)`;
+}
+
+function buildGifFilter({ categoryId, uncategorized, viewerId, scope } = {}) {
+  const conditions = [];
+  const params = {};
+  const visibility = visibilityCondition("g", { viewerId, scope });
+  if (visibility) {
+    conditions.push(visibility);
+    params[":viewerId"] = viewerId;
+  }
+  if (uncategorized) {
+    conditions.push(
+      "NOT EXISTS (SELECT 1 FROM gif_categories gc WHERE gc.gif_id = g.id)",
+    );
+  } else if (categoryId) {
+    conditions.push(
+      "EXISTS (SELECT 1 FROM gif_categories gc WHERE gc.gif_id = g.id AND gc.category_id = :categoryId)",
+    );
+    params[":categoryId"] = categoryId;
+  }
+  return { conditions, params };
+}
+
+async function listGifs({
+  cursor,
+  limit = 50,
+  sort = "created",
+  order = "desc",
+  categoryId,
+  uncategorized = false,
+  viewerId,
+  scope,
+} = {}) {
+  const sortExpression = GIF_SORT_KEYS[sort];
+  if (!sortExpression || (order !== "asc" && order !== "desc")) {
+    const error = new Error("Invalid sort.");
+    error.code = "GIF_QUERY_INVALID";
+    throw error;
+  }
   const { db } = await getDatabase();
+  const filter = buildGifFilter({
+    categoryId,
+    uncategorized,
+    viewerId,
+    scope,
+  });
+  const total = selectValue(
+    db,
+    `SELECT COUNT(*) FROM gifs g ${filter.conditions.length > 0 ? `WHERE ${filter.conditions.join(" AND ")}` : ""}`,
+    filter.params,
+  );
+
+  const conditions = [...filter.conditions];
+  const params = { ...filter.params, ":limit": limit + 1 };
+  const comparator = order === "asc" ? ">" : "<";
+  if (cursor) {
+    const [value, id] = decodeCursor(cursor);
+    conditions.push(
+      `(${sortExpression} ${comparator} :cursorValue OR (${sortExpression} = :cursorValue AND g.id ${comparator} :cursorId))`,
+    );
+    params[":cursorValue"] = value;
+    params[":cursorId"] = id;
+  }
+
+  const direction = order.toUpperCase();
   const stmt = db.prepare(`
-    SELECT id, slug, filename, original_name AS originalName, mime_type AS mimeType, size_bytes AS sizeBytes, created_at AS createdAt
-    FROM gifs
-    ORDER BY datetime(created_at) DESC
+    SELECT ${GIF_COLUMNS}, ${sortExpression} AS sortValue
+    FROM gifs g
+    ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+    ORDER BY ${sortExpression} ${direction}, g.id ${direction}
+    LIMIT :limit
   `);
+  stmt.bind(params);
   const results = [];
   while (stmt.step()) {
-    const record = stmt.getAsObject();
-    record.categories = [];
-    results.push(record);
+    results.push(stmt.getAsObject());
   }
   stmt.free();
 
-  if (results.length > 0) {
-    const placeholders = results.map((_, index) => `:gifId${index}`);
-    const relationQuery = `
-      SELECT
-        gc.gif_id AS gifId,
-        c.id AS categoryId,
-        c.name AS categoryName
-      FROM gif_categories gc
-      INNER JOIN categories c ON c.id = gc.category_id
-      WHERE gc.gif_id IN (${placeholders.join(", ")})
-      ORDER BY c.name COLLATE NOCASE
-    `;
-    const relationStmt = db.prepare(relationQuery);
-    const params = {};
-    results.forEach((gif, index) => {
-      params[`:gifId${index}`] = gif.id;
-    });
-    relationStmt.bind(params);
-    const assignments = new Map();
-    while (relationStmt.step()) {
-      const row = relationStmt.getAsObject();
-      if (!assignments.has(row.gifId)) {
-        assignments.set(row.gifId, []);
-      }
-      assignments
-        .get(row.gifId)
-        .push({ id: row.categoryId, name: row.categoryName });
-    }
-    relationStmt.free();
-    results.forEach((gif) => {
-      gif.categories = assignments.get(gif.id) || [];
-    });
+  let nextCursor = null;
+  if (results.length > limit) {
+    results.length = limit;
+    const last = results[limit - 1];
+    nextCursor = encodeCursor(last.sortValue, last.id);
   }
+  results.forEach((gif) => {
+    delete gif.sortValue;
+  });
+  attachRelations(db, results);
+  return { gifs: results, nextCursor, total };
+}
 
-  return results;
+async function getLibrarySummary({ viewerId, scope } = {}) {
+  const { db } = await getDatabase();
+  const filter = buildGifFilter({ viewerId, scope });
+  const stmt = db.prepare(`
+    SELECT
+      COUNT(*) AS totalCount,
+      COALESCE(SUM(g.size_bytes), 0) AS totalSize,
+      COALESCE(SUM(g.mime_type = 'image/gif'), 0) AS gifCount,
+      COALESCE(SUM(g.mime_type = 'image/webp'), 0) AS webpCount,
+      COALESCE(SUM(NOT EXISTS (
+        SELECT 1 FROM gif_categories gc WHERE gc.gif_id = g.id
+      )), 0) AS uncategorizedCount
+    FROM gifs g
+    ${filter.conditions.length > 0 ? `WHERE ${filter.conditions.join(" AND ")}` : ""}
+  `);
+  stmt.bind(filter.params);
+  const summary = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return summary;
+}
+
+function attachRelations(db, gifs) {
+  gifs.forEach((gif) => {
+    gif.categories = [];
+    gif.tags = [];
+  });
+  if (gifs.length === 0) {
+    return gifs;
+  }
+
+  const placeholders = gifs.map((_, index) => `:gifId${index}`).join(", ");
+  const params = {};
+  gifs.forEach((gif, index) => {
+    params[`:gifId${index}`] = gif.id;
+  });
+  const byId = new Map(gifs.map((gif) => [gif.id, gif]));
+
+  const categoryStmt = db.prepare(`
+    SELECT
+      gc.gif_id AS gifId,
+      c.id AS categoryId,
+      c.name AS categoryName
+    FROM gif_categories gc
+    INNER JOIN categories c ON c.id = gc.category_id
+    WHERE gc.gif_id IN (${placeholders})
+    ORDER BY c.name COLLATE NOCASE
+  `);
+  categoryStmt.bind(params);
+  while (categoryStmt.step()) {
+    const row = categoryStmt.getAsObject();
+    byId
+      .get(row.gifId)
+      ?.categories.push({ id: row.categoryId, name: row.categoryName });
+  }
+  categoryStmt.free();
+
+  const tagStmt = db.prepare(`
+    SELECT gt.gif_id AS gifId, t.name AS tagName
+    FROM gif_tags gt
+    INNER JOIN tags t ON t.id = gt.tag_id
+    WHERE gt.gif_id IN (${placeholders})
+    ORDER BY t.name COLLATE NOCASE
+  `);
+  tagStmt.bind(params);
+  while (tagStmt.step()) {
+    const row = tagStmt.getAsObject();
+    byId.get(row.gifId)?.tags.push(row.tagName);
+  }
+  tagStmt.free();
+
+  return gifs;
 }
 
 async function findGifBySlug(slug) {
   const { db } = await getDatabase();
   const stmt = db.prepare(`
-    SELECT id, slug, filename, original_name AS originalName, mime_type AS mimeType, size_bytes AS sizeBytes, created_at AS createdAt
-    FROM gifs
-    WHERE slug = :slug
+    SELECT ${GIF_COLUMNS}
+    FROM gifs g
+    WHERE g.slug = :slug
     LIMIT 1
   `);
   stmt.bind({ ":slug": slug });
@@ -150,8 +540,265 @@ async function findGifBySlug(slug) {
   return gif;
 }
 
+// Matches the stored file as well as the file as it was received, so a file
+// that was converted after upload is still recognised when sent again.
+async function findGifByHash(sha256, { viewerId, scope } = {}) {
+  const { db } = await getDatabase();
+  const visibility = visibilityCondition("g", { viewerId, scope });
+  const stmt = db.prepare(`
+    SELECT ${GIF_COLUMNS}
+    FROM gifs g
+    WHERE (g.sha256 = :sha256 OR g.source_sha256 = :sha256)
+    ${visibility ? `AND ${visibility}` : ""}
+    ORDER BY g.id
+    LIMIT 1
+  `);
+  stmt.bind({
+    ":sha256": sha256,
+    ...(visibility ? { ":viewerId": viewerId } : {}),
+  });
+  const gif = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return gif;
+}
+
+async function listGifsWithoutHash() {
+  const { db } = await getDatabase();
+  return selectRows(
+    db,
+    "SELECT id, slug, filename FROM gifs WHERE sha256 IS NULL ORDER BY id",
+  );
+}
+
+async function setGifContentHash(gifId, sha256) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    UPDATE gifs
+    SET sha256 = :sha256,
+      source_sha256 = CASE
+        WHEN source_sha256 IS NULL AND original_filename IS NULL THEN :sha256
+        ELSE source_sha256
+      END
+    WHERE id = :id
+  `);
+  stmt.run({ ":sha256": sha256, ":id": gifId });
+  stmt.free();
+  persistDatabase(db);
+}
+
+async function listGifsWithoutPerceptualHash() {
+  const { db } = await getDatabase();
+  return selectRows(
+    db,
+    "SELECT id, slug, filename FROM gifs WHERE phash IS NULL ORDER BY id",
+  );
+}
+
+async function setGifPerceptualHash(gifId, phash) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare("UPDATE gifs SET phash = :phash WHERE id = :id");
+  stmt.run({ ":phash": phash, ":id": gifId });
+  stmt.free();
+  persistDatabase(db);
+}
+
+async function listPerceptuallyHashedGifs() {
+  const { db } = await getDatabase();
+  const gifs = selectRows(
+    db,
+    `
+      SELECT ${GIF_COLUMNS}, g.phash AS perceptualHash
+      FROM gifs g
+      WHERE g.phash IS NOT NULL
+      ORDER BY g.id
+    `,
+  );
+  return attachRelations(db, gifs);
+}
+
+async function updateGifFile(
+  gifId,
+  { filename, mimeType, sizeBytes, sha256, phash, originalFilename = null },
+) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    UPDATE gifs
+    SET filename = :filename, mime_type = :mimeType, size_bytes = :sizeBytes,
+      sha256 = :sha256, phash = :phash,
+      original_filename = COALESCE(:originalFilename, original_filename)
+    WHERE id = :id
+  `);
+  stmt.run({
+    ":id": gifId,
+    ":filename": filename,
+    ":mimeType": mimeType,
+    ":sizeBytes": sizeBytes,
+    ":sha256": sha256,
+    ":phash": phash,
+    ":originalFilename": originalFilename,
+  });
+  stmt.free();
+  persistDatabase(db);
+}
+
+async function listDuplicateGroups() {
+  const { db } = await getDatabase();
+  const gifs = selectRows(
+    db,
+    `
+      SELECT ${GIF_COLUMNS}
+      FROM gifs g
+      WHERE g.sha256 IN (
+        SELECT sha256
+        FROM gifs
+        WHERE sha256 IS NOT NULL
+        GROUP BY sha256
+        HAVING COUNT(*) > 1
+      )
+      ORDER BY g.sha256, datetime(g.created_at), g.id
+    `,
+  );
+  attachRelations(db, gifs);
+  const groups = new Map();
+  gifs.forEach((gif) => {
+    if (!groups.has(gif.sha256)) {
+      groups.set(gif.sha256, {
+        sha256: gif.sha256,
+        sizeBytes: gif.sizeBytes,
+        gifs: [],
+      });
+    }
+    groups.get(gif.sha256).gifs.push(gif);
+  });
+  return Array.from(groups.values());
+}
+
+async function mergeDuplicateGifs(survivorSlug, duplicateSlugs) {
+  const { db } = await getDatabase();
+  const findStmt = db.prepare(
+    `
+      SELECT id, slug, filename, sha256, original_filename AS originalFilename
+      FROM gifs
+      WHERE slug = :slug
+    `,
+  );
+  const lookup = (slug) => {
+    findStmt.bind({ ":slug": slug });
+    const row = findStmt.step() ? findStmt.getAsObject() : null;
+    findStmt.reset();
+    return row;
+  };
+  const survivor = lookup(survivorSlug);
+  const duplicates = Array.from(new Set(duplicateSlugs))
+    .filter((slug) => slug !== survivorSlug)
+    .map((slug) => ({ slug, row: lookup(slug) }));
+  findStmt.free();
+  if (!survivor) {
+    return null;
+  }
+  duplicates.forEach(({ slug, row }) => {
+    if (!row || !survivor.sha256 || row.sha256 !== survivor.sha256) {
+      const error = new Error(`${slug} is not a duplicate of ${survivorSlug}.`);
+      error.code = "DUPLICATE_INVALID";
+      throw error;
+    }
+  });
+
+  db.run("BEGIN TRANSACTION");
+  try {
+    const moveStmt = db.prepare(`
+      INSERT OR IGNORE INTO gif_categories (gif_id, category_id)
+      SELECT :survivorId, category_id
+      FROM gif_categories
+      WHERE gif_id = :duplicateId
+    `);
+    const moveLinksStmt = db.prepare(`
+      UPDATE share_links SET gif_id = :survivorId WHERE gif_id = :duplicateId
+    `);
+    // Tags the survivor lacks, up to its tag limit.
+    const moveTagsStmt = db.prepare(`
+      INSERT OR IGNORE INTO gif_tags (gif_id, tag_id)
+      SELECT :survivorId, tag_id
+      FROM gif_tags
+      WHERE gif_id = :duplicateId
+        AND tag_id NOT IN (
+          SELECT tag_id FROM gif_tags WHERE gif_id = :survivorId
+        )
+      ORDER BY tag_id
+      LIMIT MAX(
+        0,
+        :maxTags - (SELECT COUNT(*) FROM gif_tags WHERE gif_id = :survivorId)
+      )
+    `);
+    // An empty title or description is taken from the first duplicate that
+    // has one.
+    const fillDetailsStmt = db.prepare(`
+      UPDATE gifs
+      SET
+        title = CASE
+          WHEN COALESCE(title, '') = ''
+            THEN (SELECT d.title FROM gifs d WHERE d.id = :duplicateId)
+          ELSE title
+        END,
+        description = CASE
+          WHEN COALESCE(description, '') = ''
+            THEN (SELECT d.description FROM gifs d WHERE d.id = :duplicateId)
+          ELSE description
+        END
+      WHERE id = :survivorId
+    `);
+    const ftsStmt = db.prepare("DELETE FROM gifs_fts WHERE docid = :id");
+    const deleteStmt = db.prepare("DELETE FROM gifs WHERE id = :id");
+    duplicates.forEach(({ row }) => {
+      moveStmt.run({ ":survivorId": survivor.id, ":duplicateId": row.id });
+      moveLinksStmt.run({
+        ":survivorId": survivor.id,
+        ":duplicateId": row.id,
+      });
+      moveTagsStmt.run({
+        ":survivorId": survivor.id,
+        ":duplicateId": row.id,
+        ":maxTags": MAX_TAGS_PER_GIF,
+      });
+      fillDetailsStmt.run({
+        ":survivorId": survivor.id,
+        ":duplicateId": row.id,
+      });
+      ftsStmt.run({ ":id": row.id });
+      deleteStmt.run({ ":id": row.id });
+    });
+    moveStmt.free();
+    moveLinksStmt.free();
+    moveTagsStmt.free();
+    fillDetailsStmt.free();
+    ftsStmt.free();
+    deleteStmt.free();
+    indexGif(db, survivor.id);
+    db.run("COMMIT");
+  } catch (error) {
+    db.run("ROLLBACK");
+    throw error;
+  }
+
+  persistDatabase(db);
+  return {
+    survivor: findGifWithRelations(db, survivor.id),
+    removed: duplicates.map(({ row }) => ({
+      slug: row.slug,
+      filename: row.filename,
+      originalFilename: row.originalFilename,
+    })),
+  };
+}
+
 async function deleteGifBySlug(slug) {
   const { db } = await getDatabase();
+  const ftsStmt = db.prepare(`
+    DELETE FROM gifs_fts
+    WHERE docid = (SELECT id FROM gifs WHERE slug = :slug)
+  `);
+  ftsStmt.run({ ":slug": slug });
+  ftsStmt.free();
   const stmt = db.prepare(`
     DELETE FROM gifs
     WHERE slug = :slug
@@ -166,13 +813,26 @@ async function deleteGifBySlug(slug) {
   return false;
 }
 
-async function listCategories() {
+const CATEGORY_COLUMNS = `
+  c.id AS id,
+  c.name AS name,
+  c.created_at AS createdAt,
+  c.owner_id AS ownerId,
+  (SELECT u.username FROM users u WHERE u.id = c.owner_id) AS ownerName,
+  c.shared AS shared,
+  c.visibility AS visibility,
+  c.public_slug AS publicSlug,
+  c.access_token AS accessToken
+`;
+
+const CATEGORY_VISIBILITIES = ["private", "public", "unlisted"];
+
+async function listCategories({ viewerId, scope } = {}) {
   const { db } = await getDatabase();
+  const visibility = visibilityCondition("c", { viewerId, scope });
   const stmt = db.prepare(`
     SELECT
-      c.id AS id,
-      c.name AS name,
-      c.created_at AS createdAt,
+      ${CATEGORY_COLUMNS},
       COALESCE(g.count, 0) AS gifCount
     FROM categories c
     LEFT JOIN (
@@ -180,8 +840,12 @@ async function listCategories() {
       FROM gif_categories
       GROUP BY category_id
     ) g ON g.category_id = c.id
+    ${visibility ? `WHERE ${visibility}` : ""}
     ORDER BY c.name COLLATE NOCASE
   `);
+  if (visibility) {
+    stmt.bind({ ":viewerId": viewerId });
+  }
   const categories = [];
   while (stmt.step()) {
     categories.push(stmt.getAsObject());
@@ -190,7 +854,25 @@ async function listCategories() {
   return categories;
 }
 
-async function addCategory(name) {
+async function findCategoryById(categoryId) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT
+      ${CATEGORY_COLUMNS},
+      (
+        SELECT COUNT(*) FROM gif_categories gc WHERE gc.category_id = c.id
+      ) AS gifCount
+    FROM categories c
+    WHERE c.id = :id
+    LIMIT 1
+  `);
+  stmt.bind({ ":id": categoryId });
+  const category = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return category;
+}
+
+async function addCategory(name, { ownerId = null, shared = false } = {}) {
   const trimmedName = (name || "").trim();
   if (!trimmedName) {
     const error = new Error("Category name is required.");
@@ -198,17 +880,33 @@ async function addCategory(name) {
     throw error;
   }
   const { db } = await getDatabase();
+  // Names only clash with the owner's own categories, so the error never
+  // gives away another user's private category.
+  const existing = selectValue(
+    db,
+    "SELECT id FROM categories WHERE name = :name AND owner_id IS :ownerId",
+    { ":name": trimmedName, ":ownerId": ownerId },
+  );
+  if (existing !== null) {
+    const duplicateError = new Error("Category name already exists.");
+    duplicateError.code = "CATEGORY_NAME_DUPLICATE";
+    throw duplicateError;
+  }
   try {
     const stmt = db.prepare(`
-      INSERT INTO categories (name)
-      VALUES (:name)
+      INSERT INTO categories (name, owner_id, shared)
+      VALUES (:name, :ownerId, :shared)
     `);
-    stmt.run({ ":name": trimmedName });
+    stmt.run({
+      ":name": trimmedName,
+      ":ownerId": ownerId,
+      ":shared": shared ? 1 : 0,
+    });
     stmt.free();
     const fetchStmt = db.prepare(`
-      SELECT id, name, created_at AS createdAt
-      FROM categories
-      WHERE id = last_insert_rowid()
+      SELECT ${CATEGORY_COLUMNS}
+      FROM categories c
+      WHERE c.id = last_insert_rowid()
       LIMIT 1
     `);
     const category = fetchStmt.step() ? fetchStmt.getAsObject() : null;
@@ -251,14 +949,119 @@ async function deleteCategoryById(categoryId) {
   return false;
 }
 
-async function setGifCategories(slug, categoryIds) {
+function uniqueCollectionSlug(db, name, categoryId) {
+  const base =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "") || `collection-${categoryId}`;
+  let slug = base;
+  for (let suffix = 2; ; suffix += 1) {
+    const taken = selectValue(
+      db,
+      "SELECT id FROM categories WHERE public_slug = :slug",
+      { ":slug": slug },
+    );
+    if (taken === null) {
+      return slug;
+    }
+    slug = `${base}-${suffix}`;
+  }
+}
+
+// Makes a category private, public or unlisted. A category keeps the
+// collection slug it gets when first published, so its public links stay
+// stable. `accessToken`, when given, replaces the secret of an unlisted
+// collection. Returns the updated category, or null if it does not exist.
+async function updateCategoryVisibility(
+  categoryId,
+  { visibility, accessToken } = {},
+) {
+  if (!CATEGORY_VISIBILITIES.includes(visibility)) {
+    const error = new Error("visibility must be private, public or unlisted.");
+    error.code = "CATEGORY_VISIBILITY_INVALID";
+    throw error;
+  }
   const { db } = await getDatabase();
-  const lookupStmt = db.prepare(`
-    SELECT id
-    FROM gifs
-    WHERE slug = :slug
-    LIMIT 1
-  `);
+  const [category] = selectRows(
+    db,
+    `
+      SELECT name, public_slug AS publicSlug, access_token AS accessToken
+      FROM categories
+      WHERE id = :id
+    `,
+    { ":id": categoryId },
+  );
+  if (!category) {
+    return null;
+  }
+  const publicSlug =
+    category.publicSlug ||
+    (visibility === "private"
+      ? null
+      : uniqueCollectionSlug(db, category.name, categoryId));
+  const token = accessToken || category.accessToken;
+  if (visibility === "unlisted" && !token) {
+    const error = new Error("Unlisted collections need an access token.");
+    error.code = "CATEGORY_VISIBILITY_INVALID";
+    throw error;
+  }
+  const stmt = db.prepare(`
+    UPDATE categories
+    SET visibility = :visibility, public_slug = :publicSlug,
+      access_token = :accessToken
+    WHERE id = :id
+  `);
+  stmt.run({
+    ":visibility": visibility,
+    ":publicSlug": publicSlug,
+    ":accessToken": token,
+    ":id": categoryId,
+  });
+  stmt.free();
+  persistDatabase(db);
+  return findCategoryById(categoryId);
+}
+
+async function findPublicCollection(slug) {
+  const { db } = await getDatabase();
+  const [category] = selectRows(
+    db,
+    `
+      SELECT ${CATEGORY_COLUMNS}
+      FROM categories c
+      WHERE c.public_slug = :slug AND c.visibility != 'private'
+    `,
+    { ":slug": slug },
+  );
+  return category || null;
+}
+
+// Unlisted collections are left out; they are only reachable by link.
+async function listPublicCollections() {
+  const { db } = await getDatabase();
+  return selectRows(
+    db,
+    `
+      SELECT
+        ${CATEGORY_COLUMNS},
+        (SELECT COUNT(*) FROM gif_categories gc WHERE gc.category_id = c.id)
+          AS gifCount
+      FROM categories c
+      WHERE c.visibility = 'public'
+      ORDER BY c.name COLLATE NOCASE
+    `,
+  );
+}
+
+async function setGifCategories(slug, categoryIds, { viewerId, scope } = {}) {
+  const { db } = await getDatabase();
+  const lookupStmt = db.prepare(`
+    SELECT id
+    FROM gifs
+    WHERE slug = :slug
+    LIMIT 1
+  `);
   lookupStmt.bind({ ":slug": slug });
   const gifRow = lookupStmt.step() ? lookupStmt.getAsObject() : null;
   lookupStmt.free();
@@ -278,12 +1081,14 @@ async function setGifCategories(slug, categoryIds) {
 
   if (uniqueIds.length > 0) {
     const placeholders = uniqueIds.map((_, index) => `:category${index}`);
+    const visibility = visibilityCondition("c", { viewerId, scope });
     const validateStmt = db.prepare(`
-      SELECT id, name
-      FROM categories
-      WHERE id IN (${placeholders.join(", ")})
+      SELECT c.id, c.name
+      FROM categories c
+      WHERE c.id IN (${placeholders.join(", ")})
+      ${visibility ? `AND ${visibility}` : ""}
     `);
-    const params = {};
+    const params = visibility ? { ":viewerId": viewerId } : {};
     uniqueIds.forEach((value, index) => {
       params[`:category${index}`] = value;
     });
@@ -335,76 +1140,1486 @@ async function setGifCategories(slug, categoryIds) {
   return validatedCategories;
 }
 
-async function getGifsByCategory(categoryIdentifier) {
+async function getGifsByCategory(categoryId) {
   const { db } = await getDatabase();
 
-  const isNumeric = /^\d+$/.test(String(categoryIdentifier));
-  const whereClause = isNumeric
-    ? "(c.id = :val OR c.name = :val)"
-    : "c.name = :val";
-
   const stmt = db.prepare(`
-    SELECT g.id, g.slug, g.filename, g.original_name AS originalName, g.mime_type AS mimeType, g.size_bytes AS sizeBytes, g.created_at AS createdAt
+    SELECT ${GIF_COLUMNS}
     FROM gifs g
     JOIN gif_categories gc ON g.id = gc.gif_id
-    JOIN categories c ON gc.category_id = c.id
-    WHERE ${whereClause}
+    WHERE gc.category_id = :categoryId
     ORDER BY datetime(g.created_at) DESC
   `);
-  stmt.bind({ ":val": categoryIdentifier });
+  stmt.bind({ ":categoryId": categoryId });
   const results = [];
   while (stmt.step()) {
-    const row = stmt.getAsObject();
-    row.categories = [];
-    results.push(row);
+    results.push(stmt.getAsObject());
   }
   stmt.free();
+  attachRelations(db, results);
+  return results;
+}
 
-  if (results.length > 0) {
-    const placeholders = results.map((_, index) => `:gifId${index}`);
-    const relationQuery = `
-      SELECT
-        gc.gif_id AS gifId,
-        c.id AS categoryId,
-        c.name AS categoryName
-      FROM gif_categories gc
-      INNER JOIN categories c ON c.id = gc.category_id
-      WHERE gc.gif_id IN (${placeholders.join(", ")})
-      ORDER BY c.name COLLATE NOCASE
-    `;
-    const relationStmt = db.prepare(relationQuery);
-    const params = {};
-    results.forEach((gif, index) => {
-      params[`:gifId${index}`] = gif.id;
+function normalizeTags(input) {
+  const raw = Array.isArray(input)
+    ? input
+    : typeof input === "string"
+      ? input.split(",")
+      : [];
+  const seen = new Set();
+  const tags = [];
+  for (const value of raw) {
+    if (typeof value !== "string") {
+      continue;
+    }
+    const tag = value.trim().replace(/\s+/g, " ").toLowerCase();
+    if (!tag || seen.has(tag)) {
+      continue;
+    }
+    if (tag.length > MAX_TAG_LENGTH) {
+      const error = new Error(
+        `Tags must be at most ${MAX_TAG_LENGTH} characters.`,
+      );
+      error.code = "TAG_INVALID";
+      throw error;
+    }
+    seen.add(tag);
+    tags.push(tag);
+  }
+  if (tags.length > MAX_TAGS_PER_GIF) {
+    const error = new Error(`A GIF can have at most ${MAX_TAGS_PER_GIF} tags.`);
+    error.code = "TAG_INVALID";
+    throw error;
+  }
+  return tags;
+}
+
+function normalizeText(value, maxLength, label) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (typeof value !== "string") {
+    const error = new Error(`${label} must be a string.`);
+    error.code = "GIF_DETAILS_INVALID";
+    throw error;
+  }
+  const trimmed = value.trim();
+  if (trimmed.length > maxLength) {
+    const error = new Error(
+      `${label} must be at most ${maxLength} characters.`,
+    );
+    error.code = "GIF_DETAILS_INVALID";
+    throw error;
+  }
+  return trimmed || null;
+}
+
+async function updateGifDetails(
+  slug,
+  { title, description, tags, shared } = {},
+) {
+  const { db } = await getDatabase();
+  const gifId = selectValue(db, "SELECT id FROM gifs WHERE slug = :slug", {
+    ":slug": slug,
+  });
+  if (gifId === null) {
+    return null;
+  }
+
+  const updates = {};
+  if (title !== undefined) {
+    updates.title = normalizeText(title, MAX_TITLE_LENGTH, "Title");
+  }
+  if (description !== undefined) {
+    updates.description = normalizeText(
+      description,
+      MAX_DESCRIPTION_LENGTH,
+      "Description",
+    );
+  }
+  if (shared !== undefined) {
+    if (typeof shared !== "boolean") {
+      const error = new Error("shared must be a boolean.");
+      error.code = "GIF_DETAILS_INVALID";
+      throw error;
+    }
+    updates.shared = shared ? 1 : 0;
+  }
+  const nextTags = tags !== undefined ? normalizeTags(tags) : null;
+
+  db.run("BEGIN TRANSACTION");
+  try {
+    Object.entries(updates).forEach(([column, value]) => {
+      const updateStmt = db.prepare(
+        `UPDATE gifs SET ${column} = :value WHERE id = :gifId`,
+      );
+      updateStmt.run({ ":value": value, ":gifId": gifId });
+      updateStmt.free();
     });
-    relationStmt.bind(params);
-    const assignments = new Map();
-    while (relationStmt.step()) {
-      const row = relationStmt.getAsObject();
-      if (!assignments.has(row.gifId)) {
-        assignments.set(row.gifId, []);
+
+    if (nextTags) {
+      const deleteStmt = db.prepare(
+        "DELETE FROM gif_tags WHERE gif_id = :gifId",
+      );
+      deleteStmt.run({ ":gifId": gifId });
+      deleteStmt.free();
+
+      insertGifTags(db, gifId, nextTags);
+
+      db.run(`
+        DELETE FROM tags
+        WHERE id NOT IN (SELECT DISTINCT tag_id FROM gif_tags)
+      `);
+    }
+
+    indexGif(db, gifId);
+    db.run("COMMIT");
+  } catch (error) {
+    db.run("ROLLBACK");
+    throw error;
+  }
+
+  persistDatabase(db);
+  return findGifWithRelations(db, gifId);
+}
+
+function findGifWithRelations(db, gifId) {
+  const stmt = db.prepare(`
+    SELECT ${GIF_COLUMNS}
+    FROM gifs g
+    WHERE g.id = :gifId
+    LIMIT 1
+  `);
+  stmt.bind({ ":gifId": gifId });
+  const gif = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return gif ? attachRelations(db, [gif])[0] : null;
+}
+
+function buildSearchQuery(input) {
+  const terms = String(input || "").match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms
+    .slice(0, 10)
+    .map((term) => `${term.toLowerCase()}*`)
+    .join(" ");
+}
+
+async function searchGifs(query, { limit = 100, viewerId, scope } = {}) {
+  const match = buildSearchQuery(query);
+  if (!match) {
+    return [];
+  }
+  const { db } = await getDatabase();
+  const filter = buildGifFilter({ viewerId, scope });
+  const stmt = db.prepare(`
+    SELECT ${GIF_COLUMNS}
+    FROM gifs_fts f
+    INNER JOIN gifs g ON g.id = f.docid
+    WHERE gifs_fts MATCH :match
+    ${filter.conditions.map((condition) => `AND ${condition}`).join(" ")}
+    ORDER BY datetime(g.created_at) DESC
+    LIMIT :limit
+  `);
+  stmt.bind({ ...filter.params, ":match": match, ":limit": limit });
+  const results = [];
+  while (stmt.step()) {
+    results.push(stmt.getAsObject());
+  }
+  stmt.free();
+  attachRelations(db, results);
+  return results;
+}
+
+async function readLibrarySnapshot() {
+  const { db } = await getDatabase();
+  const gifs = selectRows(
+    db,
+    `
+      SELECT ${GIF_COLUMNS}
+      FROM gifs g
+      ORDER BY g.id
+    `,
+  );
+  const byId = new Map(
+    gifs.map((gif) => [gif.id, { ...gif, tags: [], categoryIds: [] }]),
+  );
+  selectRows(
+    db,
+    `
+      SELECT gt.gif_id AS gifId, t.name AS tagName
+      FROM gif_tags gt
+      INNER JOIN tags t ON t.id = gt.tag_id
+      ORDER BY t.name COLLATE NOCASE
+    `,
+  ).forEach((row) => byId.get(row.gifId)?.tags.push(row.tagName));
+  selectRows(
+    db,
+    `
+      SELECT gif_id AS gifId, category_id AS categoryId
+      FROM gif_categories
+      ORDER BY gif_id, category_id
+    `,
+  ).forEach((row) => byId.get(row.gifId)?.categoryIds.push(row.categoryId));
+  const categories = selectRows(
+    db,
+    `
+      SELECT ${CATEGORY_COLUMNS}
+      FROM categories c
+      ORDER BY c.id
+    `,
+  );
+  return {
+    schemaVersion: getMigrationStatus(db).currentVersion,
+    gifs: Array.from(byId.values()),
+    categories,
+  };
+}
+
+async function listGifFiles() {
+  const { db } = await getDatabase();
+  return selectRows(db, "SELECT slug, filename, sha256 FROM gifs");
+}
+
+function insertGifTags(db, gifId, tags) {
+  const insertTagStmt = db.prepare(
+    "INSERT OR IGNORE INTO tags (name) VALUES (:name)",
+  );
+  const linkStmt = db.prepare(`
+    INSERT OR IGNORE INTO gif_tags (gif_id, tag_id)
+    SELECT :gifId, id FROM tags WHERE name = :name
+  `);
+  tags.forEach((name) => {
+    insertTagStmt.run({ ":name": name });
+    linkStmt.run({ ":gifId": gifId, ":name": name });
+  });
+  insertTagStmt.free();
+  linkStmt.free();
+}
+
+// Category names are unique per owner, so an imported category whose name
+// the owner already uses gets a numbered name instead.
+function uniqueCategoryName(db, name, ownerId) {
+  let candidate = name;
+  for (let suffix = 2; ; suffix += 1) {
+    const taken = selectValue(
+      db,
+      "SELECT id FROM categories WHERE name = :name AND owner_id IS :ownerId",
+      { ":name": candidate, ":ownerId": ownerId },
+    );
+    if (taken === null) {
+      return candidate;
+    }
+    candidate = `${name} (${suffix})`;
+  }
+}
+
+async function importLibrary({ mode, categories, gifs, importedBy }) {
+  const { db } = await getDatabase();
+  const normalizedGifs = gifs.map((gif) => ({
+    ...gif,
+    title: normalizeText(gif.title, MAX_TITLE_LENGTH, "Title"),
+    description: normalizeText(
+      gif.description,
+      MAX_DESCRIPTION_LENGTH,
+      "Description",
+    ),
+    tags: normalizeTags(gif.tags),
+  }));
+  let replacedFilenames = [];
+  let replacedOriginals = [];
+  let categoriesCreated = 0;
+
+  db.run("BEGIN TRANSACTION");
+  try {
+    if (mode === "replace") {
+      const replaced = selectRows(
+        db,
+        "SELECT filename, original_filename AS originalFilename FROM gifs",
+      );
+      replacedFilenames = replaced.map((row) => row.filename);
+      replacedOriginals = replaced
+        .map((row) => row.originalFilename)
+        .filter(Boolean);
+      db.run("DELETE FROM gifs_fts");
+      db.run("DELETE FROM gif_categories");
+      db.run("DELETE FROM gif_tags");
+      db.run("DELETE FROM gifs");
+      db.run("DELETE FROM categories");
+      db.run("DELETE FROM tags");
+    }
+
+    const categoryIds = new Map();
+    const insertCategoryStmt = db.prepare(`
+      INSERT INTO categories (
+        name, created_at, owner_id, shared, visibility, access_token
+      )
+      VALUES (
+        :name, COALESCE(:createdAt, datetime('now')), :ownerId, :shared,
+        :visibility, :accessToken
+      )
+    `);
+    const publishStmt = db.prepare(`
+      UPDATE categories SET public_slug = :publicSlug WHERE id = :id
+    `);
+    categories.forEach((category) => {
+      // Only the importing user's own categories are reused, so a merge never
+      // files GIFs into another user's category.
+      let categoryId = selectValue(
+        db,
+        "SELECT id FROM categories WHERE name = :name AND owner_id = :ownerId",
+        { ":name": category.name, ":ownerId": importedBy },
+      );
+      if (categoryId === null) {
+        insertCategoryStmt.run({
+          ":name": uniqueCategoryName(db, category.name, category.ownerId),
+          ":createdAt": category.createdAt,
+          ":ownerId": category.ownerId,
+          ":shared": category.shared ? 1 : 0,
+          ":visibility": category.visibility,
+          ":accessToken": category.accessToken,
+        });
+        categoryId = selectValue(db, "SELECT last_insert_rowid()");
+        categoriesCreated += 1;
+        if (category.visibility !== "private") {
+          // Keep the archived collection URL unless another collection has
+          // taken it in the meantime.
+          const slugTaken =
+            !category.publicSlug ||
+            selectValue(
+              db,
+              "SELECT id FROM categories WHERE public_slug = :slug",
+              { ":slug": category.publicSlug },
+            ) !== null;
+          publishStmt.run({
+            ":publicSlug": slugTaken
+              ? uniqueCollectionSlug(db, category.name, categoryId)
+              : category.publicSlug,
+            ":id": categoryId,
+          });
+        }
       }
-      assignments
-        .get(row.gifId)
-        .push({ id: row.categoryId, name: row.categoryName });
+      categoryIds.set(category.key, categoryId);
+    });
+    insertCategoryStmt.free();
+    publishStmt.free();
+
+    const insertGifStmt = db.prepare(`
+      INSERT INTO gifs (
+        slug, filename, original_name, mime_type, size_bytes, sha256,
+        source_sha256, created_at, title, description, owner_id, shared
+      )
+      VALUES (
+        :slug, :filename, :originalName, :mimeType, :sizeBytes, :sha256,
+        :sourceSha256, COALESCE(:createdAt, datetime('now')), :title, :description,
+        :ownerId, :shared
+      )
+    `);
+    const assignStmt = db.prepare(`
+      INSERT OR IGNORE INTO gif_categories (gif_id, category_id)
+      VALUES (:gifId, :categoryId)
+    `);
+    normalizedGifs.forEach((gif) => {
+      insertGifStmt.run({
+        ":slug": gif.slug,
+        ":filename": gif.filename,
+        ":originalName": gif.originalName,
+        ":mimeType": gif.mimeType,
+        ":sizeBytes": gif.sizeBytes,
+        ":sha256": gif.sha256,
+        ":sourceSha256": gif.sourceSha256,
+        ":createdAt": gif.createdAt,
+        ":title": gif.title,
+        ":description": gif.description,
+        ":ownerId": gif.ownerId,
+        ":shared": gif.shared ? 1 : 0,
+      });
+      const gifId = selectValue(db, "SELECT last_insert_rowid()");
+      insertGifTags(db, gifId, gif.tags);
+      gif.categoryKeys.forEach((key) => {
+        if (categoryIds.has(key)) {
+          assignStmt.run({
+            ":gifId": gifId,
+            ":categoryId": categoryIds.get(key),
+          });
+        }
+      });
+      indexGif(db, gifId);
+    });
+    insertGifStmt.free();
+    assignStmt.free();
+
+    db.run("COMMIT");
+  } catch (error) {
+    db.run("ROLLBACK");
+    throw error;
+  }
+
+  persistDatabase(db);
+  return { categoriesCreated, replacedFilenames, replacedOriginals };
+}
+
+const USER_COLUMNS = `
+  id,
+  username,
+  role,
+  disabled,
+  totp_enabled AS totpEnabled,
+  created_at AS createdAt,
+  updated_at AS updatedAt
+`;
+
+function toUser(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    ...row,
+    disabled: Boolean(row.disabled),
+    totpEnabled: Boolean(row.totpEnabled),
+  };
+}
+
+async function countUsers() {
+  const { db } = await getDatabase();
+  return selectValue(db, "SELECT COUNT(*) FROM users");
+}
+
+async function listUsers() {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT ${USER_COLUMNS}
+    FROM users
+    ORDER BY username COLLATE NOCASE
+  `);
+  const users = [];
+  while (stmt.step()) {
+    users.push(toUser(stmt.getAsObject()));
+  }
+  stmt.free();
+  return users;
+}
+
+async function findUserById(userId) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT ${USER_COLUMNS}
+    FROM users
+    WHERE id = :id
+    LIMIT 1
+  `);
+  stmt.bind({ ":id": userId });
+  const user = stmt.step() ? toUser(stmt.getAsObject()) : null;
+  stmt.free();
+  return user;
+}
+
+async function findUserCredentials(username) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT ${USER_COLUMNS}, password_hash AS passwordHash
+    FROM users
+    WHERE username = :username
+    LIMIT 1
+  `);
+  stmt.bind({ ":username": username });
+  const user = stmt.step() ? toUser(stmt.getAsObject()) : null;
+  stmt.free();
+  return user;
+}
+
+async function createUser({ username, passwordHash, role }) {
+  const { db } = await getDatabase();
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO users (username, password_hash, role)
+      VALUES (:username, :passwordHash, :role)
+    `);
+    stmt.run({
+      ":username": username,
+      ":passwordHash": passwordHash,
+      ":role": role,
+    });
+    stmt.free();
+  } catch (error) {
+    if (error?.message?.includes("UNIQUE")) {
+      const duplicateError = new Error("Username already exists.");
+      duplicateError.code = "USERNAME_DUPLICATE";
+      throw duplicateError;
     }
-    relationStmt.free();
-    results.forEach((gif) => {
-      gif.categories = assignments.get(gif.id) || [];
+    throw error;
+  }
+  const userId = selectValue(db, "SELECT last_insert_rowid()");
+  persistDatabase(db);
+  return findUserById(userId);
+}
+
+async function countActiveAdmins({ excludeUserId } = {}) {
+  const { db } = await getDatabase();
+  return selectValue(
+    db,
+    `
+      SELECT COUNT(*)
+      FROM users
+      WHERE role = 'admin' AND disabled = 0 AND id != :excludeUserId
+    `,
+    { ":excludeUserId": excludeUserId ?? 0 },
+  );
+}
+
+async function updateUser(userId, { role, disabled, passwordHash } = {}) {
+  const { db } = await getDatabase();
+  const updates = {};
+  if (role !== undefined) updates.role = role;
+  if (disabled !== undefined) updates.disabled = disabled ? 1 : 0;
+  if (passwordHash !== undefined) updates.password_hash = passwordHash;
+  const columns = Object.keys(updates);
+  if (columns.length > 0) {
+    const stmt = db.prepare(`
+      UPDATE users
+      SET ${columns.map((column) => `${column} = :${column}`).join(", ")},
+        updated_at = datetime('now')
+      WHERE id = :id
+    `);
+    const params = { ":id": userId };
+    columns.forEach((column) => {
+      params[`:${column}`] = updates[column];
     });
+    stmt.run(params);
+    stmt.free();
+    if (db.getRowsModified() > 0) {
+      persistDatabase(db);
+    }
   }
+  return findUserById(userId);
+}
 
-  return results;
+async function adoptUnownedContent(userId) {
+  const { db } = await getDatabase();
+  let modified = 0;
+  for (const table of ["gifs", "categories"]) {
+    const stmt = db.prepare(
+      `UPDATE ${table} SET owner_id = :userId WHERE owner_id IS NULL`,
+    );
+    stmt.run({ ":userId": userId });
+    stmt.free();
+    modified += db.getRowsModified();
+  }
+  if (modified > 0) {
+    persistDatabase(db);
+  }
+  return modified;
+}
+
+async function findUserTotp(userId) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT
+      totp_secret AS secret,
+      totp_enabled AS enabled,
+      totp_last_step AS lastStep
+    FROM users
+    WHERE id = :id
+    LIMIT 1
+  `);
+  stmt.bind({ ":id": userId });
+  const row = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return row ? { ...row, enabled: Boolean(row.enabled) } : null;
+}
+
+async function setPendingTotpSecret(userId, secret) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    UPDATE users
+    SET totp_secret = :secret, totp_last_step = NULL
+    WHERE id = :id AND totp_enabled = 0
+  `);
+  stmt.run({ ":id": userId, ":secret": secret });
+  stmt.free();
+  const updated = db.getRowsModified() > 0;
+  if (updated) {
+    persistDatabase(db);
+  }
+  return updated;
+}
+
+function insertRecoveryCodes(db, userId, codeHashes) {
+  db.run("DELETE FROM recovery_codes WHERE user_id = :userId", {
+    ":userId": userId,
+  });
+  const stmt = db.prepare(`
+    INSERT INTO recovery_codes (user_id, code_hash)
+    VALUES (:userId, :codeHash)
+  `);
+  codeHashes.forEach((codeHash) => {
+    stmt.run({ ":userId": userId, ":codeHash": codeHash });
+  });
+  stmt.free();
+}
+
+async function enableTotp(userId, { lastStep, recoveryCodeHashes }) {
+  const { db } = await getDatabase();
+  db.run("BEGIN TRANSACTION");
+  try {
+    db.run(
+      `
+        UPDATE users
+        SET totp_enabled = 1, totp_last_step = :lastStep,
+          updated_at = datetime('now')
+        WHERE id = :id
+      `,
+      { ":id": userId, ":lastStep": lastStep },
+    );
+    insertRecoveryCodes(db, userId, recoveryCodeHashes);
+    db.run("COMMIT");
+  } catch (error) {
+    db.run("ROLLBACK");
+    throw error;
+  }
+  persistDatabase(db);
+}
+
+async function disableTotp(userId) {
+  const { db } = await getDatabase();
+  db.run("BEGIN TRANSACTION");
+  try {
+    db.run(
+      `
+        UPDATE users
+        SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL,
+          updated_at = datetime('now')
+        WHERE id = :id
+      `,
+      { ":id": userId },
+    );
+    db.run("DELETE FROM recovery_codes WHERE user_id = :userId", {
+      ":userId": userId,
+    });
+    db.run("COMMIT");
+  } catch (error) {
+    db.run("ROLLBACK");
+    throw error;
+  }
+  persistDatabase(db);
+}
+
+async function recordTotpStep(userId, step) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    UPDATE users
+    SET totp_last_step = :step
+    WHERE id = :id AND (totp_last_step IS NULL OR totp_last_step < :step)
+  `);
+  stmt.run({ ":id": userId, ":step": step });
+  stmt.free();
+  const accepted = db.getRowsModified() > 0;
+  if (accepted) {
+    persistDatabase(db);
+  }
+  return accepted;
+}
+
+async function replaceRecoveryCodes(userId, codeHashes) {
+  const { db } = await getDatabase();
+  db.run("BEGIN TRANSACTION");
+  try {
+    insertRecoveryCodes(db, userId, codeHashes);
+    db.run("COMMIT");
+  } catch (error) {
+    db.run("ROLLBACK");
+    throw error;
+  }
+  persistDatabase(db);
+}
+
+async function consumeRecoveryCode(userId, codeHash) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    DELETE FROM recovery_codes
+    WHERE id = (
+      SELECT id FROM recovery_codes
+      WHERE user_id = :userId AND code_hash = :codeHash
+      LIMIT 1
+    )
+  `);
+  stmt.run({ ":userId": userId, ":codeHash": codeHash });
+  stmt.free();
+  const consumed = db.getRowsModified() > 0;
+  if (consumed) {
+    persistDatabase(db);
+  }
+  return consumed;
+}
+
+async function countRecoveryCodes(userId) {
+  const { db } = await getDatabase();
+  return selectValue(
+    db,
+    "SELECT COUNT(*) FROM recovery_codes WHERE user_id = :userId",
+    { ":userId": userId },
+  );
+}
+
+function readRateLimitEntry(db, key, now) {
+  const stmt = db.prepare(`
+    SELECT count, reset_at AS resetAt
+    FROM rate_limits
+    WHERE key = :key AND reset_at > :now
+  `);
+  stmt.bind({ ":key": key, ":now": now });
+  const entry = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return entry;
+}
+
+function writeRateLimitEntry(db, key, { count, resetAt }) {
+  const stmt = db.prepare(`
+    INSERT INTO rate_limits (key, count, reset_at)
+    VALUES (:key, :count, :resetAt)
+    ON CONFLICT (key) DO UPDATE SET count = :count, reset_at = :resetAt
+  `);
+  stmt.run({ ":key": key, ":count": count, ":resetAt": resetAt });
+  stmt.free();
+}
+
+async function getRateLimitEntry(key, now) {
+  const { db } = await getDatabase();
+  return readRateLimitEntry(db, key, now);
+}
+
+async function setRateLimitEntry(key, entry) {
+  const { db } = await getDatabase();
+  writeRateLimitEntry(db, key, entry);
+  persistDatabase(db);
+}
+
+async function hitRateLimitEntry(key, windowMs, now) {
+  const { db } = await getDatabase();
+  const existing = readRateLimitEntry(db, key, now);
+  const entry = existing
+    ? { count: existing.count + 1, resetAt: existing.resetAt }
+    : { count: 1, resetAt: now + windowMs };
+  writeRateLimitEntry(db, key, entry);
+  persistDatabase(db);
+  return entry;
+}
+
+async function deleteRateLimitEntry(key) {
+  const { db } = await getDatabase();
+  db.run("DELETE FROM rate_limits WHERE key = :key", { ":key": key });
+  if (db.getRowsModified() > 0) {
+    persistDatabase(db);
+  }
+}
+
+async function sweepRateLimitEntries(now) {
+  const { db } = await getDatabase();
+  db.run("DELETE FROM rate_limits WHERE reset_at <= :now", { ":now": now });
+  if (db.getRowsModified() > 0) {
+    persistDatabase(db);
+  }
+}
+
+const API_TOKEN_COLUMNS = `
+  id,
+  user_id AS userId,
+  name,
+  token_prefix AS prefix,
+  scopes,
+  created_at AS createdAt,
+  last_used_at AS lastUsedAt
+`;
+
+function toApiToken(row) {
+  if (!row) {
+    return null;
+  }
+  return { ...row, scopes: row.scopes ? row.scopes.split(" ") : [] };
+}
+
+async function listApiTokens(userId) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT ${API_TOKEN_COLUMNS}
+    FROM api_tokens
+    WHERE user_id = :userId
+    ORDER BY created_at DESC, id DESC
+  `);
+  stmt.bind({ ":userId": userId });
+  const tokens = [];
+  while (stmt.step()) {
+    tokens.push(toApiToken(stmt.getAsObject()));
+  }
+  stmt.free();
+  return tokens;
+}
+
+async function countApiTokens(userId) {
+  const { db } = await getDatabase();
+  return selectValue(
+    db,
+    "SELECT COUNT(*) FROM api_tokens WHERE user_id = :userId",
+    { ":userId": userId },
+  );
+}
+
+async function createApiToken({ userId, name, tokenHash, prefix, scopes }) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    INSERT INTO api_tokens (user_id, name, token_hash, token_prefix, scopes)
+    VALUES (:userId, :name, :tokenHash, :prefix, :scopes)
+  `);
+  stmt.run({
+    ":userId": userId,
+    ":name": name,
+    ":tokenHash": tokenHash,
+    ":prefix": prefix,
+    ":scopes": scopes.join(" "),
+  });
+  stmt.free();
+  const tokenId = selectValue(db, "SELECT last_insert_rowid()");
+  persistDatabase(db);
+  const lookup = db.prepare(
+    `SELECT ${API_TOKEN_COLUMNS} FROM api_tokens WHERE id = :id`,
+  );
+  lookup.bind({ ":id": tokenId });
+  const token = lookup.step() ? toApiToken(lookup.getAsObject()) : null;
+  lookup.free();
+  return token;
+}
+
+async function findApiTokenByHash(tokenHash) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT ${API_TOKEN_COLUMNS}
+    FROM api_tokens
+    WHERE token_hash = :tokenHash
+    LIMIT 1
+  `);
+  stmt.bind({ ":tokenHash": tokenHash });
+  const token = stmt.step() ? toApiToken(stmt.getAsObject()) : null;
+  stmt.free();
+  return token;
+}
+
+async function touchApiToken(tokenId) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    UPDATE api_tokens
+    SET last_used_at = datetime('now')
+    WHERE id = :id
+      AND (last_used_at IS NULL OR last_used_at < datetime('now', '-1 minute'))
+  `);
+  stmt.run({ ":id": tokenId });
+  stmt.free();
+  if (db.getRowsModified() > 0) {
+    persistDatabase(db);
+  }
+}
+
+const SHARE_LINK_COLUMNS = `
+  l.id AS id,
+  l.token AS token,
+  l.gif_id AS gifId,
+  (SELECT g.slug FROM gifs g WHERE g.id = l.gif_id) AS gifSlug,
+  l.created_by AS createdBy,
+  l.expires_at AS expiresAt,
+  l.max_views AS maxViews,
+  l.view_count AS viewCount,
+  l.password_hash AS passwordHash,
+  l.created_at AS createdAt,
+  (l.expires_at IS NOT NULL AND l.expires_at <= datetime('now')) AS expired
+`;
+
+async function createShareLink({
+  gifId,
+  token,
+  createdBy,
+  expiresAt = null,
+  maxViews = null,
+  passwordHash = null,
+}) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    INSERT INTO share_links
+      (token, gif_id, created_by, expires_at, max_views, password_hash)
+    VALUES
+      (:token, :gifId, :createdBy, datetime(:expiresAt), :maxViews,
+        :passwordHash)
+  `);
+  stmt.run({
+    ":token": token,
+    ":gifId": gifId,
+    ":createdBy": createdBy,
+    ":expiresAt": expiresAt,
+    ":maxViews": maxViews,
+    ":passwordHash": passwordHash,
+  });
+  stmt.free();
+  const linkId = selectValue(db, "SELECT last_insert_rowid()");
+  persistDatabase(db);
+  const [link] = selectRows(
+    db,
+    `SELECT ${SHARE_LINK_COLUMNS} FROM share_links l WHERE l.id = :id`,
+    { ":id": linkId },
+  );
+  return link || null;
+}
+
+async function listShareLinks(gifId) {
+  const { db } = await getDatabase();
+  return selectRows(
+    db,
+    `
+      SELECT ${SHARE_LINK_COLUMNS}
+      FROM share_links l
+      WHERE l.gif_id = :gifId
+      ORDER BY l.created_at DESC, l.id DESC
+    `,
+    { ":gifId": gifId },
+  );
+}
+
+async function findShareLinkByToken(token) {
+  const { db } = await getDatabase();
+  const [link] = selectRows(
+    db,
+    `SELECT ${SHARE_LINK_COLUMNS} FROM share_links l WHERE l.token = :token`,
+    { ":token": token },
+  );
+  return link || null;
+}
+
+// Counts one view. Returns false, without counting, when the link has
+// already been viewed `max_views` times.
+async function recordShareLinkView(linkId) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    UPDATE share_links
+    SET view_count = view_count + 1
+    WHERE id = :id AND (max_views IS NULL OR view_count < max_views)
+  `);
+  stmt.run({ ":id": linkId });
+  stmt.free();
+  const counted = db.getRowsModified() > 0;
+  if (counted) {
+    persistDatabase(db);
+  }
+  return counted;
+}
+
+async function deleteShareLink(linkId, { gifId } = {}) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(
+    "DELETE FROM share_links WHERE id = :id AND gif_id = :gifId",
+  );
+  stmt.run({ ":id": linkId, ":gifId": gifId });
+  stmt.free();
+  const deleted = db.getRowsModified() > 0;
+  if (deleted) {
+    persistDatabase(db);
+  }
+  return deleted;
+}
+
+async function recordShareHit({ slug, refererHost, clientType }) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    INSERT INTO share_hits (slug, referer_host, client_type)
+    VALUES (:slug, :refererHost, :clientType)
+  `);
+  stmt.run({
+    ":slug": slug,
+    ":refererHost": refererHost,
+    ":clientType": clientType,
+  });
+  stmt.free();
+  persistDatabase(db);
+}
+
+// One entry per UTC day from `days - 1` days ago to today, so days without
+// hits show up as zero.
+function fillDailyHits(rows, days) {
+  const hitsByDate = new Map(rows.map((row) => [row.date, row.hits]));
+  const today = Date.now();
+  return Array.from({ length: days }, (_, index) => {
+    const date = new Date(today - (days - 1 - index) * 86400000)
+      .toISOString()
+      .slice(0, 10);
+    return { date, hits: hitsByDate.get(date) ?? 0 };
+  });
+}
+
+// Aggregates the share hits of the last `days` days.
+async function getShareStats({ days, limit = 10 }) {
+  const { db } = await getDatabase();
+  const params = { ":since": `-${days} days` };
+  const since = "datetime('now', :since)";
+  return {
+    totalHits: selectValue(
+      db,
+      `SELECT COUNT(*) FROM share_hits WHERE hit_at >= ${since}`,
+      params,
+    ),
+    topGifs: selectRows(
+      db,
+      `
+        SELECT
+          h.slug AS slug,
+          g.title AS title,
+          g.original_name AS originalName,
+          COUNT(*) AS hits
+        FROM share_hits h
+        LEFT JOIN gifs g ON g.slug = h.slug
+        WHERE h.hit_at >= ${since}
+        GROUP BY h.slug
+        ORDER BY hits DESC, h.slug
+        LIMIT :limit
+      `,
+      { ...params, ":limit": limit },
+    ),
+    hitsOverTime: fillDailyHits(
+      selectRows(
+        db,
+        `
+          SELECT date(hit_at) AS date, COUNT(*) AS hits
+          FROM share_hits
+          WHERE hit_at >= ${since}
+          GROUP BY date(hit_at)
+        `,
+        params,
+      ),
+      days,
+    ),
+    topReferers: selectRows(
+      db,
+      `
+        SELECT referer_host AS host, COUNT(*) AS hits
+        FROM share_hits
+        WHERE hit_at >= ${since} AND referer_host IS NOT NULL
+        GROUP BY referer_host
+        ORDER BY hits DESC, referer_host
+        LIMIT :limit
+      `,
+      { ...params, ":limit": limit },
+    ),
+    clientTypes: selectRows(
+      db,
+      `
+        SELECT client_type AS type, COUNT(*) AS hits
+        FROM share_hits
+        WHERE hit_at >= ${since}
+        GROUP BY client_type
+        ORDER BY hits DESC
+      `,
+      params,
+    ),
+  };
+}
+
+async function pruneShareHits(days) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(
+    "DELETE FROM share_hits WHERE hit_at < datetime('now', :before)",
+  );
+  stmt.run({ ":before": `-${days} days` });
+  stmt.free();
+  const pruned = db.getRowsModified();
+  if (pruned > 0) {
+    persistDatabase(db);
+  }
+  return pruned;
+}
+
+async function deleteApiToken(tokenId, { userId } = {}) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(
+    "DELETE FROM api_tokens WHERE id = :id AND user_id = :userId",
+  );
+  stmt.run({ ":id": tokenId, ":userId": userId });
+  stmt.free();
+  const deleted = db.getRowsModified() > 0;
+  if (deleted) {
+    persistDatabase(db);
+  }
+  return deleted;
+}
+
+const SESSION_COLUMNS = `
+  id,
+  user_id AS userId,
+  ip,
+  user_agent AS userAgent,
+  created_at AS createdAt,
+  last_seen_at AS lastSeenAt,
+  expires_at AS expiresAt
+`;
+
+async function createSession({ id, userId, ip, userAgent, ttlSeconds }) {
+  const { db } = await getDatabase();
+  db.run("DELETE FROM sessions WHERE expires_at <= datetime('now')");
+  const stmt = db.prepare(`
+    INSERT INTO sessions (id, user_id, ip, user_agent, expires_at)
+    VALUES (
+      :id,
+      :userId,
+      :ip,
+      :userAgent,
+      datetime('now', '+' || :ttlSeconds || ' seconds')
+    )
+  `);
+  stmt.run({
+    ":id": id,
+    ":userId": userId,
+    ":ip": ip ?? null,
+    ":userAgent": userAgent ?? null,
+    ":ttlSeconds": ttlSeconds,
+  });
+  stmt.free();
+  persistDatabase(db);
+}
+
+async function findActiveSession(sessionId) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT ${SESSION_COLUMNS}
+    FROM sessions
+    WHERE id = :id AND expires_at > datetime('now')
+    LIMIT 1
+  `);
+  stmt.bind({ ":id": sessionId });
+  const session = stmt.step() ? stmt.getAsObject() : null;
+  stmt.free();
+  return session;
+}
+
+async function touchSession(sessionId, { ip, userAgent } = {}) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    UPDATE sessions
+    SET last_seen_at = datetime('now'),
+      ip = COALESCE(:ip, ip),
+      user_agent = COALESCE(:userAgent, user_agent)
+    WHERE id = :id
+      AND last_seen_at < datetime('now', '-1 minute')
+  `);
+  stmt.run({
+    ":id": sessionId,
+    ":ip": ip ?? null,
+    ":userAgent": userAgent ?? null,
+  });
+  stmt.free();
+  if (db.getRowsModified() > 0) {
+    persistDatabase(db);
+  }
+}
+
+async function listSessions(userId) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    SELECT ${SESSION_COLUMNS}
+    FROM sessions
+    WHERE user_id = :userId AND expires_at > datetime('now')
+    ORDER BY last_seen_at DESC, created_at DESC
+  `);
+  stmt.bind({ ":userId": userId });
+  const sessions = [];
+  while (stmt.step()) {
+    sessions.push(stmt.getAsObject());
+  }
+  stmt.free();
+  return sessions;
+}
+
+async function deleteSession(sessionId, { userId } = {}) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(
+    "DELETE FROM sessions WHERE id = :id AND user_id = :userId",
+  );
+  stmt.run({ ":id": sessionId, ":userId": userId });
+  stmt.free();
+  const deleted = db.getRowsModified() > 0;
+  if (deleted) {
+    persistDatabase(db);
+  }
+  return deleted;
+}
+
+async function deleteUserSessions(userId, { exceptSessionId } = {}) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    DELETE FROM sessions
+    WHERE user_id = :userId AND id != :exceptSessionId
+  `);
+  stmt.run({ ":userId": userId, ":exceptSessionId": exceptSessionId ?? "" });
+  stmt.free();
+  const deleted = db.getRowsModified();
+  if (deleted > 0) {
+    persistDatabase(db);
+  }
+  return deleted;
+}
+
+const JOB_COLUMNS = `
+  id,
+  type,
+  payload,
+  status,
+  attempts,
+  max_attempts AS maxAttempts,
+  run_at AS runAt,
+  user_id AS userId,
+  result,
+  error,
+  created_at AS createdAt,
+  updated_at AS updatedAt,
+  finished_at AS finishedAt
+`;
+
+function toJob(row) {
+  if (!row) {
+    return null;
+  }
+  return {
+    ...row,
+    payload: JSON.parse(row.payload),
+    result: row.result === null ? null : JSON.parse(row.result),
+  };
+}
+
+function findJob(db, jobId) {
+  const stmt = db.prepare(`SELECT ${JOB_COLUMNS} FROM jobs WHERE id = :id`);
+  stmt.bind({ ":id": jobId });
+  const job = stmt.step() ? toJob(stmt.getAsObject()) : null;
+  stmt.free();
+  return job;
+}
+
+async function createJob({ type, payload, userId, maxAttempts, runAt }) {
+  const { db } = await getDatabase();
+  const stmt = db.prepare(`
+    INSERT INTO jobs (type, payload, user_id, max_attempts, run_at)
+    VALUES (:type, :payload, :userId, :maxAttempts, :runAt)
+  `);
+  stmt.run({
+    ":type": type,
+    ":payload": JSON.stringify(payload),
+    ":userId": userId ?? null,
+    ":maxAttempts": maxAttempts,
+    ":runAt": runAt,
+  });
+  stmt.free();
+  const jobId = selectValue(db, "SELECT last_insert_rowid()");
+  persistDatabase(db);
+  return findJob(db, jobId);
+}
+
+async function findJobById(jobId) {
+  const { db } = await getDatabase();
+  return findJob(db, jobId);
+}
+
+async function listJobs(userId, { limit = 50 } = {}) {
+  const { db } = await getDatabase();
+  return selectRows(
+    db,
+    `
+      SELECT ${JOB_COLUMNS}
+      FROM jobs
+      WHERE user_id = :userId
+      ORDER BY id DESC
+      LIMIT :limit
+    `,
+    { ":userId": userId, ":limit": limit },
+  ).map(toJob);
+}
+
+async function claimNextJob(types, now) {
+  const { db } = await getDatabase();
+  if (types.length === 0) {
+    return null;
+  }
+  const params = { ":now": now };
+  types.forEach((type, index) => {
+    params[`:type${index}`] = type;
+  });
+  const jobId = selectValue(
+    db,
+    `
+      SELECT id
+      FROM jobs
+      WHERE status = 'queued'
+        AND run_at <= :now
+        AND type IN (${types.map((_, index) => `:type${index}`).join(", ")})
+      ORDER BY run_at, id
+      LIMIT 1
+    `,
+    params,
+  );
+  if (jobId === null) {
+    return null;
+  }
+  db.run(
+    `
+      UPDATE jobs
+      SET status = 'running', attempts = attempts + 1,
+        updated_at = datetime('now')
+      WHERE id = :id
+    `,
+    { ":id": jobId },
+  );
+  persistDatabase(db);
+  return findJob(db, jobId);
+}
+
+async function completeJob(jobId, result) {
+  const { db } = await getDatabase();
+  db.run(
+    `
+      UPDATE jobs
+      SET status = 'succeeded', result = :result, error = NULL,
+        updated_at = datetime('now'), finished_at = datetime('now')
+      WHERE id = :id
+    `,
+    { ":id": jobId, ":result": JSON.stringify(result ?? null) },
+  );
+  persistDatabase(db);
+  return findJob(db, jobId);
+}
+
+async function failJob(jobId, error, { retryAt = null } = {}) {
+  const { db } = await getDatabase();
+  db.run(
+    `
+      UPDATE jobs
+      SET status = :status, error = :error, run_at = COALESCE(:retryAt, run_at),
+        updated_at = datetime('now'),
+        finished_at = CASE WHEN :retryAt IS NULL THEN datetime('now') END
+      WHERE id = :id
+    `,
+    {
+      ":id": jobId,
+      ":status": retryAt === null ? "failed" : "queued",
+      ":error": error,
+      ":retryAt": retryAt,
+    },
+  );
+  persistDatabase(db);
+  return findJob(db, jobId);
+}
+
+async function requeueRunningJobs() {
+  const { db } = await getDatabase();
+  db.run(`
+    UPDATE jobs
+    SET status = 'queued', updated_at = datetime('now')
+    WHERE status = 'running'
+  `);
+  const requeued = db.getRowsModified();
+  if (requeued > 0) {
+    persistDatabase(db);
+  }
+  return requeued;
+}
+
+async function deleteFinishedJobs(olderThanDays) {
+  const { db } = await getDatabase();
+  db.run(
+    `
+      DELETE FROM jobs
+      WHERE status IN ('succeeded', 'failed')
+        AND finished_at < datetime('now', '-' || :days || ' days')
+    `,
+    { ":days": olderThanDays },
+  );
+  const deleted = db.getRowsModified();
+  if (deleted > 0) {
+    persistDatabase(db);
+  }
+  return deleted;
 }
 
 module.exports = {
+  flushDatabase,
+  checkDatabase,
+  readMigrationStatus,
+  migrateDatabase,
   addGif,
   listGifs,
+  getLibrarySummary,
   findGifBySlug,
+  findGifByHash,
+  listGifsWithoutHash,
+  setGifContentHash,
+  listGifsWithoutPerceptualHash,
+  setGifPerceptualHash,
+  listPerceptuallyHashedGifs,
+  updateGifFile,
+  listDuplicateGroups,
+  mergeDuplicateGifs,
   deleteGifBySlug,
   listCategories,
+  findCategoryById,
   addCategory,
   deleteCategoryById,
+  CATEGORY_VISIBILITIES,
+  updateCategoryVisibility,
+  findPublicCollection,
+  listPublicCollections,
   setGifCategories,
   getGifsByCategory,
+  updateGifDetails,
+  searchGifs,
+  readLibrarySnapshot,
+  listGifFiles,
+  importLibrary,
+  countUsers,
+  listUsers,
+  findUserById,
+  findUserCredentials,
+  createUser,
+  countActiveAdmins,
+  updateUser,
+  adoptUnownedContent,
+  findUserTotp,
+  setPendingTotpSecret,
+  enableTotp,
+  disableTotp,
+  recordTotpStep,
+  replaceRecoveryCodes,
+  consumeRecoveryCode,
+  countRecoveryCodes,
+  getRateLimitEntry,
+  setRateLimitEntry,
+  hitRateLimitEntry,
+  deleteRateLimitEntry,
+  sweepRateLimitEntries,
+  listApiTokens,
+  countApiTokens,
+  createApiToken,
+  findApiTokenByHash,
+  touchApiToken,
+  deleteApiToken,
+  createShareLink,
+  listShareLinks,
+  findShareLinkByToken,
+  recordShareLinkView,
+  deleteShareLink,
+  recordShareHit,
+  getShareStats,
+  pruneShareHits,
+  createSession,
+  findActiveSession,
+  touchSession,
+  listSessions,
+  deleteSession,
+  deleteUserSessions,
+  createJob,
+  findJobById,
+  listJobs,
+  claimNextJob,
+  completeJob,
+  failJob,
+  requeueRunningJobs,
+  deleteFinishedJobs,
 };
@@ -0,0 +1,171 @@
+const { EventEmitter } = require("events");
+const config = require("./config");
+const logger = require("./logger");
+const {
+  claimNextJob,
+  completeJob,
+  createJob,
+  deleteFinishedJobs,
+  failJob,
+  requeueRunningJobs,
+} = require("./database");
+
+const POLL_INTERVAL_MS = 1000;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const FINISHED_JOB_RETENTION_DAYS = 7;
+
+const handlers = new Map();
+// Stages reported by running handlers ("downloading", "converting", ...).
+// They only matter while a job runs, so they are not persisted.
+const stages = new Map();
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+let started = false;
+let running = 0;
+let draining = false;
+
+function registerJobHandler(
+  type,
+  handler,
+  { maxAttempts = config.JOB_MAX_ATTEMPTS } = {},
+) {
+  handlers.set(type, { handler, maxAttempts });
+}
+
+// Thrown by handlers for failures that retrying cannot fix, such as a URL
+// on a domain that is not whitelisted.
+function permanentJobError(message) {
+  const error = new Error(message);
+  error.code = "JOB_PERMANENT";
+  return error;
+}
+
+async function enqueueJob(type, payload, { userId } = {}) {
+  const registered = handlers.get(type);
+  if (!registered) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+  const job = await createJob({
+    type,
+    payload,
+    userId,
+    maxAttempts: registered.maxAttempts,
+    runAt: Date.now(),
+  });
+  publish(job);
+  scheduleDrain();
+  return job;
+}
+
+function jobStage(jobId) {
+  return stages.get(jobId) || null;
+}
+
+function publish(job) {
+  if (job) {
+    jobEvents.emit("update", { ...job, stage: jobStage(job.id) });
+  }
+}
+
+function retryDelay(attempts) {
+  return config.JOB_RETRY_DELAY_MS * 2 ** (attempts - 1);
+}
+
+async function runJob(job) {
+  const { handler } = handlers.get(job.type);
+  const reportProgress = (stage) => {
+    stages.set(job.id, stage);
+    publish(job);
+  };
+  publish(job);
+  try {
+    const result = await handler(job.payload, job, reportProgress);
+    stages.delete(job.id);
+    publish(await completeJob(job.id, result));
+  } catch (error) {
+    stages.delete(job.id);
+    const retry =
+      error?.code !== "JOB_PERMANENT" && job.attempts < job.maxAttempts;
+    publish(
+      await failJob(job.id, error.message, {
+        retryAt: retry ? Date.now() + retryDelay(job.attempts) : null,
+      }),
+    );
+    logger.warn("Job failed", {
+      jobId: job.id,
+      jobType: job.type,
+      attempt: job.attempts,
+      willRetry: retry,
+      error,
+    });
+  }
+}
+
+async function drain() {
+  if (draining) {
+    return;
+  }
+  draining = true;
+  try {
+    while (running < config.JOB_CONCURRENCY) {
+      const job = await claimNextJob(Array.from(handlers.keys()), Date.now());
+      if (!job) {
+        break;
+      }
+      running += 1;
+      runJob(job)
+        .catch((error) => {
+          logger.error("Failed to record job result", {
+            jobId: job.id,
+            error,
+          });
+        })
+        .finally(() => {
+          running -= 1;
+          scheduleDrain();
+        });
+    }
+  } finally {
+    draining = false;
+  }
+}
+
+function scheduleDrain() {
+  if (!started) {
+    return;
+  }
+  setImmediate(() => {
+    drain().catch((error) => {
+      logger.error("Failed to claim jobs", { error });
+    });
+  });
+}
+
+async function startJobWorkers() {
+  if (started) {
+    return;
+  }
+  const requeued = await requeueRunningJobs();
+  if (requeued > 0) {
+    logger.info("Requeued interrupted jobs", { count: requeued });
+  }
+  started = true;
+  setInterval(scheduleDrain, POLL_INTERVAL_MS).unref();
+  const sweep = () => {
+    deleteFinishedJobs(FINISHED_JOB_RETENTION_DAYS).catch((error) => {
+      logger.error("Failed to delete finished jobs", { error });
+    });
+  };
+  setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+  sweep();
+  scheduleDrain();
+}
+
+module.exports = {
+  jobEvents,
+  jobStage,
+  registerJobHandler,
+  permanentJobError,
+  enqueueJob,
+  startJobWorkers,
+};
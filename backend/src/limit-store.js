@@ -0,0 +1,98 @@
+const config = require("./config");
+const logger = require("./logger");
+const {
+  deleteRateLimitEntry,
+  getRateLimitEntry,
+  hitRateLimitEntry,
+  setRateLimitEntry,
+  sweepRateLimitEntries,
+} = require("./database");
+
+const SWEEP_INTERVAL_MS = 10 * 60 * 1000;
+
+function startSweeping(sweep) {
+  const sweepTimer = setInterval(() => {
+    Promise.resolve(sweep(Date.now())).catch((error) => {
+      logger.error("Failed to sweep rate-limit entries", { error });
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweepTimer.unref?.();
+}
+
+function createMemoryStore() {
+  const entries = new Map();
+
+  function read(key, now) {
+    const entry = entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (entry.resetAt <= now) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  startSweeping((now) => {
+    for (const [key, entry] of entries) {
+      if (entry.resetAt <= now) {
+        entries.delete(key);
+      }
+    }
+  });
+
+  return {
+    async get(key) {
+      const entry = read(key, Date.now());
+      return entry ? { ...entry } : null;
+    },
+    async set(key, entry) {
+      entries.set(key, { count: entry.count, resetAt: entry.resetAt });
+    },
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = read(key, now);
+      if (!entry) {
+        entry = { count: 0, resetAt: now + windowMs };
+        entries.set(key, entry);
+      }
+      entry.count += 1;
+      return { ...entry };
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+function createSqliteStore() {
+  startSweeping(sweepRateLimitEntries);
+
+  return {
+    get: (key) => getRateLimitEntry(key, Date.now()),
+    set: (key, entry) => setRateLimitEntry(key, entry),
+    hit: (key, windowMs) => hitRateLimitEntry(key, windowMs, Date.now()),
+    delete: (key) => deleteRateLimitEntry(key),
+  };
+}
+
+const STORE_FACTORIES = {
+  memory: createMemoryStore,
+  sqlite: createSqliteStore,
+};
+
+let sharedStore;
+
+function getLimitStore() {
+  if (!sharedStore) {
+    sharedStore = STORE_FACTORIES[config.RATE_LIMIT_STORE]();
+  }
+  return sharedStore;
+}
+
+module.exports = {
+  createMemoryStore,
+  createSqliteStore,
+  getLimitStore,
+};
@@ -1,32 +1,247 @@
 const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
 const config = require("./config");
 
-function sanitize(value) {
-  return String(value).replace(/[\r\n]+/g, " ");
+const fsPromises = fs.promises;
+
+const minimumLevel = config.LOG_LEVELS.indexOf(config.LOG_LEVEL);
+const logFile = path.parse(config.LOG_FILE_PATH);
+const REQUEST_ID_PATTERN = /^[\w.-]{1,64}$/;
+
+let stream = null;
+let streamBytes = 0;
+let streamOpenedAt = 0;
+// Lines logged while the file is being rotated, written once it is done.
+let backlog = null;
+
+function openStream() {
+  try {
+    const stats = fs.statSync(config.LOG_FILE_PATH);
+    streamBytes = stats.size;
+    streamOpenedAt = stats.birthtimeMs || Date.now();
+  } catch (error) {
+    streamBytes = 0;
+    streamOpenedAt = Date.now();
+  }
+  stream = fs.createWriteStream(config.LOG_FILE_PATH, { flags: "a" });
+  stream.on("error", (error) => {
+    console.error("Failed to write to log file", error);
+    stream = null;
+  });
+}
+
+function needsRotation(nextBytes) {
+  const tooLarge =
+    config.LOG_MAX_BYTES > 0 &&
+    streamBytes > 0 &&
+    streamBytes + nextBytes > config.LOG_MAX_BYTES;
+  const tooOld =
+    config.LOG_ROTATE_HOURS > 0 &&
+    Date.now() - streamOpenedAt >= config.LOG_ROTATE_HOURS * 3600 * 1000;
+  return tooLarge || tooOld;
 }
 
-function logRequest(req) {
-  const timestamp = new Date().toISOString();
-  const clientIp = req.ip || req.connection?.remoteAddress || "unknown-ip";
-  const referer = sanitize(
-    req.get("referer") || req.get("referrer") || "no-referer",
+function rotatedFileName(date) {
+  const stamp = date.toISOString().replace(/[:.]/g, "-");
+  return `${logFile.name}-${stamp}${logFile.ext}`;
+}
+
+function isRotatedFile(entry) {
+  return (
+    entry.startsWith(`${logFile.name}-`) &&
+    entry.endsWith(logFile.ext) &&
+    entry !== logFile.base
   );
-  const userAgent = sanitize(req.get("user-agent") || "no-user-agent");
-  const target = sanitize(req.originalUrl);
+}
+
+// The rotated log files, oldest first.
+async function listRotatedLogs() {
+  const entries = await fsPromises.readdir(logFile.dir);
+  return entries
+    .filter(isRotatedFile)
+    .sort()
+    .map((entry) => path.join(logFile.dir, entry));
+}
+
+async function pruneRotatedLogs() {
+  if (config.LOG_RETENTION_DAYS === 0) {
+    return;
+  }
+  const cutoff = Date.now() - config.LOG_RETENTION_DAYS * 86400000;
+  for (const filePath of await listRotatedLogs()) {
+    const stats = await fsPromises.stat(filePath);
+    if (stats.mtimeMs < cutoff) {
+      await fsPromises.rm(filePath, { force: true });
+    }
+  }
+}
 
-  const logMessage = `[${timestamp}] ${req.method} ${target} from ${clientIp} referer=${referer} ua=${userAgent}`;
+async function rotate() {
+  const current = stream;
+  stream = null;
+  await new Promise((resolve) => current.end(resolve));
+  await fsPromises.rename(
+    config.LOG_FILE_PATH,
+    path.join(logFile.dir, rotatedFileName(new Date())),
+  );
+  await pruneRotatedLogs();
+}
 
-  console.log(logMessage);
+function writeLine(line) {
+  if (backlog) {
+    backlog.push(line);
+    return;
+  }
+  if (!stream) {
+    openStream();
+  }
+  const bytes = Buffer.byteLength(line);
+  if (needsRotation(bytes)) {
+    backlog = [line];
+    rotate()
+      .catch((error) => {
+        console.error("Failed to rotate log file", error);
+      })
+      .finally(() => {
+        const lines = backlog;
+        backlog = null;
+        lines.forEach(writeLine);
+      });
+    return;
+  }
+  streamBytes += bytes;
+  stream.write(line);
+}
 
-  if (config.ENABLE_FILE_LOGGING) {
-    try {
-      fs.appendFileSync(config.LOG_FILE_PATH, logMessage + "\n");
-    } catch (err) {
-      console.error("Failed to write to log file", err);
+// Writes out buffered lines, e.g. before the process exits.
+async function flush() {
+  while (backlog) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  if (stream) {
+    const current = stream;
+    stream = null;
+    await new Promise((resolve) => current.end(resolve));
+  }
+}
+
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  return {
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    stack: error.stack,
+  };
+}
+
+// Writes one JSON line to stdout (stderr for warnings and errors) and, with
+// ENABLE_FILE_LOGGING, to the log file.
+function log(level, message, fields = {}) {
+  if (config.LOG_LEVELS.indexOf(level) < minimumLevel) {
+    return;
+  }
+  const entry = { time: new Date().toISOString(), level, msg: message };
+  for (const [key, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      entry[key] = serializeError(value);
     }
   }
+  const line = JSON.stringify(entry);
+  if (level === "warn" || level === "error") {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+  if (config.ENABLE_FILE_LOGGING) {
+    writeLine(line + "\n");
+  }
+}
+
+// IPv4 addresses keep their first three octets, IPv6 addresses their /48.
+function truncateIp(ip) {
+  const v4 = ip.replace(/^::ffff:/, "");
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(v4)) {
+    return v4.replace(/\.\d+$/, ".0");
+  }
+  const [head, tail] = ip.replace(/%.*$/, "").split("::");
+  const groups = head ? head.split(":") : [];
+  if (tail !== undefined) {
+    const tailGroups = tail ? tail.split(":") : [];
+    groups.push(...Array(8 - groups.length - tailGroups.length).fill("0"));
+    groups.push(...tailGroups);
+  }
+  return `${groups.slice(0, 3).join(":")}::`;
+}
+
+// Applies LOG_IP_MODE. Hashes are keyed with JWT_SECRET so they cannot be
+// reversed by hashing every possible address.
+function formatIp(ip) {
+  if (!ip) {
+    return "unknown-ip";
+  }
+  if (config.LOG_IP_MODE === "truncate") {
+    return truncateIp(ip);
+  }
+  if (config.LOG_IP_MODE === "hash") {
+    return crypto
+      .createHmac("sha256", config.JWT_SECRET)
+      .update(ip)
+      .digest("hex")
+      .slice(0, 16);
+  }
+  return ip;
+}
+
+function levelForStatus(status) {
+  if (status >= 500) return "error";
+  if (status >= 400) return "warn";
+  return "info";
+}
+
+// Gives every request an id (reusing a well-formed X-Request-Id header) and
+// logs it once the response has been sent or the client went away.
+function requestLogger(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id =
+    incoming && REQUEST_ID_PATTERN.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  const startedAt = process.hrtime.bigint();
+  let logged = false;
+  const logRequest = () => {
+    if (logged) return;
+    logged = true;
+    const status = res.writableFinished ? res.statusCode : null;
+    log(status === null ? "warn" : levelForStatus(status), "request", {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      status,
+      durationMs:
+        Math.round(Number(process.hrtime.bigint() - startedAt) / 1e4) / 100,
+      ip: formatIp(req.ip || req.socket?.remoteAddress),
+      referer: req.get("referer") || req.get("referrer"),
+      userAgent: req.get("user-agent"),
+      user: req.user?.username,
+    });
+  };
+  res.on("finish", logRequest);
+  res.on("close", logRequest);
+  next();
 }
 
 module.exports = {
-  logRequest,
+  log,
+  debug: (message, fields) => log("debug", message, fields),
+  info: (message, fields) => log("info", message, fields),
+  warn: (message, fields) => log("warn", message, fields),
+  error: (message, fields) => log("error", message, fields),
+  flush,
+  formatIp,
+  listRotatedLogs,
+  requestLogger,
 };
@@ -0,0 +1,489 @@
+const path = require("path");
+const fs = require("fs");
+const os = require("os");
+const util = require("util");
+const { execFile } = require("child_process");
+const { nanoid } = require("nanoid");
+const config = require("./config");
+const logger = require("./logger");
+const validDomains = require("./valid-domains");
+const { safeFetch } = require("./net-guard");
+const { hashFile } = require("./content-hash");
+const { computePerceptualHash } = require("./perceptual-hash");
+const { generateThumbnails } = require("./thumbnails");
+const { removeRenditions } = require("./renditions");
+const {
+  VIDEO_EXTENSIONS,
+  convertMedia,
+  removeOriginal,
+  retainOriginal,
+} = require("./conversion");
+const { registerJobHandler, permanentJobError } = require("./jobs");
+const metrics = require("./metrics");
+const {
+  addGif,
+  findGifByHash,
+  findGifBySlug,
+  findUserById,
+  updateGifFile,
+} = require("./database");
+
+const fsPromises = fs.promises;
+const execFilePromise = util.promisify(execFile);
+
+const ALLOWED_EXTENSIONS = new Set([".gif", ".webp"]);
+const EXTENSION_MIME_MAP = {
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+};
+const MAX_DOWNLOAD_SIZE = 15 * 1024 * 1024;
+
+function isWhitelistedUrl(url) {
+  return validDomains.some(
+    (domain) => url.hostname === domain || url.hostname.endsWith("." + domain),
+  );
+}
+
+async function getFrameCount(filePath) {
+  for (const cmd of [
+    ["magick", ["identify", "-format", "%n\n", filePath]],
+    ["identify", ["-format", "%n\n", filePath]],
+  ]) {
+    try {
+      const { stdout } = await execFilePromise(cmd[0], cmd[1]);
+      const count = parseInt(stdout.trim().split("\n")[0], 10);
+      if (Number.isFinite(count)) {
+        return count;
+      }
+    } catch (e) {
+      continue;
+    }
+  }
+  return 1;
+}
+
+async function ensureAnimated(filePath) {
+  const frames = await getFrameCount(filePath);
+  if (frames > 1) {
+    return null;
+  }
+  const ext = path.extname(filePath);
+  const base = filePath.slice(0, filePath.length - ext.length);
+  const outPath = `${base}.gif`;
+  const tmpPath = `${base}-anim-${nanoid(6)}.gif`;
+  const args = [
+    filePath,
+    "-coalesce",
+    "-duplicate",
+    "1",
+    "-loop",
+    "0",
+    "-set",
+    "delay",
+    "100",
+    tmpPath,
+  ];
+  for (const cmd of ["magick", "convert"]) {
+    try {
+      await execFilePromise(cmd, args);
+      await fsPromises.access(tmpPath);
+      if (outPath !== filePath) {
+        await fsPromises.rm(filePath, { force: true }).catch(() => {});
+      }
+      await fsPromises.rename(tmpPath, outPath);
+      return outPath;
+    } catch (e) {
+      await fsPromises.rm(tmpPath, { force: true }).catch(() => {});
+    }
+  }
+  return null;
+}
+
+async function generateThumbnailsSafely(filePath) {
+  try {
+    await generateThumbnails(filePath);
+  } catch (error) {
+    logger.warn("Thumbnail generation failed", { filePath, error });
+  }
+}
+
+function duplicateScope(user) {
+  return user.role === "admin" ? "all" : "shared";
+}
+
+function findDuplicateUpload(user, sha256) {
+  if (!config.DEDUPLICATE_UPLOADS) {
+    return null;
+  }
+  return findGifByHash(sha256, {
+    viewerId: user.id,
+    scope: duplicateScope(user),
+  });
+}
+
+// Makes still images animated and applies the conversion profile. Files that
+// can already be stored are kept as they are when conversion fails, so a
+// missing ffmpeg or ImageMagick never loses an upload.
+async function prepareMedia(filePath, mimeType, conversionOptions = {}) {
+  const originalFilename = await retainOriginal(filePath);
+  let prepared = { filePath, mimeType };
+  let changed = false;
+  if (!VIDEO_EXTENSIONS.has(path.extname(filePath).toLowerCase())) {
+    const animatedPath = await ensureAnimated(filePath);
+    if (animatedPath) {
+      prepared = {
+        filePath: animatedPath,
+        mimeType:
+          EXTENSION_MIME_MAP[path.extname(animatedPath).toLowerCase()] ||
+          mimeType,
+      };
+      changed = true;
+    }
+  }
+  try {
+    const converted = await convertMedia(prepared.filePath, conversionOptions);
+    if (converted) {
+      prepared = converted;
+      changed = true;
+    }
+  } catch (error) {
+    const ext = path.extname(prepared.filePath).toLowerCase();
+    if (!ALLOWED_EXTENSIONS.has(ext)) {
+      await removeOriginal(originalFilename);
+      throw error;
+    }
+    logger.warn("Conversion failed, keeping the file as is", {
+      filePath: prepared.filePath,
+      error,
+    });
+  }
+  if (!changed) {
+    await removeOriginal(originalFilename);
+  }
+  return { ...prepared, originalFilename: changed ? originalFilename : null };
+}
+
+async function processUpload({ slug }, job, reportProgress) {
+  const gif = await findGifBySlug(slug);
+  if (!gif) {
+    return { slug, deleted: true };
+  }
+  reportProgress("converting");
+  const prepared = await prepareMedia(
+    path.resolve(config.UPLOAD_DIR, gif.filename),
+    gif.mimeType,
+    { kind: "upload" },
+  );
+  const { size } = await fsPromises.stat(prepared.filePath);
+  await updateGifFile(gif.id, {
+    filename: path.basename(prepared.filePath),
+    mimeType: prepared.mimeType,
+    sizeBytes: size,
+    sha256: await hashFile(prepared.filePath),
+    phash: await computePerceptualHash(prepared.filePath).catch(() => null),
+    originalFilename: prepared.originalFilename,
+  });
+  // Renditions are keyed by file name, so any made from the unprocessed
+  // upload would otherwise be served for the converted file.
+  await removeRenditions(gif.filename);
+  await generateThumbnailsSafely(prepared.filePath);
+  return { slug };
+}
+
+// Video uploads only become GIFs once they are converted, so unlike other
+// uploads their row is created here rather than by the upload route.
+async function processVideo(
+  { filename, originalName, trimStart, trimEnd, width },
+  job,
+  reportProgress,
+) {
+  const filePath = path.resolve(config.UPLOAD_DIR, filename);
+  let prepared = null;
+  try {
+    const user = await findUserById(job.userId);
+    if (!user || user.disabled) {
+      throw permanentJobError("The uploading user no longer exists.");
+    }
+    try {
+      await fsPromises.access(filePath);
+    } catch (error) {
+      throw permanentJobError("The uploaded video is missing.");
+    }
+    reportProgress("converting");
+    prepared = await prepareMedia(filePath, null, {
+      kind: "video",
+      trim:
+        trimStart !== null || trimEnd !== null
+          ? { start: trimStart ?? 0, end: trimEnd }
+          : null,
+      maxWidth: width,
+    });
+
+    // No source hash is kept: the same video trimmed or scaled differently
+    // is a different GIF.
+    const sha256 = await hashFile(prepared.filePath);
+    const duplicate = await findDuplicateUpload(user, sha256);
+    if (duplicate) {
+      await fsPromises.rm(prepared.filePath, { force: true });
+      await removeOriginal(prepared.originalFilename);
+      return { slug: duplicate.slug, duplicate: true };
+    }
+
+    const slug = nanoid(10);
+    const { size } = await fsPromises.stat(prepared.filePath);
+    await addGif({
+      slug,
+      filename: path.basename(prepared.filePath),
+      originalName,
+      mimeType: prepared.mimeType,
+      sizeBytes: size,
+      sha256,
+      phash: await computePerceptualHash(prepared.filePath).catch(() => null),
+      ownerId: user.id,
+      originalFilename: prepared.originalFilename,
+    });
+    await generateThumbnailsSafely(prepared.filePath);
+    return { slug };
+  } catch (error) {
+    if (error.code === "JOB_PERMANENT" || job.attempts >= job.maxAttempts) {
+      await fsPromises.rm(filePath, { force: true }).catch(() => {});
+      if (prepared) {
+        await fsPromises.rm(prepared.filePath, { force: true }).catch(() => {});
+        await removeOriginal(prepared.originalFilename);
+      }
+    }
+    throw error;
+  }
+}
+
+async function findFiles(dir) {
+  const files = [];
+  const entries = await fsPromises.readdir(dir, { withFileTypes: true });
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findFiles(entryPath)));
+    } else {
+      files.push(entryPath);
+    }
+  }
+  return files;
+}
+
+async function downloadViaMetadata(urlStr, tempDir) {
+  const pageResp = await safeFetch(urlStr, {
+    headers: {
+      "User-Agent":
+        "Mozilla/5.0 (compatible; GifSelector/1.0; +http://localhost)",
+    },
+  });
+  if (!pageResp.ok)
+    throw new Error(
+      `Fallback fetch failed: ${pageResp.status} ${pageResp.statusText}`,
+    );
+
+  const html = await pageResp.text();
+
+  const extractMeta = (prop) => {
+    const regex = new RegExp(
+      `<meta\\s+(?:property|name)=["']${prop}["']\\s+content=["']([^"']+)["']`,
+      "i",
+    );
+    const match = html.match(regex);
+    return match ? match[1] : null;
+  };
+
+  let mediaUrl =
+    extractMeta("og:video") ||
+    extractMeta("og:video:url") ||
+    extractMeta("og:image") ||
+    extractMeta("twitter:image");
+
+  if (!mediaUrl) {
+    throw new Error("No media found via metadata fallback");
+  }
+
+  mediaUrl = mediaUrl.replace(/&amp;/g, "&");
+
+  let parsedMediaUrl;
+  try {
+    parsedMediaUrl = new URL(mediaUrl, urlStr);
+  } catch (e) {
+    throw permanentJobError("Invalid media URL in metadata");
+  }
+  if (!isWhitelistedUrl(parsedMediaUrl)) {
+    throw permanentJobError("Media URL domain not whitelisted");
+  }
+  mediaUrl = parsedMediaUrl.toString();
+
+  const mediaResp = await safeFetch(mediaUrl, {
+    headers: { "User-Agent": "GifSelector/1.0" },
+  });
+
+  if (!mediaResp.ok) {
+    throw new Error(`Fallback download failed: ${mediaResp.status}`);
+  }
+
+  const contentLength = mediaResp.headers.get("content-length");
+  if (contentLength && Number(contentLength) > MAX_DOWNLOAD_SIZE) {
+    throw permanentJobError("Fallback media file too large");
+  }
+
+  const buffer = await mediaResp.arrayBuffer();
+  if (buffer.byteLength > MAX_DOWNLOAD_SIZE) {
+    throw permanentJobError("Fallback media file too large");
+  }
+
+  let ext = path.extname(new URL(mediaUrl).pathname);
+  if (!ext || ext.length > 5) {
+    const cType = mediaResp.headers.get("content-type") || "";
+    if (cType.includes("video/mp4")) ext = ".mp4";
+    else if (cType.includes("video/webm")) ext = ".webm";
+    else if (cType.includes("image/gif")) ext = ".gif";
+    else if (cType.includes("image/webp")) ext = ".webp";
+  }
+  if (!ext) ext = ".gif";
+
+  const savePath = path.join(tempDir, `fallback-download${ext}`);
+  await fsPromises.writeFile(savePath, Buffer.from(buffer));
+}
+
+async function importUrl({ url: urlStr }, job, reportProgress) {
+  let url;
+  try {
+    url = new URL(urlStr);
+  } catch (e) {
+    throw permanentJobError("Invalid URL");
+  }
+  if (!isWhitelistedUrl(url)) {
+    throw permanentJobError("Domain not whitelisted");
+  }
+  const user = await findUserById(job.userId);
+  if (!user || user.disabled) {
+    throw permanentJobError("The importing user no longer exists.");
+  }
+
+  const tempDir = path.join(os.tmpdir(), `gifselector-import-${nanoid()}`);
+  await fsPromises.mkdir(tempDir);
+
+  try {
+    reportProgress("downloading");
+    try {
+      await execFilePromise("gallery-dl", ["--directory", tempDir, urlStr]);
+    } catch (dlError) {
+      logger.warn("gallery-dl failed, attempting fallback download", {
+        jobId: job.id,
+        url: urlStr,
+        error: dlError,
+      });
+      await downloadViaMetadata(urlStr, tempDir);
+    }
+
+    const downloadedFiles = await findFiles(tempDir);
+
+    if (downloadedFiles.length === 0) {
+      throw new Error("No files downloaded by gallery-dl");
+    }
+
+    for (const filePath of downloadedFiles) {
+      const ext = path.extname(filePath).toLowerCase();
+      if (!ALLOWED_EXTENSIONS.has(ext) && !VIDEO_EXTENSIONS.has(ext)) {
+        continue;
+      }
+
+      const sourceSha256 = await hashFile(filePath);
+      const sourceDuplicate = await findDuplicateUpload(user, sourceSha256);
+      if (sourceDuplicate) {
+        return { slug: sourceDuplicate.slug, duplicate: true };
+      }
+
+      reportProgress("converting");
+      const prepared = await prepareMedia(
+        filePath,
+        EXTENSION_MIME_MAP[ext] || null,
+        { kind: "import" },
+      );
+
+      const stats = await fsPromises.stat(prepared.filePath);
+      if (stats.size > MAX_DOWNLOAD_SIZE) {
+        await removeOriginal(prepared.originalFilename);
+        continue;
+      }
+
+      const sha256 = await hashFile(prepared.filePath);
+      const duplicate = await findDuplicateUpload(user, sha256);
+      if (duplicate) {
+        await removeOriginal(prepared.originalFilename);
+        return { slug: duplicate.slug, duplicate: true };
+      }
+
+      const uniqueName = `${Date.now()}-${nanoid(6)}${path
+        .extname(prepared.filePath)
+        .toLowerCase()}`;
+      const savePath = path.join(config.UPLOAD_DIR, uniqueName);
+
+      await fsPromises.copyFile(prepared.filePath, savePath);
+
+      const slug = nanoid(10);
+      try {
+        await addGif({
+          slug,
+          filename: uniqueName,
+          originalName: path.basename(filePath),
+          mimeType: prepared.mimeType,
+          sizeBytes: stats.size,
+          sha256,
+          sourceSha256,
+          phash: await computePerceptualHash(savePath).catch(() => null),
+          ownerId: user.id,
+          originalFilename: prepared.originalFilename,
+        });
+      } catch (error) {
+        await fsPromises.rm(savePath, { force: true }).catch(() => {});
+        await removeOriginal(prepared.originalFilename);
+        throw error;
+      }
+      await generateThumbnailsSafely(savePath);
+      return { slug };
+    }
+
+    throw permanentJobError(
+      "Downloaded files were not valid GIFs/WebPs or were too large.",
+    );
+  } finally {
+    await fsPromises
+      .rm(tempDir, { recursive: true, force: true })
+      .catch(() => {});
+  }
+}
+
+// Counts the outcome of a job handler in `counter`. Failures are only counted
+// once the job gives up, not for every attempt that will be retried.
+function counted(counter, handler) {
+  return async (payload, job, reportProgress) => {
+    try {
+      const result = await handler(payload, job, reportProgress);
+      counter.inc({ result: "success" });
+      return result;
+    } catch (error) {
+      if (error.code === "JOB_PERMANENT" || job.attempts >= job.maxAttempts) {
+        counter.inc({ result: "failure" });
+      }
+      throw error;
+    }
+  };
+}
+
+function registerMediaJobs() {
+  registerJobHandler("process-upload", counted(metrics.uploads, processUpload));
+  registerJobHandler("process-video", counted(metrics.uploads, processVideo));
+  registerJobHandler("import-url", counted(metrics.imports, importUrl));
+}
+
+module.exports = {
+  ALLOWED_EXTENSIONS,
+  EXTENSION_MIME_MAP,
+  isWhitelistedUrl,
+  findDuplicateUpload,
+  registerMediaJobs,
+};
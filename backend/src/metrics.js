@@ -0,0 +1,216 @@
+// A minimal Prometheus registry: counters, histograms and gauges rendered in
+// the text exposition format by `renderMetrics()`.
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+const CONVERSION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const registry = [];
+
+function escapeLabelValue(value) {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+}
+
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return "";
+  }
+  return `{${pairs
+    .map(([name, value]) => `${name}="${escapeLabelValue(value)}"`)
+    .join(",")}}`;
+}
+
+// Tracks one series per combination of label values.
+function createSeries(labelNames, createValue) {
+  const series = new Map();
+  return {
+    get(labels = {}) {
+      const values = labelNames.map((name) => String(labels[name] ?? ""));
+      const key = values.join("\u0000");
+      if (!series.has(key)) {
+        series.set(key, {
+          labels: labelNames.map((name, index) => [name, values[index]]),
+          value: createValue(),
+        });
+      }
+      return series.get(key);
+    },
+    entries() {
+      return Array.from(series.values());
+    },
+  };
+}
+
+function register(metric) {
+  registry.push(metric);
+  return metric;
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = createSeries(labelNames, () => ({ count: 0 }));
+  return register({
+    name,
+    help,
+    type: "counter",
+    inc(labels, amount = 1) {
+      series.get(labels).value.count += amount;
+    },
+    lines() {
+      return series
+        .entries()
+        .map(
+          ({ labels, value }) =>
+            `${name}${formatLabels(labels)} ${value.count}`,
+        );
+    },
+  });
+}
+
+function createGauge(name, help, labelNames = []) {
+  const series = createSeries(labelNames, () => ({ current: 0 }));
+  return register({
+    name,
+    help,
+    type: "gauge",
+    set(labels, value) {
+      series.get(labels).value.current = value;
+    },
+    lines() {
+      return series
+        .entries()
+        .map(
+          ({ labels, value }) =>
+            `${name}${formatLabels(labels)} ${value.current}`,
+        );
+    },
+  });
+}
+
+function createHistogram(
+  name,
+  help,
+  labelNames = [],
+  buckets = DURATION_BUCKETS,
+) {
+  const series = createSeries(labelNames, () => ({
+    buckets: buckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  }));
+  const observe = (labels, seconds) => {
+    const { value } = series.get(labels);
+    buckets.forEach((bound, index) => {
+      if (seconds <= bound) {
+        value.buckets[index] += 1;
+      }
+    });
+    value.sum += seconds;
+    value.count += 1;
+  };
+  return register({
+    name,
+    help,
+    type: "histogram",
+    observe,
+    // Returns a function that records the seconds elapsed since this call.
+    startTimer(labels) {
+      const startedAt = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const elapsed = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        observe({ ...labels, ...extraLabels }, elapsed);
+        return elapsed;
+      };
+    },
+    lines() {
+      return series
+        .entries()
+        .flatMap(({ labels, value }) => [
+          ...buckets.map(
+            (bound, index) =>
+              `${name}_bucket${formatLabels([...labels, ["le", bound]])} ${value.buckets[index]}`,
+          ),
+          `${name}_bucket${formatLabels([...labels, ["le", "+Inf"]])} ${value.count}`,
+          `${name}_sum${formatLabels(labels)} ${value.sum}`,
+          `${name}_count${formatLabels(labels)} ${value.count}`,
+        ]);
+    },
+  });
+}
+
+function renderMetrics() {
+  return registry
+    .flatMap((metric) => [
+      `# HELP ${metric.name} ${metric.help}`,
+      `# TYPE ${metric.name} ${metric.type}`,
+      ...metric.lines(),
+    ])
+    .concat("")
+    .join("\n");
+}
+
+const httpRequests = createCounter(
+  "gifselector_http_requests_total",
+  "HTTP requests by route and status code.",
+  ["method", "route", "status"],
+);
+const httpRequestDuration = createHistogram(
+  "gifselector_http_request_duration_seconds",
+  "Time taken to answer HTTP requests.",
+  ["method", "route"],
+);
+const uploads = createCounter(
+  "gifselector_uploads_total",
+  "Processed uploads by result.",
+  ["result"],
+);
+const imports = createCounter(
+  "gifselector_imports_total",
+  "URL imports by result.",
+  ["result"],
+);
+const conversionDuration = createHistogram(
+  "gifselector_conversion_duration_seconds",
+  "Time taken to convert uploads, videos and imports and to render share renditions.",
+  ["kind", "format"],
+  CONVERSION_BUCKETS,
+);
+const dbPersistDuration = createHistogram(
+  "gifselector_db_persist_duration_seconds",
+  "Time taken to write the database file.",
+  ["result"],
+);
+const libraryGifs = createGauge(
+  "gifselector_library_gifs",
+  "GIFs in the library.",
+);
+const libraryBytes = createGauge(
+  "gifselector_library_bytes",
+  "Total size of the stored GIFs.",
+);
+
+// Labels requests with the route pattern rather than the URL, so slugs and
+// tokens do not each create a series.
+function requestMetrics(req, res, next) {
+  const stopTimer = httpRequestDuration.startTimer({ method: req.method });
+  res.on("finish", () => {
+    const route = req.route ? req.route.path : "unmatched";
+    stopTimer({ route });
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+  });
+  next();
+}
+
+module.exports = {
+  httpRequests,
+  httpRequestDuration,
+  uploads,
+  imports,
+  conversionDuration,
+  dbPersistDuration,
+  libraryGifs,
+  libraryBytes,
+  renderMetrics,
+  requestMetrics,
+};
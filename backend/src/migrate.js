@@ -0,0 +1,29 @@
+const { migrateDatabase, readMigrationStatus } = require("./database");
+
+function printStatus({ currentVersion, latestVersion, migrations }) {
+  console.log(`Schema version: ${currentVersion} (latest ${latestVersion})`);
+  migrations.forEach((migration) => {
+    const state = migration.appliedAt
+      ? `applied ${migration.appliedAt}`
+      : "pending";
+    console.log(`  ${migration.file.padEnd(32)} ${state}`);
+  });
+}
+
+async function main(command = "status") {
+  if (command === "status") {
+    printStatus(await readMigrationStatus());
+    return;
+  }
+  if (command === "migrate") {
+    printStatus(await migrateDatabase());
+    return;
+  }
+  console.error("Usage: node src/migrate.js [status|migrate]");
+  process.exitCode = 1;
+}
+
+main(process.argv[2]).catch((error) => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
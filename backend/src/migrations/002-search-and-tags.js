@@ -0,0 +1,33 @@
+module.exports = {
+  up(db, { ensureColumn }) {
+    ensureColumn(db, "gifs", "title", "TEXT");
+    ensureColumn(db, "gifs", "description", "TEXT");
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE
+      )
+    `);
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS gif_tags (
+        gif_id INTEGER NOT NULL,
+        tag_id INTEGER NOT NULL,
+        PRIMARY KEY (gif_id, tag_id),
+        FOREIGN KEY (gif_id) REFERENCES gifs(id) ON DELETE CASCADE,
+        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.run(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS gifs_fts USING fts4(
+        title,
+        description,
+        original_name,
+        tags,
+        tokenize=unicode61
+      )
+    `);
+  },
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  up(db, { ensureColumn }) {
+    for (const table of ["gifs", "categories"]) {
+      ensureColumn(db, table, "shared", "INTEGER NOT NULL DEFAULT 0");
+      const added = ensureColumn(
+        db,
+        table,
+        "owner_id",
+        "INTEGER REFERENCES users(id) ON DELETE SET NULL",
+      );
+      if (added) {
+        db.run(`UPDATE ${table} SET shared = 1`);
+      }
+    }
+  },
+};
@@ -0,0 +1,16 @@
+module.exports = {
+  up(db, { ensureColumn }) {
+    ensureColumn(db, "users", "totp_secret", "TEXT");
+    ensureColumn(db, "users", "totp_enabled", "INTEGER NOT NULL DEFAULT 0");
+    ensureColumn(db, "users", "totp_last_step", "INTEGER");
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+};
@@ -0,0 +1,6 @@
+module.exports = {
+  up(db, { ensureColumn }) {
+    ensureColumn(db, "gifs", "sha256", "TEXT");
+    db.run("CREATE INDEX IF NOT EXISTS idx_gifs_sha256 ON gifs (sha256)");
+  },
+};
@@ -0,0 +1,5 @@
+module.exports = {
+  up(db, { ensureColumn }) {
+    ensureColumn(db, "gifs", "original_filename", "TEXT");
+  },
+};
@@ -0,0 +1,42 @@
+function collectionSlug(name, id) {
+  const slug = String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+  return slug || `collection-${id}`;
+}
+
+module.exports = {
+  up(db, { ensureColumn }) {
+    ensureColumn(
+      db,
+      "categories",
+      "visibility",
+      "TEXT NOT NULL DEFAULT 'private'",
+    );
+    ensureColumn(db, "categories", "public_slug", "TEXT");
+    ensureColumn(db, "categories", "access_token", "TEXT");
+    db.run(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_public_slug ON categories (public_slug)",
+    );
+
+    // PUBLIC_GIF_CATEGORY used to pick the one public category; keep that
+    // category public now that visibility is stored per category.
+    const legacy = process.env.PUBLIC_GIF_CATEGORY;
+    if (!legacy) {
+      return;
+    }
+    const result = db.exec(
+      "SELECT id, name FROM categories WHERE name = :name OR CAST(id AS TEXT) = :name LIMIT 1",
+      { ":name": legacy },
+    );
+    if (result.length === 0) {
+      return;
+    }
+    const [id, name] = result[0].values[0];
+    db.run(
+      "UPDATE categories SET visibility = 'public', public_slug = :slug WHERE id = :id",
+      { ":slug": collectionSlug(name, id), ":id": id },
+    );
+  },
+};
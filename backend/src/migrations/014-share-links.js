@@ -0,0 +1,22 @@
+module.exports = {
+  up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS share_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token TEXT NOT NULL UNIQUE,
+        gif_id INTEGER NOT NULL,
+        created_by INTEGER,
+        expires_at TEXT,
+        max_views INTEGER,
+        view_count INTEGER NOT NULL DEFAULT 0,
+        password_hash TEXT,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        FOREIGN KEY (gif_id) REFERENCES gifs(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+    db.run(
+      "CREATE INDEX IF NOT EXISTS idx_share_links_gif_id ON share_links (gif_id)",
+    );
+  },
+};
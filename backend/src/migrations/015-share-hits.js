@@ -0,0 +1,16 @@
+module.exports = {
+  up(db) {
+    db.run(`
+      CREATE TABLE IF NOT EXISTS share_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        slug TEXT NOT NULL,
+        hit_at TEXT NOT NULL DEFAULT (datetime('now')),
+        referer_host TEXT,
+        client_type TEXT NOT NULL
+      )
+    `);
+    db.run(
+      "CREATE INDEX IF NOT EXISTS idx_share_hits_hit_at ON share_hits (hit_at)",
+    );
+  },
+};
@@ -0,0 +1,14 @@
+module.exports = {
+  up(db, { ensureColumn }) {
+    ensureColumn(db, "gifs", "source_sha256", "TEXT");
+    db.run(
+      "CREATE INDEX IF NOT EXISTS idx_gifs_source_sha256 ON gifs (source_sha256)",
+    );
+    // GIFs that were never converted are still stored as they were received.
+    db.run(`
+      UPDATE gifs
+      SET source_sha256 = sha256
+      WHERE source_sha256 IS NULL AND original_filename IS NULL
+    `);
+  },
+};
@@ -0,0 +1,45 @@
+// Category names only need to be unique per owner; migration 001 made them
+// unique across the whole instance. SQLite cannot drop a constraint, so the
+// table is rebuilt.
+module.exports = {
+  up(db) {
+    db.run(`
+      CREATE TABLE categories_new (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        created_at TEXT NOT NULL DEFAULT (datetime('now')),
+        shared INTEGER NOT NULL DEFAULT 0,
+        owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+        visibility TEXT NOT NULL DEFAULT 'private',
+        public_slug TEXT,
+        access_token TEXT,
+        UNIQUE (owner_id, name)
+      )
+    `);
+    db.run(`
+      INSERT INTO categories_new (
+        id, name, created_at, shared, owner_id, visibility, public_slug,
+        access_token
+      )
+      SELECT
+        id, name, created_at, shared, owner_id, visibility, public_slug,
+        access_token
+      FROM categories
+    `);
+    // Dropping the old table cascades to its GIF assignments, and foreign
+    // keys cannot be switched off inside the migration's transaction.
+    db.run(
+      "CREATE TEMP TABLE saved_gif_categories AS SELECT * FROM gif_categories",
+    );
+    db.run("DROP TABLE categories");
+    db.run("ALTER TABLE categories_new RENAME TO categories");
+    db.run(`
+      INSERT OR IGNORE INTO gif_categories (gif_id, category_id)
+      SELECT gif_id, category_id FROM saved_gif_categories
+    `);
+    db.run("DROP TABLE saved_gif_categories");
+    db.run(
+      "CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_public_slug ON categories (public_slug)",
+    );
+  },
+};
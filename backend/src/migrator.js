@@ -0,0 +1,128 @@
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+
+function loadMigrations() {
+  const migrations = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => {
+      const match = MIGRATION_FILE_PATTERN.exec(file);
+      if (!match) {
+        return null;
+      }
+      return { version: Number(match[1]), name: match[2], file };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(
+        `Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`,
+      );
+    }
+  });
+  return migrations;
+}
+
+function ensureColumn(db, table, column, definition) {
+  const info = db.exec(`PRAGMA table_info(${table})`);
+  const columns = info.length > 0 ? info[0].values.map((row) => row[1]) : [];
+  if (columns.includes(column)) {
+    return false;
+  }
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+function ensureVersionTable(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL DEFAULT (datetime('now'))
+    )
+  `);
+}
+
+function readAppliedMigrations(db) {
+  const tables = db.exec(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'",
+  );
+  const applied = new Map();
+  if (tables.length === 0) {
+    return applied;
+  }
+  const stmt = db.prepare(
+    "SELECT version, applied_at AS appliedAt FROM schema_version",
+  );
+  while (stmt.step()) {
+    const row = stmt.getAsObject();
+    applied.set(row.version, row.appliedAt);
+  }
+  stmt.free();
+  return applied;
+}
+
+function getMigrationStatus(db) {
+  const applied = readAppliedMigrations(db);
+  const migrations = loadMigrations().map((migration) => ({
+    ...migration,
+    appliedAt: applied.get(migration.version) ?? null,
+  }));
+  const currentVersion = applied.size > 0 ? Math.max(...applied.keys()) : 0;
+  return {
+    currentVersion,
+    latestVersion: migrations.length
+      ? migrations[migrations.length - 1].version
+      : 0,
+    migrations,
+  };
+}
+
+function pendingMigrations(db) {
+  return getMigrationStatus(db).migrations.filter(
+    (migration) => migration.appliedAt === null,
+  );
+}
+
+function applyMigrations(db, migrations) {
+  db.run("BEGIN TRANSACTION");
+  let current;
+  try {
+    ensureVersionTable(db);
+    for (const migration of migrations) {
+      current = migration;
+      require(path.join(MIGRATIONS_DIR, migration.file)).up(db, {
+        ensureColumn,
+      });
+      db.run(
+        "INSERT INTO schema_version (version, name) VALUES (:version, :name)",
+        { ":version": migration.version, ":name": migration.name },
+      );
+    }
+    db.run("COMMIT");
+  } catch (error) {
+    db.run("ROLLBACK");
+    if (current) {
+      error.message = `Migration ${current.file} failed: ${error.message}`;
+    }
+    error.code = "MIGRATION_FAILED";
+    throw error;
+  }
+}
+
+function backupDatabaseFile(dbPath, version) {
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const backupPath = `${dbPath}.v${version}-${timestamp}.bak`;
+  fs.copyFileSync(dbPath, backupPath);
+  return backupPath;
+}
+
+module.exports = {
+  getMigrationStatus,
+  pendingMigrations,
+  applyMigrations,
+  backupDatabaseFile,
+};
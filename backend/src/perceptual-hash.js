@@ -0,0 +1,242 @@
+const path = require("path");
+const util = require("util");
+const { execFile } = require("child_process");
+const config = require("./config");
+const logger = require("./logger");
+const {
+  listGifsWithoutPerceptualHash,
+  setGifPerceptualHash,
+} = require("./database");
+
+const execFilePromise = util.promisify(execFile);
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const FRAME_BYTES = HASH_WIDTH * HASH_HEIGHT;
+const SAMPLED_FRAMES = 3;
+const HASH_BITS = (HASH_WIDTH - 1) * HASH_HEIGHT * SAMPLED_FRAMES;
+const MIN_BAND_BITS = 8;
+
+let backfillPromise = null;
+
+async function readThumbnailFrames(filePath) {
+  const args = [
+    filePath,
+    "-coalesce",
+    "-resize",
+    `${HASH_WIDTH}x${HASH_HEIGHT}!`,
+    "-colorspace",
+    "Gray",
+    "-depth",
+    "8",
+    "gray:-",
+  ];
+  let lastError;
+  for (const cmd of ["magick", "convert"]) {
+    try {
+      const { stdout } = await execFilePromise(cmd, args, {
+        encoding: "buffer",
+        maxBuffer: 64 * 1024 * 1024,
+      });
+      if (stdout.length >= FRAME_BYTES) {
+        return stdout;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  throw lastError || new Error("ImageMagick returned no frames.");
+}
+
+function differenceHash(pixels, offset) {
+  let hash = "";
+  for (let row = 0; row < HASH_HEIGHT; row += 1) {
+    let bits = 0;
+    for (let column = 0; column < HASH_WIDTH - 1; column += 1) {
+      const index = offset + row * HASH_WIDTH + column;
+      bits = (bits << 1) | (pixels[index] < pixels[index + 1] ? 1 : 0);
+    }
+    hash += bits.toString(16).padStart(2, "0");
+  }
+  return hash;
+}
+
+// dHash of the first, middle and last frame, so re-encodes that drop or
+// duplicate frames still line up.
+async function computePerceptualHash(filePath) {
+  const pixels = await readThumbnailFrames(filePath);
+  const frameCount = Math.floor(pixels.length / FRAME_BYTES);
+  const hashes = [];
+  for (let sample = 0; sample < SAMPLED_FRAMES; sample += 1) {
+    const frame = Math.round(
+      (sample * (frameCount - 1)) / (SAMPLED_FRAMES - 1),
+    );
+    hashes.push(differenceHash(pixels, frame * FRAME_BYTES));
+  }
+  return hashes.join("");
+}
+
+// Splits a hex hash into 32-bit words so distances need no BigInt maths.
+function hashWords(hash) {
+  const words = new Uint32Array(HASH_BITS / 32);
+  for (let index = 0; index < words.length; index += 1) {
+    words[index] = parseInt(hash.slice(index * 8, index * 8 + 8), 16);
+  }
+  return words;
+}
+
+function bitCount(value) {
+  let bits = value - ((value >>> 1) & 0x55555555);
+  bits = (bits & 0x33333333) + ((bits >>> 2) & 0x33333333);
+  return (((bits + (bits >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    distance += bitCount(a[index] ^ b[index]);
+  }
+  return distance;
+}
+
+function similarity(distance) {
+  return 1 - distance / HASH_BITS;
+}
+
+// Calls `visit` once for every pair worth comparing. Two hashes at most
+// `maxDistance` bits apart agree exactly on at least one of `maxDistance + 1`
+// bands, so only GIFs sharing a band are compared. Bands narrower than a byte
+// barely narrow things down; low thresholds compare every pair instead.
+function forEachCandidatePair(hashes, maxDistance, visit) {
+  const count = hashes.length;
+  const bandCount = maxDistance + 1;
+  if (HASH_BITS / bandCount < MIN_BAND_BITS) {
+    for (let i = 0; i < count; i += 1) {
+      for (let j = i + 1; j < count; j += 1) {
+        visit(i, j);
+      }
+    }
+    return;
+  }
+
+  const buckets = new Map();
+  hashes.forEach((hash, index) => {
+    const bits = Array.from(hash, (word) =>
+      word.toString(2).padStart(32, "0"),
+    ).join("");
+    for (let band = 0; band < bandCount; band += 1) {
+      const start = Math.floor((band * HASH_BITS) / bandCount);
+      const end = Math.floor(((band + 1) * HASH_BITS) / bandCount);
+      const key = `${band}:${bits.slice(start, end)}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(index);
+    }
+  });
+  const seen = new Set();
+  buckets.forEach((members) => {
+    for (let i = 0; i < members.length; i += 1) {
+      for (let j = i + 1; j < members.length; j += 1) {
+        const pairKey = members[i] * count + members[j];
+        if (!seen.has(pairKey)) {
+          seen.add(pairKey);
+          visit(members[i], members[j]);
+        }
+      }
+    }
+  });
+}
+
+// Single-linkage clustering: any pair at least `threshold` similar joins the
+// two GIFs' clusters.
+function findSimilarClusters(gifs, threshold) {
+  const maxDistance = Math.floor((1 - threshold) * HASH_BITS);
+  const hashed = gifs.filter(
+    (gif) =>
+      typeof gif.perceptualHash === "string" &&
+      /^[0-9a-f]+$/i.test(gif.perceptualHash) &&
+      gif.perceptualHash.length === HASH_BITS / 4,
+  );
+  const hashes = hashed.map((gif) => hashWords(gif.perceptualHash));
+  const parent = hashed.map((_, index) => index);
+  const root = (index) => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const closest = new Map();
+  forEachCandidatePair(hashes, maxDistance, (i, j) => {
+    const distance = hammingDistance(hashes[i], hashes[j]);
+    if (distance > maxDistance) {
+      return;
+    }
+    parent[root(j)] = root(i);
+    [i, j].forEach((index) => {
+      if (!closest.has(index) || closest.get(index) > distance) {
+        closest.set(index, distance);
+      }
+    });
+  });
+
+  const clusters = new Map();
+  closest.forEach((distance, index) => {
+    const key = root(index);
+    if (!clusters.has(key)) {
+      clusters.set(key, { gifs: [], maxDistance: 0 });
+    }
+    const cluster = clusters.get(key);
+    cluster.gifs.push({ ...hashed[index], similarity: similarity(distance) });
+    cluster.maxDistance = Math.max(cluster.maxDistance, distance);
+  });
+  return Array.from(clusters.values())
+    .map((cluster) => ({
+      similarity: similarity(cluster.maxDistance),
+      gifs: cluster.gifs.sort((a, b) => a.id - b.id),
+    }))
+    .sort((a, b) => b.similarity - a.similarity);
+}
+
+async function runBackfill() {
+  const gifs = await listGifsWithoutPerceptualHash();
+  let hashed = 0;
+  for (const gif of gifs) {
+    try {
+      const phash = await computePerceptualHash(
+        path.resolve(config.UPLOAD_DIR, gif.filename),
+      );
+      await setGifPerceptualHash(gif.id, phash);
+      hashed += 1;
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        logger.warn("ImageMagick not found; skipping perceptual hashes");
+        break;
+      }
+      logger.warn("Could not compute perceptual hash", {
+        slug: gif.slug,
+        error,
+      });
+    }
+  }
+  if (hashed > 0) {
+    logger.info("Computed perceptual hashes", { count: hashed });
+  }
+  return hashed;
+}
+
+function backfillPerceptualHashes() {
+  if (!backfillPromise) {
+    backfillPromise = runBackfill().finally(() => {
+      backfillPromise = null;
+    });
+  }
+  return backfillPromise;
+}
+
+module.exports = {
+  computePerceptualHash,
+  backfillPerceptualHashes,
+  findSimilarClusters,
+};
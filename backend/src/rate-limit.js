@@ -1,34 +1,32 @@
-function createRateLimiter({ windowMs, max }) {
-  const hits = new Map();
+const { getLimitStore } = require("./limit-store");
 
-  const sweepTimer = setInterval(() => {
-    const now = Date.now();
-    for (const [key, bucket] of hits) {
-      if (bucket.resetAt <= now) {
-        hits.delete(key);
-      }
-    }
-  }, windowMs);
-  sweepTimer.unref?.();
-
-  return function rateLimit(req, res, next) {
-    const key = req.ip || "unknown-ip";
-    const now = Date.now();
-    let bucket = hits.get(key);
-
-    if (!bucket || bucket.resetAt <= now) {
-      bucket = { count: 0, resetAt: now + windowMs };
-      hits.set(key, bucket);
-    }
-
-    bucket.count += 1;
+function createRateLimiter({ windowMs, max, prefix = "rate", store }) {
+  // Counts one request from the client. Over the limit it answers with 429
+  // and returns false.
+  async function consume(req, res) {
+    const key = `${prefix}:${req.ip || "unknown-ip"}`;
+    const bucket = await (store || getLimitStore()).hit(key, windowMs);
     if (bucket.count > max) {
-      const retryAfter = Math.ceil((bucket.resetAt - now) / 1000);
+      const retryAfter = Math.ceil((bucket.resetAt - Date.now()) / 1000);
       res.set("Retry-After", String(retryAfter));
-      return res.status(429).json({ error: "Too many requests." });
+      res.status(429).json({ error: "Too many requests." });
+      return false;
+    }
+    return true;
+  }
+
+  async function rateLimit(req, res, next) {
+    let allowed;
+    try {
+      allowed = await consume(req, res);
+    } catch (error) {
+      return next(error);
     }
-    return next();
-  };
+    return allowed ? next() : undefined;
+  }
+  // For routes that only limit some requests, such as ones that start work.
+  rateLimit.consume = consume;
+  return rateLimit;
 }
 
 module.exports = { createRateLimiter };
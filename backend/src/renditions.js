@@ -0,0 +1,358 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { execFile } = require("child_process");
+const { nanoid } = require("nanoid");
+const config = require("./config");
+const { conversionDuration } = require("./metrics");
+
+const execFilePromise = util.promisify(execFile);
+const fsPromises = fs.promises;
+
+const RENDITION_MIME_TYPES = {
+  gif: "image/gif",
+  webp: "image/webp",
+  mp4: "video/mp4",
+};
+// The only sizes a share URL may ask for, matching the gallery's presets, so
+// each GIF has at most a handful of renditions.
+const RENDITION_PRESETS = [
+  { width: 32, height: 32, fps: 10 },
+  { width: 128, height: 128, fps: null },
+  { width: 320, height: 320, fps: null },
+  { width: 480, height: 480, fps: null },
+];
+// Renders waiting for a free slot beyond this are turned away.
+const MAX_QUEUED_RENDERS = 50;
+const FAILURE_TTL_MS = 10 * 60 * 1000;
+
+// Renditions being generated right now, so concurrent requests for the same
+// file wait for one conversion instead of starting their own.
+const pending = new Map();
+// Renditions that could not be made recently, by path, with the error.
+const failures = new Map();
+let activeRenders = 0;
+const renderQueue = [];
+
+function renditionBusyError() {
+  const error = new Error("Too many renditions are being made.");
+  error.code = "RENDITION_BUSY";
+  return error;
+}
+
+// Runs `task` once fewer than RENDITION_CONCURRENCY renders are running, so a
+// burst of share requests cannot start unbounded ffmpeg processes.
+async function withRenderSlot(task) {
+  if (activeRenders >= config.RENDITION_CONCURRENCY) {
+    if (renderQueue.length >= MAX_QUEUED_RENDERS) {
+      throw renditionBusyError();
+    }
+    await new Promise((resolve) => renderQueue.push(resolve));
+  } else {
+    activeRenders += 1;
+  }
+  try {
+    return await task();
+  } finally {
+    const next = renderQueue.shift();
+    if (next) {
+      next();
+    } else {
+      activeRenders -= 1;
+    }
+  }
+}
+
+function sizeKey(size) {
+  if (!size) {
+    return "";
+  }
+  return [
+    size.width !== null ? `w${size.width}` : null,
+    size.height !== null ? `h${size.height}` : null,
+    size.fps !== null ? `fps${size.fps}` : null,
+  ]
+    .filter(Boolean)
+    .join("-");
+}
+
+function renditionPath(filename, format, size = null) {
+  const base = path.parse(filename).name;
+  const key = sizeKey(size);
+  return path.join(
+    config.RENDITION_DIR,
+    key ? `${base}.${key}.${format}` : `${base}.${format}`,
+  );
+}
+
+// ffmpeg filters that fit the frame inside the requested box without
+// upscaling and cap the frame rate.
+function sizeFilters(size) {
+  if (!size) {
+    return [];
+  }
+  const filters = [];
+  if (size.fps !== null) {
+    filters.push(`fps=${size.fps}`);
+  }
+  if (size.width !== null && size.height !== null) {
+    filters.push(
+      `scale='min(${size.width},iw)':'min(${size.height},ih)':force_original_aspect_ratio=decrease`,
+    );
+  } else if (size.width !== null) {
+    filters.push(`scale='min(${size.width},iw)':-2`);
+  } else if (size.height !== null) {
+    filters.push(`scale=-2:'min(${size.height},ih)'`);
+  }
+  return filters;
+}
+
+// ImageMagick has no frame rate cap, so only the resize is applied.
+function sizeMagickArgs(size) {
+  if (!size || (size.width === null && size.height === null)) {
+    return [];
+  }
+  return ["-resize", `${size.width ?? ""}x${size.height ?? ""}>`];
+}
+
+async function runFirst(attempts) {
+  let lastError;
+  for (const [cmd, args, outPath] of attempts) {
+    try {
+      await execFilePromise(cmd, args);
+      await fsPromises.access(outPath);
+      return;
+    } catch (error) {
+      lastError = error;
+      await fsPromises.rm(outPath, { force: true }).catch(() => {});
+    }
+  }
+  throw lastError;
+}
+
+function renderGif(sourcePath, outPath, size) {
+  const args = [
+    sourcePath,
+    "-coalesce",
+    ...sizeMagickArgs(size),
+    "-loop",
+    "0",
+    outPath,
+  ];
+  const attempts = [
+    ["magick", args, outPath],
+    ["convert", args, outPath],
+  ];
+  const filters = sizeFilters(size);
+  // Only ffmpeg can lower the frame rate, so it goes first for resized GIFs.
+  if (
+    size &&
+    size.fps !== null &&
+    path.extname(sourcePath).toLowerCase() !== ".webp"
+  ) {
+    attempts.unshift([
+      "ffmpeg",
+      [
+        "-y",
+        "-i",
+        sourcePath,
+        "-an",
+        "-filter_complex",
+        `${filters.join(",")},split[a][b];[a]palettegen[p];[b][p]paletteuse`,
+        "-loop",
+        "0",
+        outPath,
+      ],
+      outPath,
+    ]);
+  }
+  return runFirst(attempts);
+}
+
+function renderWebp(sourcePath, outPath, size) {
+  const magickArgs = [
+    sourcePath,
+    "-coalesce",
+    ...sizeMagickArgs(size),
+    "-quality",
+    "80",
+    outPath,
+  ];
+  const filters = sizeFilters(size);
+  return runFirst([
+    [
+      "ffmpeg",
+      [
+        "-y",
+        "-i",
+        sourcePath,
+        "-an",
+        ...(filters.length > 0 ? ["-vf", filters.join(",")] : []),
+        "-vcodec",
+        "libwebp",
+        "-loop",
+        "0",
+        "-q:v",
+        "80",
+        outPath,
+      ],
+      outPath,
+    ],
+    ["magick", magickArgs, outPath],
+    ["convert", magickArgs, outPath],
+  ]);
+}
+
+function renderMp4(sourcePath, outPath, size) {
+  return runFirst([
+    [
+      "ffmpeg",
+      [
+        "-y",
+        "-i",
+        sourcePath,
+        "-an",
+        "-movflags",
+        "+faststart",
+        "-pix_fmt",
+        "yuv420p",
+        "-vf",
+        [...sizeFilters(size), "scale=trunc(iw/2)*2:trunc(ih/2)*2"].join(","),
+        outPath,
+      ],
+      outPath,
+    ],
+  ]);
+}
+
+async function generateRendition(sourcePath, filename, format, size) {
+  await fsPromises.mkdir(config.RENDITION_DIR, { recursive: true });
+  const outPath = renditionPath(filename, format, size);
+  const tmpPath = `${outPath.slice(0, -(format.length + 1))}-${nanoid(6)}.tmp.${format}`;
+  let inputPath = sourcePath;
+  // ffmpeg cannot decode animated WebP, so MP4s of WebPs go through a GIF.
+  if (format === "mp4" && path.extname(sourcePath).toLowerCase() === ".webp") {
+    inputPath = await ensureRendition(sourcePath, filename, "gif");
+  }
+  await withRenderSlot(async () => {
+    const stopTimer = conversionDuration.startTimer({
+      kind: "rendition",
+      format,
+    });
+    try {
+      if (format === "gif") {
+        await renderGif(inputPath, tmpPath, size);
+      } else if (format === "webp") {
+        await renderWebp(inputPath, tmpPath, size);
+      } else {
+        await renderMp4(inputPath, tmpPath, size);
+      }
+      await fsPromises.rename(tmpPath, outPath);
+    } finally {
+      stopTimer();
+      await fsPromises.rm(tmpPath, { force: true }).catch(() => {});
+    }
+  });
+  return outPath;
+}
+
+function recentFailure(outPath) {
+  const failure = failures.get(outPath);
+  if (failure && Date.now() - failure.failedAt < FAILURE_TTL_MS) {
+    return failure.error;
+  }
+  failures.delete(outPath);
+  return null;
+}
+
+function recordFailure(outPath, error) {
+  const now = Date.now();
+  failures.forEach((failure, key) => {
+    if (now - failure.failedAt >= FAILURE_TTL_MS) {
+      failures.delete(key);
+    }
+  });
+  failures.set(outPath, { error, failedAt: now });
+}
+
+// Whether the rendition can be served without converting anything: it is
+// cached, or it failed recently and will fail again without trying.
+async function isRenditionSettled(filename, format, size = null) {
+  const outPath = renditionPath(filename, format, size);
+  if (recentFailure(outPath)) {
+    return true;
+  }
+  try {
+    await fsPromises.access(outPath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Returns the path of `format` rendition of the stored file, creating it on
+// first use. `size` ({ width, height, fps }, each possibly null) shrinks it.
+// A rendition that failed is not tried again for FAILURE_TTL_MS.
+async function ensureRendition(sourcePath, filename, format, size = null) {
+  const outPath = renditionPath(filename, format, size);
+  try {
+    await fsPromises.access(outPath);
+    return outPath;
+  } catch (error) {
+    // Not rendered yet.
+  }
+  const failure = recentFailure(outPath);
+  if (failure) {
+    throw failure;
+  }
+  if (!pending.has(outPath)) {
+    pending.set(
+      outPath,
+      generateRendition(sourcePath, filename, format, size)
+        .catch((error) => {
+          // A full queue says nothing about the file itself.
+          if (error.code !== "RENDITION_BUSY") {
+            recordFailure(outPath, error);
+          }
+          throw error;
+        })
+        .finally(() => {
+          pending.delete(outPath);
+        }),
+    );
+  }
+  return pending.get(outPath);
+}
+
+async function removeRenditions(filename) {
+  const prefix = `${path.parse(filename).name}.`;
+  failures.forEach((failure, key) => {
+    if (path.basename(key).startsWith(prefix)) {
+      failures.delete(key);
+    }
+  });
+  let entries;
+  try {
+    entries = await fsPromises.readdir(config.RENDITION_DIR);
+  } catch (error) {
+    return;
+  }
+  await Promise.all(
+    entries
+      .filter((entry) => entry.startsWith(prefix))
+      .map((entry) =>
+        fsPromises
+          .rm(path.join(config.RENDITION_DIR, entry), { force: true })
+          .catch(() => {}),
+      ),
+  );
+}
+
+module.exports = {
+  RENDITION_MIME_TYPES,
+  RENDITION_PRESETS,
+  sizeKey,
+  isRenditionSettled,
+  ensureRendition,
+  removeRenditions,
+};
@@ -2,62 +2,163 @@ const express = require("express");
 const multer = require("multer");
 const path = require("path");
 const fs = require("fs");
+const crypto = require("crypto");
 const { nanoid } = require("nanoid");
-const { execFile } = require("child_process");
 const os = require("os");
-const util = require("util");
+const { pipeline } = require("stream");
 const fsPromises = fs.promises;
-const execFilePromise = util.promisify(execFile);
 const {
   authMiddleware,
-  credentialsAreValid,
+  requireRole,
+  requireScope,
+  requireSession,
+  generateApiToken,
+  canManage,
+  authenticateUser,
+  issueLoginChallenge,
+  resolveLoginChallenge,
+  verifySecondFactor,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  generateRecoveryCodes,
+  hashPassword,
+  verifyPassword,
+  validateUsername,
+  validatePassword,
+  validateRole,
+  validateTokenName,
+  validateTokenScopes,
   issueToken,
   cookieOptions,
-  verifyToken,
+  resolveSession,
   checkLoginRateLimit,
   recordFailedLogin,
   recordSuccessfulLogin,
 } = require("./auth");
 const {
+  checkDatabase,
   addGif,
   listGifs,
+  getLibrarySummary,
   findGifBySlug,
+  listDuplicateGroups,
+  listPerceptuallyHashedGifs,
+  mergeDuplicateGifs,
   deleteGifBySlug,
   listCategories,
+  findCategoryById,
   addCategory,
   deleteCategoryById,
+  updateCategoryVisibility,
+  findPublicCollection,
+  listPublicCollections,
   setGifCategories,
   getGifsByCategory,
+  createShareLink,
+  listShareLinks,
+  findShareLinkByToken,
+  recordShareLinkView,
+  deleteShareLink,
+  getShareStats,
+  updateGifDetails,
+  searchGifs,
+  listUsers,
+  findUserById,
+  createUser,
+  countActiveAdmins,
+  updateUser,
+  listApiTokens,
+  countApiTokens,
+  createApiToken,
+  deleteApiToken,
+  listSessions,
+  deleteSession,
+  deleteUserSessions,
+  findUserTotp,
+  disableTotp,
+  replaceRecoveryCodes,
+  countRecoveryCodes,
+  findJobById,
+  listJobs,
 } = require("./database");
 const config = require("./config");
-const validDomains = require("./valid-domains");
-const { safeFetch } = require("./net-guard");
+const logger = require("./logger");
+const metrics = require("./metrics");
 const { createRateLimiter } = require("./rate-limit");
+const { hashFile } = require("./content-hash");
+const {
+  backfillPerceptualHashes,
+  findSimilarClusters,
+} = require("./perceptual-hash");
+const {
+  THUMBNAIL_MIME_TYPE,
+  backfillThumbnails,
+  removeThumbnails,
+  thumbnailPath,
+} = require("./thumbnails");
+const { enqueueJob, jobEvents, jobStage } = require("./jobs");
+const { removeOriginal } = require("./conversion");
+const { trackShareHit } = require("./share-hits");
+const {
+  RENDITION_MIME_TYPES,
+  RENDITION_PRESETS,
+  ensureRendition,
+  isRenditionSettled,
+  removeRenditions,
+} = require("./renditions");
+const {
+  ALLOWED_EXTENSIONS,
+  EXTENSION_MIME_MAP,
+  findDuplicateUpload,
+  isWhitelistedUrl,
+} = require("./media-pipeline");
+const {
+  IMPORT_MODES,
+  CONFLICT_STRATEGIES,
+  createExportStream,
+  importArchive,
+} = require("./backup");
+
+const requireReader = [authMiddleware, requireScope("read")];
+const requireUpload = [
+  authMiddleware,
+  requireRole("editor"),
+  requireScope("upload"),
+];
+const requireEditor = [
+  authMiddleware,
+  requireRole("editor"),
+  requireScope("manage"),
+];
+const requireAdmin = [authMiddleware, requireSession, requireRole("admin")];
+const requireSignedIn = [authMiddleware, requireSession];
+
+const MAX_API_TOKENS_PER_USER = 25;
 
 const publicApiLimiter = createRateLimiter({
-  windowMs: 60 * 1000,
-  max: 60,
+  windowMs: config.PUBLIC_API_RATE_WINDOW_MS,
+  max: config.PUBLIC_API_RATE_LIMIT,
+  prefix: "public-api",
 });
 
-function isWhitelistedUrl(url) {
-  return validDomains.some(
-    (domain) =>
-      url.hostname === domain || url.hostname.endsWith("." + domain),
-  );
-}
-
 const router = express.Router();
 
-const ALLOWED_MIME_TYPES = new Set(["image/gif", "image/webp"]);
-const ALLOWED_EXTENSIONS = new Set([".gif", ".webp"]);
+const ALLOWED_MIME_TYPES = new Set([
+  "image/gif",
+  "image/webp",
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+]);
 const MIME_EXTENSION_MAP = {
   "image/gif": ".gif",
   "image/webp": ".webp",
+  "video/mp4": ".mp4",
+  "video/webm": ".webm",
+  "video/quicktime": ".mov",
 };
-const EXTENSION_MIME_MAP = {
-  ".gif": "image/gif",
-  ".webp": "image/webp",
-};
+const MAX_IMAGE_UPLOAD_BYTES = 15 * 1024 * 1024;
+const MAX_VIDEO_WIDTH = 4096;
 
 function resolveFileExtension(file) {
   const originalExt = path.extname(file.originalname || "").toLowerCase();
@@ -87,80 +188,102 @@ const storage = multer.diskStorage({
 
 const upload = multer({
   storage,
-  limits: { fileSize: 15 * 1024 * 1024 },
+  limits: {
+    fileSize: Math.max(MAX_IMAGE_UPLOAD_BYTES, config.VIDEO_UPLOAD_MAX_BYTES),
+  },
   fileFilter: (req, file, cb) => {
     if (!ALLOWED_MIME_TYPES.has(file.mimetype)) {
-      return cb(new Error("Only GIF or WebP uploads are allowed."));
+      return cb(
+        new Error("Only GIF, WebP, MP4, WebM or MOV uploads are allowed."),
+      );
     }
     cb(null, true);
   },
 });
 
-async function getFrameCount(filePath) {
-  for (const cmd of [
-    ["magick", ["identify", "-format", "%n\n", filePath]],
-    ["identify", ["-format", "%n\n", filePath]],
-  ]) {
-    try {
-      const { stdout } = await execFilePromise(cmd[0], cmd[1]);
-      const count = parseInt(stdout.trim().split("\n")[0], 10);
-      if (Number.isFinite(count)) {
-        return count;
-      }
-    } catch (e) {
-      continue;
-    }
-  }
-  return 1;
-}
+const archiveUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, os.tmpdir()),
+    filename: (req, file, cb) =>
+      cb(null, `gifselector-archive-${Date.now()}-${nanoid(6)}.tar`),
+  }),
+  limits: { fileSize: config.IMPORT_ARCHIVE_MAX_BYTES, files: 1 },
+});
 
-async function ensureAnimated(filePath) {
-  const frames = await getFrameCount(filePath);
-  if (frames > 1) {
-    return null;
-  }
-  const ext = path.extname(filePath);
-  const base = filePath.slice(0, filePath.length - ext.length);
-  const outPath = `${base}.gif`;
-  const tmpPath = `${base}-anim-${nanoid(6)}.gif`;
-  const args = [
-    filePath,
-    "-coalesce",
-    "-duplicate",
-    "1",
-    "-loop",
-    "0",
-    "-set",
-    "delay",
-    "100",
-    tmpPath,
-  ];
-  for (const cmd of ["magick", "convert"]) {
-    try {
-      await execFilePromise(cmd, args);
-      await fsPromises.access(tmpPath);
-      if (outPath !== filePath) {
-        await fsPromises.rm(filePath, { force: true }).catch(() => {});
-      }
-      await fsPromises.rename(tmpPath, outPath);
-      return outPath;
-    } catch (e) {
-      await fsPromises.rm(tmpPath, { force: true }).catch(() => {});
-    }
-  }
-  return null;
-}
+let archiveImportRunning = false;
 
-function buildShareUrl(req, slug, filename) {
-  const extension = extensionFromFilename(filename);
+function buildShareBaseUrl(req) {
   const forwardedProto = req.get("x-forwarded-proto");
   const protocol = forwardedProto ? forwardedProto.split(",")[0] : req.protocol;
   const host = req.get("host");
-  return `${protocol}://${host}${config.BASE_PATH}/share/${slug}.${extension}`;
+  return `${protocol}://${host}${config.BASE_PATH}/share`;
+}
+
+function buildShareUrl(req, slug, filename) {
+  const extension = extensionFromFilename(filename);
+  return `${buildShareBaseUrl(req)}/${slug}.${extension}`;
 }
 
-router.post("/api/login", express.json(), (req, res) => {
-  const rateLimitStatus = checkLoginRateLimit(req);
+function buildShareLinkUrl(req, token, filename) {
+  const extension = extensionFromFilename(filename);
+  return `${buildShareBaseUrl(req)}/link/${token}.${extension}`;
+}
+
+function buildThumbnailUrl(req, slug, variant = "poster") {
+  const query = variant === "poster" ? "" : `?variant=${variant}`;
+  return `${buildShareBaseUrl(req)}/${slug}/thumb${query}`;
+}
+
+// Liveness: the process is up and the event loop answers.
+router.get("/healthz", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok", uptime: Math.round(process.uptime()) });
+});
+
+// Readiness: the database is loaded and uploads can be stored.
+router.get("/readyz", async (req, res) => {
+  const checks = {};
+  try {
+    await checkDatabase();
+    checks.database = "ok";
+  } catch (error) {
+    checks.database = error.message;
+  }
+  try {
+    await fs.promises.access(config.UPLOAD_DIR, fs.constants.W_OK);
+    checks.uploadDir = "ok";
+  } catch (error) {
+    checks.uploadDir = error.message;
+  }
+  const ready = Object.values(checks).every((check) => check === "ok");
+  res.set("Cache-Control", "no-store");
+  res
+    .status(ready ? 200 : 503)
+    .json({ status: ready ? "ready" : "unavailable", checks });
+});
+
+router.get("/metrics", async (req, res, next) => {
+  if (config.METRICS_TOKEN) {
+    const match = /^Bearer (.+)$/i.exec(req.get("authorization") || "");
+    if (!tokenMatches(config.METRICS_TOKEN, match?.[1])) {
+      res.set("WWW-Authenticate", 'Bearer realm="metrics"');
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+  }
+  try {
+    const summary = await getLibrarySummary();
+    metrics.libraryGifs.set({}, summary.totalCount);
+    metrics.libraryBytes.set({}, summary.totalSize);
+    res.set("Cache-Control", "no-store");
+    res.type("text/plain; version=0.0.4");
+    return res.send(metrics.renderMetrics());
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post("/api/login", express.json(), async (req, res, next) => {
+  const rateLimitStatus = await checkLoginRateLimit(req);
   if (!rateLimitStatus.allowed) {
     return res.status(429).json({ error: "Invalid credentials." });
   }
@@ -171,123 +294,436 @@ router.post("/api/login", express.json(), (req, res) => {
       .status(400)
       .json({ error: "Username and password are required." });
   }
-  if (!credentialsAreValid(username, password)) {
-    const status = recordFailedLogin(req);
+  let user;
+  try {
+    user = await authenticateUser(username, password);
+  } catch (error) {
+    return next(error);
+  }
+  if (!user) {
+    const status = await recordFailedLogin(req);
     if (status.blocked) {
       return res.status(429).json({ error: "Invalid credentials." });
     }
     return res.status(401).json({ error: "Invalid credentials." });
   }
 
-  recordSuccessfulLogin(req);
-  const token = issueToken(username);
-  res.cookie("authToken", token, cookieOptions());
-  return res.json({ success: true });
-});
+  if (user.totpEnabled) {
+    return res.json({
+      twoFactorRequired: true,
+      challenge: issueLoginChallenge(user),
+    });
+  }
 
-router.post("/api/logout", (req, res) => {
-  res.clearCookie("authToken", { ...cookieOptions(), maxAge: 0 });
-  return res.json({ success: true });
+  await recordSuccessfulLogin(req);
+  try {
+    const token = await issueToken(user, req);
+    res.cookie("authToken", token, cookieOptions());
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
 });
 
-router.get("/api/session", (req, res) => {
-  const token = req.cookies?.authToken;
-  if (!token) {
-    return res.json({ authenticated: false });
+router.post("/api/login/totp", express.json(), async (req, res, next) => {
+  const rateLimitStatus = await checkLoginRateLimit(req);
+  if (!rateLimitStatus.allowed) {
+    return res.status(429).json({ error: "Invalid verification code." });
+  }
+
+  const { challenge, code } = req.body || {};
+  if (!challenge || !code) {
+    return res
+      .status(400)
+      .json({ error: "Challenge and verification code are required." });
   }
   try {
-    const payload = verifyToken(token);
-    return res.json({ authenticated: true, username: payload.username });
+    const user = await resolveLoginChallenge(challenge);
+    if (!user) {
+      return res
+        .status(401)
+        .json({ error: "Sign-in expired. Enter your password again." });
+    }
+    if (!(await verifySecondFactor(user.id, String(code)))) {
+      const status = await recordFailedLogin(req);
+      if (status.blocked) {
+        return res.status(429).json({ error: "Invalid verification code." });
+      }
+      return res.status(401).json({ error: "Invalid verification code." });
+    }
+    await recordSuccessfulLogin(req);
+    const token = await issueToken(user, req);
+    res.cookie("authToken", token, cookieOptions());
+    return res.json({ success: true });
   } catch (error) {
-    return res.json({ authenticated: false });
+    return next(error);
   }
 });
 
-router.get("/api/gifs", authMiddleware, async (req, res, next) => {
+router.post("/api/logout", async (req, res, next) => {
   try {
-    const storedGifs = await listGifs();
-    const gifs = storedGifs.map((gif) => ({
-      id: gif.id,
-      slug: gif.slug,
-      originalName: gif.originalName,
-      sizeBytes: gif.sizeBytes,
-      createdAt: gif.createdAt,
-      mimeType: gif.mimeType,
-      shareUrl: buildShareUrl(req, gif.slug, gif.filename),
-      categories: Array.isArray(gif.categories)
-        ? gif.categories.map((category) => ({
-            id: category.id,
-            name: category.name,
-          }))
-        : [],
-    }));
-    return res.json({ gifs, total: storedGifs.length });
+    const session = await resolveSession(req.cookies?.authToken);
+    if (session) {
+      await deleteSession(session.sessionId, { userId: session.user.id });
+    }
+    res.clearCookie("authToken", { ...cookieOptions(), maxAge: 0 });
+    return res.json({ success: true });
   } catch (error) {
     return next(error);
   }
 });
 
-router.get("/api/public/gifs", publicApiLimiter, async (req, res, next) => {
+router.get("/api/session", async (req, res, next) => {
   try {
-    const categoryName = config.PUBLIC_GIF_CATEGORY;
-    if (!categoryName) {
-      return res.status(404).json({ error: "No public category configured." });
+    const session = await resolveSession(req.cookies?.authToken, req);
+    if (!session) {
+      return res.json({ authenticated: false });
     }
-    const gifs = await getGifsByCategory(categoryName);
+    return res.json({
+      authenticated: true,
+      username: session.user.username,
+      role: session.user.role,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
 
-    const gifsWithUrls = gifs.map((g) => ({
-      ...g,
-      shareUrl: buildShareUrl(req, g.slug, g.filename),
-    }));
+function serializeGif(req, gif) {
+  return {
+    id: gif.id,
+    slug: gif.slug,
+    originalName: gif.originalName,
+    title: gif.title || null,
+    description: gif.description || null,
+    sizeBytes: gif.sizeBytes,
+    createdAt: gif.createdAt,
+    mimeType: gif.mimeType,
+    shareUrl: buildShareUrl(req, gif.slug, gif.filename),
+    thumbnailUrl: buildThumbnailUrl(req, gif.slug),
+    previewUrl: buildThumbnailUrl(req, gif.slug, "preview"),
+    hasOriginal: Boolean(gif.originalFilename),
+    categories: Array.isArray(gif.categories)
+      ? gif.categories.map((category) => ({
+          id: category.id,
+          name: category.name,
+        }))
+      : [],
+    tags: Array.isArray(gif.tags) ? gif.tags : [],
+    owner: gif.ownerName || null,
+    shared: Boolean(gif.shared),
+    canManage: canManage(req.user, gif),
+  };
+}
 
-    const jsonString = JSON.stringify({ gifs: gifsWithUrls });
-    const buffer = Buffer.from(jsonString, "utf-8");
+function serializeCategory(req, category) {
+  return {
+    id: category.id,
+    name: category.name,
+    createdAt: category.createdAt,
+    gifCount: category.gifCount ?? 0,
+    owner: category.ownerName || null,
+    shared: Boolean(category.shared),
+    visibility: category.visibility || "private",
+    publicSlug: category.visibility === "private" ? null : category.publicSlug,
+    // Only the people who can change the category get the unlisted secret.
+    accessToken:
+      category.visibility === "unlisted" && canManage(req.user, category)
+        ? category.accessToken
+        : null,
+    canManage: canManage(req.user, category),
+  };
+}
 
-    res.setHeader("Content-Type", "application/json");
-    res.setHeader("Content-Length", buffer.length);
+function rejectUnlessManageable(req, res, resource, notFoundMessage) {
+  if (!resource || (!canManage(req.user, resource) && !resource.shared)) {
+    res.status(404).json({ error: notFoundMessage });
+    return true;
+  }
+  if (!canManage(req.user, resource)) {
+    res.status(403).json({ error: "Only the owner can change this." });
+    return true;
+  }
+  return false;
+}
 
-    res.set({
-      "Cache-Control": "public, max-age=31536000, immutable",
-      Expires: new Date(Date.now() + 31536000000).toUTCString(),
-    });
+function parseScope(req) {
+  const scope = req.query.scope === undefined ? "mine" : req.query.scope;
+  if (!["mine", "shared", "all"].includes(scope)) {
+    return { error: "scope must be one of mine, shared or all." };
+  }
+  if (scope === "all" && req.user.role !== "admin") {
+    return { error: "Only admins can view all libraries." };
+  }
+  return { scope };
+}
 
-    const CHUNK_SIZE = 16 * 1024;
-    const SPEED_LIMIT = config.PUBLIC_API_SPEED_LIMIT;
+function categoryScope(req) {
+  return req.user.role === "admin" ? "all" : "shared";
+}
 
-    let offset = 0;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
 
-    function sendNextChunk() {
-      if (res.writableEnded) return;
+function parseListQuery(query) {
+  const limit =
+    query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+  const sort = query.sort === undefined ? "created" : String(query.sort);
+  if (!["created", "size", "name"].includes(sort)) {
+    return { error: "sort must be one of created, size or name." };
+  }
+  const order =
+    query.order === undefined
+      ? sort === "name"
+        ? "asc"
+        : "desc"
+      : String(query.order);
+  if (order !== "asc" && order !== "desc") {
+    return { error: "order must be asc or desc." };
+  }
+  let categoryId;
+  if (query.category !== undefined && query.category !== "") {
+    categoryId = Number(query.category);
+    if (!Number.isInteger(categoryId) || categoryId <= 0) {
+      return { error: "Invalid category id." };
+    }
+  }
+  const uncategorized =
+    query.uncategorized === "true" || query.uncategorized === "1";
+  const cursor =
+    typeof query.cursor === "string" && query.cursor ? query.cursor : undefined;
+  return {
+    options: { cursor, limit, sort, order, categoryId, uncategorized },
+  };
+}
 
-      const end = Math.min(offset + CHUNK_SIZE, buffer.length);
-      const chunk = buffer.slice(offset, end);
+router.get("/api/gifs", requireReader, async (req, res, next) => {
+  const { options, error: queryError } = parseListQuery(req.query);
+  const { scope, error: scopeError } = parseScope(req);
+  if (queryError || scopeError) {
+    return res.status(400).json({ error: queryError || scopeError });
+  }
+  try {
+    const page = await listGifs({ ...options, viewerId: req.user.id, scope });
+    const gifs = page.gifs.map((gif) => serializeGif(req, gif));
+    return res.json({ gifs, total: page.total, nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error?.code === "GIF_QUERY_INVALID") {
+      return res.status(400).json({ error: error.message });
+    }
+    return next(error);
+  }
+});
 
-      if (chunk.length === 0) {
-        res.end();
-        return;
-      }
+router.get("/api/gifs/summary", requireReader, async (req, res, next) => {
+  const { scope, error: scopeError } = parseScope(req);
+  if (scopeError) {
+    return res.status(400).json({ error: scopeError });
+  }
+  try {
+    const summary = await getLibrarySummary({ viewerId: req.user.id, scope });
+    return res.json({ summary });
+  } catch (error) {
+    return next(error);
+  }
+});
 
-      res.write(chunk);
-      offset = end;
+router.get("/api/gifs/search", requireReader, async (req, res, next) => {
+  const query = typeof req.query.q === "string" ? req.query.q : "";
+  if (!query.trim()) {
+    return res.status(400).json({ error: "Search query is required." });
+  }
+  const { scope, error: scopeError } = parseScope(req);
+  if (scopeError) {
+    return res.status(400).json({ error: scopeError });
+  }
+  try {
+    const storedGifs = await searchGifs(query, {
+      viewerId: req.user.id,
+      scope,
+    });
+    const gifs = storedGifs.map((gif) => serializeGif(req, gif));
+    return res.json({ gifs, total: gifs.length });
+  } catch (error) {
+    return next(error);
+  }
+});
 
-      if (offset < buffer.length) {
-        const delayMs = (chunk.length / SPEED_LIMIT) * 1000;
-        setTimeout(sendNextChunk, delayMs);
-      } else {
-        res.end();
+router.patch(
+  "/api/gifs/:slug",
+  requireEditor,
+  express.json(),
+  async (req, res, next) => {
+    const { slug } = req.params;
+    const { title, description, tags, shared } = req.body || {};
+    try {
+      const existing = await findGifBySlug(slug);
+      if (rejectUnlessManageable(req, res, existing, "GIF not found.")) {
+        return undefined;
+      }
+      const gif = await updateGifDetails(slug, {
+        title,
+        description,
+        tags,
+        shared,
+      });
+      if (!gif) {
+        return res.status(404).json({ error: "GIF not found." });
       }
+      return res.json({ gif: serializeGif(req, gif) });
+    } catch (error) {
+      if (
+        error?.code === "TAG_INVALID" ||
+        error?.code === "GIF_DETAILS_INVALID"
+      ) {
+        return res.status(400).json({ error: error.message });
+      }
+      return next(error);
     }
+  },
+);
 
-    sendNextChunk();
-  } catch (error) {
-    next(error);
+function serializePublicGif(req, gif) {
+  return {
+    id: gif.id,
+    slug: gif.slug,
+    originalName: gif.originalName,
+    title: gif.title || null,
+    description: gif.description || null,
+    sizeBytes: gif.sizeBytes,
+    createdAt: gif.createdAt,
+    mimeType: gif.mimeType,
+    shareUrl: buildShareUrl(req, gif.slug, gif.filename),
+    thumbnailUrl: buildThumbnailUrl(req, gif.slug),
+    previewUrl: buildThumbnailUrl(req, gif.slug, "preview"),
+    tags: Array.isArray(gif.tags) ? gif.tags : [],
+  };
+}
+
+function serializePublicCollection(category) {
+  return {
+    slug: category.publicSlug,
+    name: category.name,
+    gifCount: category.gifCount ?? 0,
+  };
+}
+
+function tokenMatches(expected, given) {
+  if (typeof expected !== "string" || typeof given !== "string") {
+    return false;
   }
-});
+  const expectedBuffer = Buffer.from(expected);
+  const givenBuffer = Buffer.from(given);
+  return (
+    expectedBuffer.length === givenBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, givenBuffer)
+  );
+}
+
+// Sends public API responses in chunks, at most PUBLIC_API_SPEED_LIMIT bytes
+// per second.
+function sendThrottledJson(res, payload, cacheControl) {
+  const buffer = Buffer.from(JSON.stringify(payload), "utf-8");
+
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Content-Length", buffer.length);
+  res.set("Cache-Control", cacheControl);
+
+  const CHUNK_SIZE = 16 * 1024;
+  const SPEED_LIMIT = config.PUBLIC_API_SPEED_LIMIT;
+
+  let offset = 0;
+
+  function sendNextChunk() {
+    if (res.writableEnded) return;
+
+    const end = Math.min(offset + CHUNK_SIZE, buffer.length);
+    const chunk = buffer.slice(offset, end);
+
+    if (chunk.length === 0) {
+      res.end();
+      return;
+    }
+
+    res.write(chunk);
+    offset = end;
+
+    if (offset < buffer.length) {
+      const delayMs = (chunk.length / SPEED_LIMIT) * 1000;
+      setTimeout(sendNextChunk, delayMs);
+    } else {
+      res.end();
+    }
+  }
+
+  sendNextChunk();
+}
 
-router.get("/api/categories", authMiddleware, async (req, res, next) => {
+router.get(
+  "/api/public/collections",
+  publicApiLimiter,
+  async (req, res, next) => {
+    try {
+      const collections = await listPublicCollections();
+      return sendThrottledJson(
+        res,
+        { collections: collections.map(serializePublicCollection) },
+        "public, max-age=60",
+      );
+    } catch (error) {
+      return next(error);
+    }
+  },
+);
+
+router.get(
+  "/api/public/collections/:slug",
+  publicApiLimiter,
+  async (req, res, next) => {
+    try {
+      const collection = await findPublicCollection(req.params.slug);
+      // Unlisted collections look exactly like missing ones without the token.
+      if (
+        !collection ||
+        (collection.visibility === "unlisted" &&
+          !tokenMatches(collection.accessToken, req.query.token))
+      ) {
+        return res.status(404).json({ error: "Collection not found." });
+      }
+      const gifs = await getGifsByCategory(collection.id);
+      return sendThrottledJson(
+        res,
+        {
+          collection: serializePublicCollection({
+            ...collection,
+            gifCount: gifs.length,
+          }),
+          gifs: gifs.map((gif) => serializePublicGif(req, gif)),
+        },
+        collection.visibility === "unlisted"
+          ? "private, max-age=60"
+          : "public, max-age=60",
+      );
+    } catch (error) {
+      return next(error);
+    }
+  },
+);
+
+router.get("/api/categories", requireReader, async (req, res, next) => {
   try {
-    const categories = await listCategories();
-    return res.json({ categories });
+    const categories = await listCategories({
+      viewerId: req.user.id,
+      scope: categoryScope(req),
+    });
+    return res.json({
+      categories: categories.map((category) =>
+        serializeCategory(req, category),
+      ),
+    });
   } catch (error) {
     return next(error);
   }
@@ -295,16 +731,24 @@ router.get("/api/categories", authMiddleware, async (req, res, next) => {
 
 router.post(
   "/api/categories",
-  authMiddleware,
+  requireEditor,
   express.json(),
   async (req, res, next) => {
-    const { name } = req.body || {};
+    const { name, shared = false } = req.body || {};
+    if (typeof shared !== "boolean") {
+      return res.status(400).json({ error: "shared must be a boolean." });
+    }
     try {
-      const category = await addCategory(name);
+      const category = await addCategory(name, {
+        ownerId: req.user.id,
+        shared,
+      });
       if (!category) {
         return res.status(500).json({ error: "Failed to create category." });
       }
-      return res.status(201).json({ category });
+      return res
+        .status(201)
+        .json({ category: serializeCategory(req, category) });
     } catch (error) {
       if (error?.code === "CATEGORY_NAME_REQUIRED") {
         return res.status(400).json({ error: error.message });
@@ -317,12 +761,16 @@ router.post(
   },
 );
 
-router.delete("/api/categories/:id", authMiddleware, async (req, res, next) => {
+router.delete("/api/categories/:id", requireEditor, async (req, res, next) => {
   const categoryId = Number(req.params.id);
   if (!Number.isInteger(categoryId) || categoryId <= 0) {
     return res.status(400).json({ error: "Invalid category id." });
   }
   try {
+    const category = await findCategoryById(categoryId);
+    if (rejectUnlessManageable(req, res, category, "Category not found.")) {
+      return undefined;
+    }
     const deleted = await deleteCategoryById(categoryId);
     if (!deleted) {
       return res.status(404).json({ error: "Category not found." });
@@ -333,15 +781,63 @@ router.delete("/api/categories/:id", authMiddleware, async (req, res, next) => {
   }
 });
 
+router.patch(
+  "/api/categories/:id",
+  requireEditor,
+  express.json(),
+  async (req, res, next) => {
+    const categoryId = Number(req.params.id);
+    if (!Number.isInteger(categoryId) || categoryId <= 0) {
+      return res.status(400).json({ error: "Invalid category id." });
+    }
+    const { visibility, regenerateToken = false } = req.body || {};
+    if (typeof regenerateToken !== "boolean") {
+      return res
+        .status(400)
+        .json({ error: "regenerateToken must be a boolean." });
+    }
+    try {
+      const existing = await findCategoryById(categoryId);
+      if (rejectUnlessManageable(req, res, existing, "Category not found.")) {
+        return undefined;
+      }
+      const category = await updateCategoryVisibility(categoryId, {
+        visibility,
+        accessToken:
+          visibility === "unlisted" &&
+          (regenerateToken || !existing.accessToken)
+            ? nanoid(32)
+            : undefined,
+      });
+      if (!category) {
+        return res.status(404).json({ error: "Category not found." });
+      }
+      return res.json({ category: serializeCategory(req, category) });
+    } catch (error) {
+      if (error?.code === "CATEGORY_VISIBILITY_INVALID") {
+        return res.status(400).json({ error: error.message });
+      }
+      return next(error);
+    }
+  },
+);
+
 router.put(
   "/api/gifs/:slug/categories",
-  authMiddleware,
+  requireEditor,
   express.json(),
   async (req, res, next) => {
     const { slug } = req.params;
     const { categoryIds } = req.body || {};
     try {
-      const categories = await setGifCategories(slug, categoryIds);
+      const gif = await findGifBySlug(slug);
+      if (rejectUnlessManageable(req, res, gif, "GIF not found.")) {
+        return undefined;
+      }
+      const categories = await setGifCategories(slug, categoryIds, {
+        viewerId: req.user.id,
+        scope: categoryScope(req),
+      });
       if (categories === null) {
         return res.status(404).json({ error: "GIF not found." });
       }
@@ -355,7 +851,58 @@ router.put(
   },
 );
 
-router.post("/api/upload", authMiddleware, (req, res, next) => {
+function parseSeconds(value, label) {
+  if (value === undefined || value === "") {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`${label} must be a number of seconds.`);
+  }
+  return seconds;
+}
+
+function parseVideoOptions(body = {}) {
+  const trimStart = parseSeconds(body.trimStart, "trimStart");
+  const trimEnd = parseSeconds(body.trimEnd, "trimEnd");
+  if (trimEnd !== null && trimEnd <= (trimStart ?? 0)) {
+    throw new Error("trimEnd must be after trimStart.");
+  }
+  let width = null;
+  if (body.width !== undefined && body.width !== "") {
+    width = Number(body.width);
+    if (!Number.isInteger(width) || width < 16 || width > MAX_VIDEO_WIDTH) {
+      throw new Error(
+        `width must be a whole number of pixels between 16 and ${MAX_VIDEO_WIDTH}.`,
+      );
+    }
+  }
+  return { trimStart, trimEnd, width };
+}
+
+// Videos are converted before they get a slug, so the response only carries
+// the job id; the job's result holds the slug once it has finished.
+async function enqueueVideoUpload(req, res, filePath) {
+  let options;
+  try {
+    options = parseVideoOptions(req.body);
+  } catch (error) {
+    await fsPromises.unlink(filePath).catch(() => {});
+    return res.status(400).json({ error: error.message });
+  }
+  const job = await enqueueJob(
+    "process-video",
+    {
+      filename: req.file.filename,
+      originalName: req.file.originalname,
+      ...options,
+    },
+    { userId: req.user.id },
+  );
+  return res.status(202).json({ jobId: job.id });
+}
+
+router.post("/api/upload", requireUpload, (req, res, next) => {
   upload.single("gif")(req, res, async (err) => {
     if (err instanceof multer.MulterError) {
       return res.status(400).json({ error: err.message });
@@ -367,84 +914,679 @@ router.post("/api/upload", authMiddleware, (req, res, next) => {
       return res.status(400).json({ error: "No file uploaded." });
     }
     const slug = nanoid(10);
-    let filePath = path.resolve(config.UPLOAD_DIR, req.file.filename);
-    let filename = req.file.filename;
-    let mimeType = req.file.mimetype;
-    let sizeBytes = req.file.size;
+    const filePath = path.resolve(config.UPLOAD_DIR, req.file.filename);
+    if (req.file.mimetype.startsWith("video/")) {
+      return enqueueVideoUpload(req, res, filePath).catch((error) => {
+        fs.unlink(filePath, () => {});
+        next(error);
+      });
+    }
+    if (req.file.size > MAX_IMAGE_UPLOAD_BYTES) {
+      await fsPromises.unlink(filePath).catch(() => {});
+      return res.status(400).json({ error: "File too large" });
+    }
     try {
-      const animatedPath = await ensureAnimated(filePath);
-      if (animatedPath) {
-        filePath = animatedPath;
-        filename = path.basename(animatedPath);
-        mimeType =
-          EXTENSION_MIME_MAP[path.extname(animatedPath).toLowerCase()] ||
-          mimeType;
-      }
-      sizeBytes = (await fsPromises.stat(filePath)).size;
-    } catch (e) {
-      console.warn(`ensureAnimated failed for ${filePath}: ${e.message}`);
-    }
-    return addGif({
-      slug,
-      filename,
-      originalName: req.file.originalname,
-      mimeType,
-      sizeBytes,
-    })
-      .then(() => {
-        res.status(201).json({
-          slug,
-          shareUrl: buildShareUrl(req, slug, filename),
+      const sha256 = await hashFile(filePath);
+      const duplicate = await findDuplicateUpload(req.user, sha256);
+      if (duplicate) {
+        await fsPromises.unlink(filePath).catch(() => {});
+        return res.json({
+          slug: duplicate.slug,
+          shareUrl: buildShareUrl(req, duplicate.slug, duplicate.filename),
+          duplicate: true,
         });
-      })
-      .catch((dbError) => {
-        fs.unlink(filePath, () => {});
-        next(dbError);
+      }
+      await addGif({
+        slug,
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        mimeType: req.file.mimetype,
+        sizeBytes: req.file.size,
+        sha256,
+        sourceSha256: sha256,
+        ownerId: req.user.id,
       });
+    } catch (dbError) {
+      fs.unlink(filePath, () => {});
+      return next(dbError);
+    }
+    try {
+      // Animation fixes, perceptual hashing and thumbnails run in the
+      // background; the share URL below keeps working if the file is renamed.
+      const job = await enqueueJob(
+        "process-upload",
+        { slug },
+        { userId: req.user.id },
+      );
+      return res.status(201).json({
+        slug,
+        shareUrl: buildShareUrl(req, slug, req.file.filename),
+        jobId: job.id,
+      });
+    } catch (error) {
+      return next(error);
+    }
   });
 });
 
-async function serveSharedGif(req, res, next) {
-  const { slug, ext: requestedExtParam } = req.params;
-  const clientIp = req.ip || req.connection?.remoteAddress || "unknown-ip";
-  const referer = req.get("referer") || req.get("referrer") || "no-referer";
-  console.log(
-    `[share-access] slug=${slug} from ${clientIp} referer=${referer}`,
-  );
+function serializeUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    disabled: user.disabled,
+    totpEnabled: user.totpEnabled,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt,
+  };
+}
+
+function parseUserId(value) {
+  const userId = Number(value);
+  return Number.isInteger(userId) && userId > 0 ? userId : null;
+}
+
+router.get("/api/users", requireAdmin, async (req, res, next) => {
   try {
-    const gif = await findGifBySlug(slug);
-    if (!gif) {
-      return res.status(404).json({ error: "GIF not found." });
-    }
-    const filePath = path.resolve(config.UPLOAD_DIR, gif.filename);
-    if (!fs.existsSync(filePath)) {
-      return res.status(404).json({ error: "GIF file missing." });
-    }
-    const storedExtension = path.extname(gif.filename).toLowerCase();
-    const requestedExtension = requestedExtParam
-      ? `.${requestedExtParam.toLowerCase()}`
-      : null;
-    if (
-      requestedExtension &&
-      storedExtension &&
-      requestedExtension !== storedExtension
-    ) {
-      return res.redirect(301, buildShareUrl(req, gif.slug, gif.filename));
-    }
-    const mimeType =
-      gif.mimeType || EXTENSION_MIME_MAP[storedExtension] || "image/gif";
+    const users = await listUsers();
+    return res.json({ users: users.map(serializeUser) });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post(
+  "/api/users",
+  requireAdmin,
+  express.json(),
+  async (req, res, next) => {
+    const { username, password, role = "viewer" } = req.body || {};
+    try {
+      validateUsername(username);
+      validatePassword(password);
+      validateRole(role);
+      const user = await createUser({
+        username,
+        passwordHash: await hashPassword(password),
+        role,
+      });
+      return res.status(201).json({ user: serializeUser(user) });
+    } catch (error) {
+      if (error?.code === "USER_INVALID") {
+        return res.status(400).json({ error: error.message });
+      }
+      if (error?.code === "USERNAME_DUPLICATE") {
+        return res.status(409).json({ error: error.message });
+      }
+      return next(error);
+    }
+  },
+);
+
+router.patch(
+  "/api/users/:id",
+  requireAdmin,
+  express.json(),
+  async (req, res, next) => {
+    const userId = parseUserId(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ error: "Invalid user id." });
+    }
+    const { role, disabled } = req.body || {};
+    try {
+      if (role !== undefined) {
+        validateRole(role);
+      }
+      if (disabled !== undefined && typeof disabled !== "boolean") {
+        return res.status(400).json({ error: "disabled must be a boolean." });
+      }
+      const existing = await findUserById(userId);
+      if (!existing) {
+        return res.status(404).json({ error: "User not found." });
+      }
+      const losesAdmin =
+        existing.role === "admin" &&
+        !existing.disabled &&
+        ((role !== undefined && role !== "admin") || disabled === true);
+      if (
+        losesAdmin &&
+        (await countActiveAdmins({ excludeUserId: userId })) === 0
+      ) {
+        return res
+          .status(409)
+          .json({ error: "At least one active admin is required." });
+      }
+      const user = await updateUser(userId, { role, disabled });
+      if (disabled === true) {
+        await deleteUserSessions(userId);
+      }
+      return res.json({ user: serializeUser(user) });
+    } catch (error) {
+      if (error?.code === "USER_INVALID") {
+        return res.status(400).json({ error: error.message });
+      }
+      return next(error);
+    }
+  },
+);
+
+router.post(
+  "/api/users/:id/password",
+  requireAdmin,
+  express.json(),
+  async (req, res, next) => {
+    const userId = parseUserId(req.params.id);
+    if (!userId) {
+      return res.status(400).json({ error: "Invalid user id." });
+    }
+    const { password } = req.body || {};
+    try {
+      validatePassword(password);
+      const existing = await findUserById(userId);
+      if (!existing) {
+        return res.status(404).json({ error: "User not found." });
+      }
+      await updateUser(userId, { passwordHash: await hashPassword(password) });
+      await deleteUserSessions(userId, {
+        exceptSessionId:
+          userId === req.user.id ? req.auth.sessionId : undefined,
+      });
+      return res.json({ success: true });
+    } catch (error) {
+      if (error?.code === "USER_INVALID") {
+        return res.status(400).json({ error: error.message });
+      }
+      return next(error);
+    }
+  },
+);
+
+function serializeSession(req, session) {
+  return {
+    id: session.id,
+    ip: session.ip,
+    userAgent: session.userAgent,
+    createdAt: session.createdAt,
+    lastSeenAt: session.lastSeenAt,
+    expiresAt: session.expiresAt,
+    current: session.id === req.auth.sessionId,
+  };
+}
+
+router.get("/api/sessions", requireSignedIn, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+    return res.json({
+      sessions: sessions.map((session) => serializeSession(req, session)),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.delete("/api/sessions", requireSignedIn, async (req, res, next) => {
+  const keepCurrent = req.query.keepCurrent === "true";
+  try {
+    const revoked = await deleteUserSessions(req.user.id, {
+      exceptSessionId: keepCurrent ? req.auth.sessionId : undefined,
+    });
+    if (!keepCurrent) {
+      res.clearCookie("authToken", { ...cookieOptions(), maxAge: 0 });
+    }
+    return res.json({ success: true, revoked });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.delete("/api/sessions/:id", requireSignedIn, async (req, res, next) => {
+  try {
+    const deleted = await deleteSession(req.params.id, {
+      userId: req.user.id,
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: "Session not found." });
+    }
+    if (req.params.id === req.auth.sessionId) {
+      res.clearCookie("authToken", { ...cookieOptions(), maxAge: 0 });
+    }
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+async function confirmPassword(req, res, password) {
+  const rateLimitStatus = await checkLoginRateLimit(req);
+  if (!rateLimitStatus.allowed) {
+    res.status(429).json({ error: "Incorrect password." });
+    return false;
+  }
+  const user = password
+    ? await authenticateUser(req.user.username, String(password))
+    : null;
+  if (!user) {
+    const status = await recordFailedLogin(req);
+    res
+      .status(status.blocked ? 429 : 403)
+      .json({ error: "Incorrect password." });
+    return false;
+  }
+  return true;
+}
+
+router.get("/api/2fa", requireSignedIn, async (req, res, next) => {
+  try {
+    const state = await findUserTotp(req.user.id);
+    return res.json({
+      enabled: Boolean(state?.enabled),
+      recoveryCodesRemaining: state?.enabled
+        ? await countRecoveryCodes(req.user.id)
+        : 0,
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post("/api/2fa/setup", requireSignedIn, async (req, res, next) => {
+  try {
+    const enrollment = await startTotpEnrollment(req.user);
+    return res.json(enrollment);
+  } catch (error) {
+    if (error?.code === "TOTP_ALREADY_ENABLED") {
+      return res.status(409).json({ error: error.message });
+    }
+    return next(error);
+  }
+});
+
+router.post(
+  "/api/2fa/enable",
+  requireSignedIn,
+  express.json(),
+  async (req, res, next) => {
+    const { code } = req.body || {};
+    try {
+      const recoveryCodes = await confirmTotpEnrollment(req.user.id, code);
+      return res.json({ enabled: true, recoveryCodes });
+    } catch (error) {
+      if (error?.code === "TOTP_INVALID") {
+        return res.status(400).json({ error: error.message });
+      }
+      return next(error);
+    }
+  },
+);
+
+router.post(
+  "/api/2fa/disable",
+  requireSignedIn,
+  express.json(),
+  async (req, res, next) => {
+    try {
+      if (!(await confirmPassword(req, res, req.body?.password))) {
+        return undefined;
+      }
+      await disableTotp(req.user.id);
+      return res.json({ enabled: false });
+    } catch (error) {
+      return next(error);
+    }
+  },
+);
+
+router.post(
+  "/api/2fa/recovery-codes",
+  requireSignedIn,
+  express.json(),
+  async (req, res, next) => {
+    try {
+      const state = await findUserTotp(req.user.id);
+      if (!state?.enabled) {
+        return res
+          .status(409)
+          .json({ error: "Two-factor authentication is not enabled." });
+      }
+      if (!(await confirmPassword(req, res, req.body?.password))) {
+        return undefined;
+      }
+      const { codes, codeHashes } = generateRecoveryCodes();
+      await replaceRecoveryCodes(req.user.id, codeHashes);
+      return res.json({ recoveryCodes: codes });
+    } catch (error) {
+      return next(error);
+    }
+  },
+);
+
+router.delete("/api/users/:id/2fa", requireAdmin, async (req, res, next) => {
+  const userId = parseUserId(req.params.id);
+  if (!userId) {
+    return res.status(400).json({ error: "Invalid user id." });
+  }
+  try {
+    const existing = await findUserById(userId);
+    if (!existing) {
+      return res.status(404).json({ error: "User not found." });
+    }
+    await disableTotp(userId);
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+function serializeApiToken(token) {
+  return {
+    id: token.id,
+    name: token.name,
+    prefix: token.prefix,
+    scopes: token.scopes,
+    createdAt: token.createdAt,
+    lastUsedAt: token.lastUsedAt,
+  };
+}
+
+router.get("/api/tokens", requireSignedIn, async (req, res, next) => {
+  try {
+    const tokens = await listApiTokens(req.user.id);
+    return res.json({ tokens: tokens.map(serializeApiToken) });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post(
+  "/api/tokens",
+  requireSignedIn,
+  express.json(),
+  async (req, res, next) => {
+    const { name, scopes = ["read"] } = req.body || {};
+    try {
+      const tokenName = validateTokenName(name);
+      const tokenScopes = validateTokenScopes(scopes);
+      if ((await countApiTokens(req.user.id)) >= MAX_API_TOKENS_PER_USER) {
+        return res.status(409).json({
+          error: `You can have at most ${MAX_API_TOKENS_PER_USER} API tokens.`,
+        });
+      }
+      const { secret, prefix, tokenHash } = generateApiToken();
+      const token = await createApiToken({
+        userId: req.user.id,
+        name: tokenName,
+        tokenHash,
+        prefix,
+        scopes: tokenScopes,
+      });
+      return res.status(201).json({ token: serializeApiToken(token), secret });
+    } catch (error) {
+      if (error?.code === "TOKEN_INVALID") {
+        return res.status(400).json({ error: error.message });
+      }
+      return next(error);
+    }
+  },
+);
+
+router.delete("/api/tokens/:id", requireSignedIn, async (req, res, next) => {
+  const tokenId = Number(req.params.id);
+  if (!Number.isInteger(tokenId) || tokenId <= 0) {
+    return res.status(400).json({ error: "Invalid token id." });
+  }
+  try {
+    const deleted = await deleteApiToken(tokenId, { userId: req.user.id });
+    if (!deleted) {
+      return res.status(404).json({ error: "API token not found." });
+    }
+    return res.json({ success: true });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+function parseSizeParam(value) {
+  return value === undefined || value === "" ? null : Number(value);
+}
+
+// Reads the optional `w`, `h` and `fps` share URL parameters, which together
+// must name one of RENDITION_PRESETS. Returns null when none are given.
+function parseRenditionSize(query = {}) {
+  const size = {
+    width: parseSizeParam(query.w),
+    height: parseSizeParam(query.h),
+    fps: parseSizeParam(query.fps),
+  };
+  if (size.width === null && size.height === null && size.fps === null) {
+    return null;
+  }
+  const preset = RENDITION_PRESETS.find(
+    (candidate) =>
+      candidate.width === size.width &&
+      candidate.height === size.height &&
+      candidate.fps === size.fps,
+  );
+  if (!preset) {
+    const allowed = RENDITION_PRESETS.map((candidate) =>
+      sizeQuery(candidate).slice(1),
+    );
+    throw new Error(`Size must be one of ${allowed.join(", ")}.`);
+  }
+  return preset;
+}
+
+function sizeQuery(size) {
+  if (!size) {
+    return "";
+  }
+  const params = new URLSearchParams();
+  [
+    ["w", size.width],
+    ["h", size.height],
+    ["fps", size.fps],
+  ].forEach(([name, value]) => {
+    if (value !== null) {
+      params.set(name, value);
+    }
+  });
+  return `?${params}`;
+}
+
+function basicAuthPassword(req) {
+  const [scheme, encoded] = (req.get("authorization") || "").split(" ");
+  if (!scheme || scheme.toLowerCase() !== "basic" || !encoded) {
+    return null;
+  }
+  const decoded = Buffer.from(encoded, "base64").toString("utf8");
+  const separator = decoded.indexOf(":");
+  return separator === -1 ? null : decoded.slice(separator + 1);
+}
+
+// Video players fetch files in ranges; only the first range counts as a view.
+function countsAsView(req) {
+  const range = req.get("range");
+  return req.method !== "HEAD" && (!range || range.startsWith("bytes=0-"));
+}
+
+// Looks up the share link in `req.params.token` and answers the request when
+// the link is missing, used up or needs a password. Returns the link or null.
+async function resolveShareLink(req, res) {
+  const link = await findShareLinkByToken(req.params.token);
+  if (!link || !link.gifSlug) {
+    res.status(404).json({ error: "Link not found." });
+    return null;
+  }
+  if (link.expired) {
+    res.status(410).json({ error: "This link has expired." });
+    return null;
+  }
+  if (link.maxViews !== null && link.viewCount >= link.maxViews) {
+    res.status(410).json({ error: "This link has reached its view limit." });
+    return null;
+  }
+  if (link.passwordHash) {
+    // Basic auth lets browsers ask for the password on a plain image URL;
+    // the user name is ignored.
+    const password = basicAuthPassword(req);
+    if (
+      password === null ||
+      !(await verifyPassword(password, link.passwordHash))
+    ) {
+      res.set("WWW-Authenticate", 'Basic realm="Shared GIF", charset="UTF-8"');
+      res.status(401).json({ error: "This link needs a password." });
+      return null;
+    }
+  }
+  return link;
+}
+
+// Serves `/share/:slug.:ext` and the limited `/share/link/:token.:ext` links.
+async function serveSharedGif(req, res, next) {
+  const { slug, token, ext: requestedExtParam } = req.params;
+  let size;
+  try {
+    size = parseRenditionSize(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+  try {
+    let link = null;
+    if (token) {
+      link = await resolveShareLink(req, res);
+      if (!link) {
+        return undefined;
+      }
+    }
+    const gifSlug = link ? link.gifSlug : slug;
+    logger.info("share access", {
+      requestId: req.id,
+      slug: gifSlug,
+      linkId: link?.id,
+    });
+    const gif = await findGifBySlug(gifSlug);
+    if (!gif) {
+      return res.status(404).json({ error: "GIF not found." });
+    }
+    const filePath = path.resolve(config.UPLOAD_DIR, gif.filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "GIF file missing." });
+    }
+    // Limited links never redirect to the permanent URL, which would give
+    // away the slug.
+    const canonicalUrl = link
+      ? buildShareLinkUrl(req, link.token, gif.filename)
+      : buildShareUrl(req, gif.slug, gif.filename);
+    const storedExtension = path.extname(gif.filename).toLowerCase();
+    const requestedExtension = requestedExtParam
+      ? `.${requestedExtParam.toLowerCase()}`
+      : null;
+    let servedPath = filePath;
+    let mimeType =
+      gif.mimeType || EXTENSION_MIME_MAP[storedExtension] || "image/gif";
+    if (
+      (requestedExtension &&
+        storedExtension &&
+        requestedExtension !== storedExtension) ||
+      size
+    ) {
+      const format = (requestedExtension || storedExtension).slice(1);
+      if (!RENDITION_MIME_TYPES[format]) {
+        return res.redirect(301, `${canonicalUrl}${sizeQuery(size)}`);
+      }
+      // Only requests that start a conversion count against the limit;
+      // limited links are rate limited as a whole.
+      if (
+        !link &&
+        !(await isRenditionSettled(gif.filename, format, size)) &&
+        !(await publicApiLimiter.consume(req, res))
+      ) {
+        return undefined;
+      }
+      try {
+        servedPath = await ensureRendition(
+          filePath,
+          gif.filename,
+          format,
+          size,
+        );
+        mimeType = RENDITION_MIME_TYPES[format];
+      } catch (error) {
+        // Temporary, so clients try the rendition again once the failure
+        // is no longer cached or the queue has room.
+        logger.warn(
+          `Could not render ${gif.slug} as ${format}${sizeQuery(size)}`,
+          { requestId: req.id, error },
+        );
+        return res.redirect(302, canonicalUrl);
+      }
+    }
+    if (countsAsView(req)) {
+      if (link && !(await recordShareLinkView(link.id))) {
+        return res
+          .status(410)
+          .json({ error: "This link has reached its view limit." });
+      }
+      trackShareHit(req, gif.slug);
+    }
     res.type(mimeType);
+    if (link) {
+      // Caches would hide views from the counter and outlive the expiry.
+      res.set({ "Cache-Control": "private, no-store", Vary: "Authorization" });
+      return res.sendFile(servedPath);
+    }
+    // Every file and rendition has a unique name and never changes, so the
+    // name is a strong validator for this exact variant. The size is part of
+    // the URL, so only a proxy's compression can make responses differ.
     res.set({
       "Cache-Control": "public, max-age=31536000, immutable",
+      Vary: "Accept-Encoding",
       Expires: new Date(Date.now() + 31536000000).toUTCString(),
+      ETag: `"${path.basename(servedPath)}"`,
     });
-    return res.sendFile(filePath);
+    return res.sendFile(servedPath);
   } catch (error) {
     return next(error);
   }
 }
 
 router.get("/share/:slug.:ext", serveSharedGif);
+router.get("/share/link/:token.:ext", publicApiLimiter, serveSharedGif);
+
+router.get("/share/:slug/thumb", async (req, res, next) => {
+  const variant =
+    req.query.variant === undefined ? "poster" : req.query.variant;
+  if (variant !== "poster" && variant !== "preview") {
+    return res
+      .status(400)
+      .json({ error: "variant must be poster or preview." });
+  }
+  try {
+    const gif = await findGifBySlug(req.params.slug);
+    if (!gif) {
+      return res.status(404).json({ error: "GIF not found." });
+    }
+    const thumbPath = thumbnailPath(gif.filename, variant);
+    if (fs.existsSync(thumbPath)) {
+      res.type(THUMBNAIL_MIME_TYPE);
+      res.set({
+        "Cache-Control": "public, max-age=31536000, immutable",
+        Expires: new Date(Date.now() + 31536000000).toUTCString(),
+      });
+      return res.sendFile(thumbPath);
+    }
+    // Thumbnails for older GIFs are generated in the background; until then
+    // fall back to the full file without caching it as the thumbnail.
+    const filePath = path.resolve(config.UPLOAD_DIR, gif.filename);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({ error: "GIF file missing." });
+    }
+    res.type(gif.mimeType || "image/gif");
+    res.set("Cache-Control", "public, max-age=300");
+    return res.sendFile(filePath);
+  } catch (error) {
+    return next(error);
+  }
+});
 
 router.get("/share/:slug", async (req, res, next) => {
   try {
@@ -459,12 +1601,177 @@ router.get("/share/:slug", async (req, res, next) => {
   }
 });
 
-router.delete("/api/gifs/:slug", authMiddleware, async (req, res, next) => {
+const MAX_SHARE_LINK_VIEWS = 1000000;
+const MAX_SHARE_LINK_PASSWORD_LENGTH = 200;
+
+// SQLite stores UTC without a zone; clients need it spelled out.
+function toIsoTimestamp(value) {
+  return value ? `${value.replace(" ", "T")}Z` : null;
+}
+
+function serializeShareLink(req, link, gif) {
+  const usedUp = link.maxViews !== null && link.viewCount >= link.maxViews;
+  return {
+    id: link.id,
+    url: buildShareLinkUrl(req, link.token, gif.filename),
+    expiresAt: toIsoTimestamp(link.expiresAt),
+    maxViews: link.maxViews,
+    viewCount: link.viewCount,
+    hasPassword: Boolean(link.passwordHash),
+    active: !link.expired && !usedUp,
+    createdAt: link.createdAt,
+  };
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+function parseShareLinkOptions(body = {}) {
+  let expiresAt = null;
+  if (!isBlank(body.expiresAt)) {
+    const time =
+      typeof body.expiresAt === "string" ? Date.parse(body.expiresAt) : NaN;
+    if (Number.isNaN(time)) {
+      throw new Error("expiresAt must be a date.");
+    }
+    if (time <= Date.now()) {
+      throw new Error("expiresAt must be in the future.");
+    }
+    expiresAt = new Date(time).toISOString();
+  }
+  let maxViews = null;
+  if (!isBlank(body.maxViews)) {
+    maxViews = Number(body.maxViews);
+    if (
+      !Number.isInteger(maxViews) ||
+      maxViews < 1 ||
+      maxViews > MAX_SHARE_LINK_VIEWS
+    ) {
+      throw new Error(
+        `maxViews must be a whole number between 1 and ${MAX_SHARE_LINK_VIEWS}.`,
+      );
+    }
+  }
+  let password = null;
+  if (!isBlank(body.password)) {
+    if (
+      typeof body.password !== "string" ||
+      body.password.length > MAX_SHARE_LINK_PASSWORD_LENGTH
+    ) {
+      throw new Error(
+        `password must be text of at most ${MAX_SHARE_LINK_PASSWORD_LENGTH} characters.`,
+      );
+    }
+    password = body.password;
+  }
+  return { expiresAt, maxViews, password };
+}
+
+router.get("/api/gifs/:slug/links", requireEditor, async (req, res, next) => {
+  try {
+    const gif = await findGifBySlug(req.params.slug);
+    if (rejectUnlessManageable(req, res, gif, "GIF not found.")) {
+      return undefined;
+    }
+    const links = await listShareLinks(gif.id);
+    return res.json({
+      links: links.map((link) => serializeShareLink(req, link, gif)),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.post(
+  "/api/gifs/:slug/links",
+  requireEditor,
+  express.json(),
+  async (req, res, next) => {
+    let options;
+    try {
+      options = parseShareLinkOptions(req.body || {});
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    try {
+      const gif = await findGifBySlug(req.params.slug);
+      if (rejectUnlessManageable(req, res, gif, "GIF not found.")) {
+        return undefined;
+      }
+      const link = await createShareLink({
+        gifId: gif.id,
+        token: nanoid(24),
+        createdBy: req.user.id,
+        expiresAt: options.expiresAt,
+        maxViews: options.maxViews,
+        passwordHash: options.password
+          ? await hashPassword(options.password)
+          : null,
+      });
+      return res.status(201).json({ link: serializeShareLink(req, link, gif) });
+    } catch (error) {
+      return next(error);
+    }
+  },
+);
+
+router.delete(
+  "/api/gifs/:slug/links/:id",
+  requireEditor,
+  async (req, res, next) => {
+    const linkId = Number(req.params.id);
+    if (!Number.isInteger(linkId) || linkId <= 0) {
+      return res.status(400).json({ error: "Invalid link id." });
+    }
+    try {
+      const gif = await findGifBySlug(req.params.slug);
+      if (rejectUnlessManageable(req, res, gif, "GIF not found.")) {
+        return undefined;
+      }
+      const deleted = await deleteShareLink(linkId, { gifId: gif.id });
+      if (!deleted) {
+        return res.status(404).json({ error: "Link not found." });
+      }
+      return res.json({ success: true });
+    } catch (error) {
+      return next(error);
+    }
+  },
+);
+
+router.get(
+  "/api/gifs/:slug/original",
+  requireReader,
+  async (req, res, next) => {
+    try {
+      const gif = await findGifBySlug(req.params.slug);
+      if (
+        !gif ||
+        !gif.originalFilename ||
+        (!canManage(req.user, gif) && !gif.shared)
+      ) {
+        return res.status(404).json({ error: "Original file not found." });
+      }
+      const filePath = path.resolve(config.ORIGINALS_DIR, gif.originalFilename);
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: "Original file not found." });
+      }
+      const extension = path.extname(gif.originalFilename);
+      const baseName = path.parse(gif.originalName || gif.slug).name;
+      return res.download(filePath, `${baseName}${extension}`);
+    } catch (error) {
+      return next(error);
+    }
+  },
+);
+
+router.delete("/api/gifs/:slug", requireEditor, async (req, res, next) => {
   const { slug } = req.params;
   try {
     const gif = await findGifBySlug(slug);
-    if (!gif) {
-      return res.status(404).json({ error: "GIF not found." });
+    if (rejectUnlessManageable(req, res, gif, "GIF not found.")) {
+      return undefined;
     }
     const filePath = path.resolve(config.UPLOAD_DIR, gif.filename);
     const deleted = await deleteGifBySlug(slug);
@@ -472,310 +1779,347 @@ router.delete("/api/gifs/:slug", authMiddleware, async (req, res, next) => {
       return res.status(404).json({ error: "GIF not found." });
     }
     await fsPromises.unlink(filePath).catch(() => {});
+    await removeThumbnails(gif.filename);
+    await removeRenditions(gif.filename);
+    await removeOriginal(gif.originalFilename);
     return res.json({ success: true });
   } catch (error) {
     return next(error);
   }
 });
 
-router.post("/api/import", authMiddleware, express.json(), async (req, res) => {
-  const { urls } = req.body;
-  if (!Array.isArray(urls)) {
-    return res.status(400).json({ error: "urls must be an array" });
+const MAX_STATS_DAYS = 365;
+
+router.get("/api/stats", requireAdmin, async (req, res, next) => {
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_STATS_DAYS) {
+    return res.status(400).json({
+      error: `days must be a whole number between 1 and ${MAX_STATS_DAYS}.`,
+    });
   }
+  try {
+    const stats = await getShareStats({ days });
+    return res.json({ days, ...stats });
+  } catch (error) {
+    return next(error);
+  }
+});
 
-  const results = [];
-  const MAX_DOWNLOAD_SIZE = 15 * 1024 * 1024;
+router.get("/api/duplicates", requireAdmin, async (req, res, next) => {
+  try {
+    const groups = await listDuplicateGroups();
+    return res.json({
+      groups: groups.map((group) => ({
+        sha256: group.sha256,
+        sizeBytes: group.sizeBytes,
+        gifs: group.gifs.map((gif) => serializeGif(req, gif)),
+      })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
 
-  for (const urlStr of urls) {
-    const result = { url: urlStr, success: false };
+router.post(
+  "/api/duplicates/merge",
+  requireAdmin,
+  express.json(),
+  async (req, res, next) => {
+    const { survivor, duplicates } = req.body || {};
+    if (
+      typeof survivor !== "string" ||
+      !Array.isArray(duplicates) ||
+      duplicates.length === 0 ||
+      duplicates.some((slug) => typeof slug !== "string")
+    ) {
+      return res.status(400).json({
+        error: "survivor must be a slug and duplicates a non-empty slug list.",
+      });
+    }
     try {
-      let url;
-      try {
-        url = new URL(urlStr);
-      } catch (e) {
-        throw new Error("Invalid URL");
+      const result = await mergeDuplicateGifs(survivor, duplicates);
+      if (!result) {
+        return res.status(404).json({ error: "GIF not found." });
+      }
+      await Promise.all(
+        result.removed
+          .filter(({ filename }) => filename !== result.survivor.filename)
+          .map(({ filename, originalFilename }) =>
+            Promise.all([
+              fsPromises
+                .unlink(path.resolve(config.UPLOAD_DIR, filename))
+                .catch(() => {}),
+              removeThumbnails(filename),
+              removeRenditions(filename),
+              removeOriginal(originalFilename),
+            ]),
+          ),
+      );
+      return res.json({
+        gif: serializeGif(req, result.survivor),
+        removed: result.removed.map(({ slug }) => slug),
+      });
+    } catch (error) {
+      if (error?.code === "DUPLICATE_INVALID") {
+        return res.status(400).json({ error: error.message });
       }
+      return next(error);
+    }
+  },
+);
 
-      if (!isWhitelistedUrl(url)) {
-        throw new Error("Domain not whitelisted");
+router.get("/api/similar", requireAdmin, async (req, res, next) => {
+  const threshold =
+    req.query.threshold === undefined
+      ? config.SIMILARITY_THRESHOLD
+      : Number(req.query.threshold);
+  if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 1) {
+    return res
+      .status(400)
+      .json({ error: "threshold must be a number between 0 and 1." });
+  }
+  try {
+    const clusters = findSimilarClusters(
+      await listPerceptuallyHashedGifs(),
+      threshold,
+    );
+    return res.json({
+      threshold,
+      clusters: clusters.map((cluster) => ({
+        similarity: cluster.similarity,
+        gifs: cluster.gifs.map((gif) => ({
+          ...serializeGif(req, gif),
+          similarity: gif.similarity,
+        })),
+      })),
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.get("/api/export", requireAdmin, async (req, res, next) => {
+  try {
+    const stream = await createExportStream();
+    const date = new Date().toISOString().slice(0, 10);
+    res.type("application/x-tar");
+    res.attachment(`gifselector-export-${date}.tar`);
+    res.set("Cache-Control", "no-store");
+    pipeline(stream, res, (error) => {
+      if (error && error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        logger.error("Export failed", { requestId: req.id, error });
       }
+    });
+    return undefined;
+  } catch (error) {
+    return next(error);
+  }
+});
 
-      const tempDir = path.join(os.tmpdir(), `gifselector-import-${nanoid()}`);
-      await fsPromises.mkdir(tempDir);
+router.post("/api/import-archive", requireAdmin, (req, res, next) => {
+  const mode = req.query.mode || "merge";
+  const conflict = req.query.conflict || "rename";
+  if (!IMPORT_MODES.includes(mode)) {
+    return res
+      .status(400)
+      .json({ error: `mode must be one of: ${IMPORT_MODES.join(", ")}.` });
+  }
+  if (!CONFLICT_STRATEGIES.includes(conflict)) {
+    return res.status(400).json({
+      error: `conflict must be one of: ${CONFLICT_STRATEGIES.join(", ")}.`,
+    });
+  }
+  if (archiveImportRunning) {
+    return res
+      .status(409)
+      .json({ error: "Another archive import is already running." });
+  }
+  archiveImportRunning = true;
+  return archiveUpload.single("archive")(req, res, async (err) => {
+    const archivePath = req.file?.path;
+    try {
+      if (err) {
+        return res.status(400).json({ error: err.message });
+      }
+      if (!archivePath) {
+        return res.status(400).json({ error: "No archive uploaded." });
+      }
+      const summary = await importArchive(archivePath, {
+        mode,
+        conflict,
+        importedBy: req.user.id,
+      });
+      backfillPerceptualHashes()
+        .catch((error) => {
+          logger.error("Failed to compute perceptual hashes", { error });
+        })
+        .then(() => backfillThumbnails())
+        .catch((error) => {
+          logger.error("Failed to generate thumbnails", { error });
+        });
+      return res.json(summary);
+    } catch (error) {
+      if (
+        ["ARCHIVE_INVALID", "TAG_INVALID", "GIF_DETAILS_INVALID"].includes(
+          error?.code,
+        )
+      ) {
+        return res.status(400).json({ error: error.message });
+      }
+      return next(error);
+    } finally {
+      archiveImportRunning = false;
+      if (archivePath) {
+        await fsPromises.rm(archivePath, { force: true }).catch(() => {});
+      }
+    }
+  });
+});
 
-      try {
-        try {
-          await execFilePromise("gallery-dl", ["--directory", tempDir, urlStr]);
-        } catch (dlError) {
-          console.warn(
-            `[Import] gallery-dl failed for ${urlStr}, attempting fallback.`,
-          );
-
-          const pageResp = await safeFetch(urlStr, {
-            headers: {
-              "User-Agent":
-                "Mozilla/5.0 (compatible; GifSelector/1.0; +http://localhost)",
-            },
-          });
-          if (!pageResp.ok)
-            throw new Error(
-              `Fallback fetch failed: ${pageResp.status} ${pageResp.statusText}`,
-            );
-
-          const html = await pageResp.text();
-
-          const extractMeta = (prop) => {
-            const regex = new RegExp(
-              `<meta\\s+(?:property|name)=["']${prop}["']\\s+content=["']([^"']+)["']`,
-              "i",
-            );
-            const match = html.match(regex);
-            return match ? match[1] : null;
-          };
-
-          let mediaUrl =
-            extractMeta("og:video") ||
-            extractMeta("og:video:url") ||
-            extractMeta("og:image") ||
-            extractMeta("twitter:image");
-
-          if (!mediaUrl) {
-            throw new Error("No media found via metadata fallback");
-          }
-
-          mediaUrl = mediaUrl.replace(/&amp;/g, "&");
-
-          let parsedMediaUrl;
-          try {
-            parsedMediaUrl = new URL(mediaUrl, urlStr);
-          } catch (e) {
-            throw new Error("Invalid media URL in metadata");
-          }
-          if (!isWhitelistedUrl(parsedMediaUrl)) {
-            throw new Error("Media URL domain not whitelisted");
-          }
-          mediaUrl = parsedMediaUrl.toString();
-
-          const mediaResp = await safeFetch(mediaUrl, {
-            headers: { "User-Agent": "GifSelector/1.0" },
-          });
+router.post(
+  "/api/import",
+  requireUpload,
+  express.json(),
+  async (req, res, next) => {
+    const { urls } = req.body || {};
+    if (!Array.isArray(urls)) {
+      return res.status(400).json({ error: "urls must be an array" });
+    }
 
-          if (!mediaResp.ok) {
-            throw new Error(`Fallback download failed: ${mediaResp.status}`);
-          }
-
-          const contentLength = mediaResp.headers.get("content-length");
-          if (contentLength && Number(contentLength) > MAX_DOWNLOAD_SIZE) {
-            throw new Error("Fallback media file too large");
-          }
-
-          const buffer = await mediaResp.arrayBuffer();
-          if (buffer.byteLength > MAX_DOWNLOAD_SIZE) {
-            throw new Error("Fallback media file too large");
-          }
-
-          let ext = path.extname(new URL(mediaUrl).pathname);
-          if (!ext || ext.length > 5) {
-            const cType = mediaResp.headers.get("content-type") || "";
-            if (cType.includes("video/mp4")) ext = ".mp4";
-            else if (cType.includes("image/gif")) ext = ".gif";
-            else if (cType.includes("image/webp")) ext = ".webp";
-          }
-          if (!ext) ext = ".gif";
-
-          const savePath = path.join(tempDir, `fallback-download${ext}`);
-          await fsPromises.writeFile(savePath, Buffer.from(buffer));
+    try {
+      const results = [];
+      for (const urlStr of urls) {
+        let url = null;
+        try {
+          url = new URL(urlStr);
+        } catch (e) {
+          results.push({ url: urlStr, success: false, error: "Invalid URL" });
+          continue;
         }
-
-        const findFiles = async (dir) => {
-          const files = [];
-          const entries = await fsPromises.readdir(dir, {
-            withFileTypes: true,
+        if (!isWhitelistedUrl(url)) {
+          results.push({
+            url: urlStr,
+            success: false,
+            error: "Domain not whitelisted",
           });
-          for (const entry of entries) {
-            const entryPath = path.join(dir, entry.name);
-            if (entry.isDirectory()) {
-              files.push(...(await findFiles(entryPath)));
-            } else {
-              files.push(entryPath);
-            }
-          }
-          return files;
-        };
-
-        const downloadedFiles = await findFiles(tempDir);
-
-        if (downloadedFiles.length === 0) {
-          throw new Error("No files downloaded by gallery-dl");
+          continue;
         }
+        const job = await enqueueJob(
+          "import-url",
+          { url: urlStr },
+          { userId: req.user.id },
+        );
+        results.push({ url: urlStr, jobId: job.id });
+      }
+      return res.status(202).json({ results });
+    } catch (error) {
+      return next(error);
+    }
+  },
+);
 
-        let foundValid = false;
-        for (const filePath of downloadedFiles) {
-          if (foundValid) break;
-
-          const ext = path.extname(filePath).toLowerCase();
-          const isMp4 = ext === ".mp4";
-          if (!ALLOWED_EXTENSIONS.has(ext) && !isMp4) {
-            continue;
-          }
-
-          let finalFilePath = filePath;
-          let finalExt = ext;
-          let finalMimeType = isMp4 ? "video/mp4" : EXTENSION_MIME_MAP[ext];
-
-          if (finalExt === ".gif" || isMp4) {
-            const webpPath = filePath.replace(
-              new RegExp(`${ext}$`, "i"),
-              ".webp",
-            );
-            let conversionSuccess = false;
-
-            if (isMp4) {
-              try {
-                await execFilePromise("ffmpeg", [
-                  "-y",
-                  "-i",
-                  filePath,
-                  "-vcodec",
-                  "libwebp",
-                  "-loop",
-                  "0",
-                  "-compression_level",
-                  "4",
-                  "-q:v",
-                  "75",
-                  "-an",
-                  webpPath,
-                ]);
-                await fsPromises.access(webpPath);
-                conversionSuccess = true;
-              } catch (e) {
-                console.warn(
-                  `ffmpeg conversion failed for ${filePath}: ${e.message}`,
-                );
-              }
-            }
-
-            if (!conversionSuccess) {
-              try {
-                await execFilePromise("magick", [
-                  filePath,
-                  "-coalesce",
-                  "-quality",
-                  "80",
-                  webpPath,
-                ]);
-                await fsPromises.access(webpPath);
-                conversionSuccess = true;
-              } catch (errMagick) {
-                try {
-                  await execFilePromise("convert", [
-                    filePath,
-                    "-coalesce",
-                    "-quality",
-                    "80",
-                    webpPath,
-                  ]);
-                  await fsPromises.access(webpPath);
-                  conversionSuccess = true;
-                } catch (errConvert) {
-                  console.warn(
-                    `ImageMagick conversion failed for ${filePath}: ${errConvert.message}`,
-                  );
-                }
-              }
-            }
-
-            if (conversionSuccess) {
-              finalFilePath = webpPath;
-              finalExt = ".webp";
-              finalMimeType = "image/webp";
-            } else if (isMp4) {
-              const gifPath = filePath.replace(
-                new RegExp(`${ext}$`, "i"),
-                ".gif",
-              );
-              try {
-                await execFilePromise("ffmpeg", [
-                  "-y",
-                  "-i",
-                  filePath,
-                  gifPath,
-                ]);
-                await fsPromises.access(gifPath);
-
-                finalFilePath = gifPath;
-                finalExt = ".gif";
-                finalMimeType = "image/gif";
-              } catch (e) {
-                console.warn(
-                  `Fallback MP4->GIF conversion failed: ${e.message}`,
-                );
-              }
-            }
-          }
-
-          if (finalExt === ".mp4") {
-            continue;
-          }
-
-          try {
-            const animatedPath = await ensureAnimated(finalFilePath);
-            if (animatedPath) {
-              finalFilePath = animatedPath;
-              finalExt = path.extname(animatedPath).toLowerCase();
-              finalMimeType = EXTENSION_MIME_MAP[finalExt] || finalMimeType;
-            }
-          } catch (e) {
-            console.warn(
-              `ensureAnimated failed for ${finalFilePath}: ${e.message}`,
-            );
-          }
-
-          const stats = await fsPromises.stat(finalFilePath);
-          if (stats.size > MAX_DOWNLOAD_SIZE) {
-            continue;
-          }
-
-          const uniqueName = `${Date.now()}-${nanoid(6)}${finalExt}`;
-          const savePath = path.join(config.UPLOAD_DIR, uniqueName);
-
-          await fsPromises.copyFile(finalFilePath, savePath);
-
-          const slug = nanoid(10);
-          const originalName = path.basename(filePath);
-
-          await addGif({
-            slug,
-            filename: uniqueName,
-            originalName,
-            mimeType: finalMimeType,
-            sizeBytes: stats.size,
-          });
+function serializeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    stage: jobStage(job.id),
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    payload: job.payload,
+    result: job.result,
+    error: job.error,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    finishedAt: job.finishedAt,
+  };
+}
 
-          result.success = true;
-          result.slug = slug;
-          foundValid = true;
-        }
+router.get("/api/jobs", requireReader, async (req, res, next) => {
+  const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+  try {
+    const jobs = await listJobs(req.user.id, { limit });
+    return res.json({ jobs: jobs.map(serializeJob) });
+  } catch (error) {
+    return next(error);
+  }
+});
 
-        if (!foundValid && downloadedFiles.length > 0) {
-          throw new Error(
-            "Downloaded files were not valid GIFs/WebPs or were too large.",
-          );
-        }
-      } finally {
-        await fsPromises
-          .rm(tempDir, { recursive: true, force: true })
-          .catch(() => {});
-      }
-    } catch (err) {
-      result.error = err.message;
+const JOB_EVENTS_HEARTBEAT_MS = 25000;
+
+function parseJobIds(value) {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+  const ids = value.split(",").map((part) => Number(part.trim()));
+  return ids.every((id) => Number.isInteger(id) && id > 0) ? ids : [];
+}
+
+// Server-Sent Events stream of the caller's job updates. With `?ids=1,2` only
+// those jobs are streamed, starting with their current state so a client that
+// subscribes after enqueueing cannot miss a transition.
+router.get("/api/jobs/events", requireReader, async (req, res) => {
+  const ids = parseJobIds(req.query.ids);
+  if (ids !== null && ids.length === 0) {
+    return res.status(400).json({ error: "ids must be job ids." });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const watched = ids ? new Set(ids) : null;
+  const send = (job) => {
+    if (job.userId !== req.user.id || (watched && !watched.has(job.id))) {
+      return;
     }
-    results.push(result);
+    res.write(`event: job\ndata: ${JSON.stringify(serializeJob(job))}\n\n`);
+  };
+  // Streams never finish on their own, so they are ended on shutdown to let
+  // the server close.
+  const end = () => res.end();
+  jobEvents.on("update", send);
+  jobEvents.once("shutdown", end);
+  const heartbeat = setInterval(() => {
+    res.write(": keep-alive\n\n");
+  }, JOB_EVENTS_HEARTBEAT_MS);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    jobEvents.off("update", send);
+    jobEvents.off("shutdown", end);
+  });
+
+  try {
+    const jobs = await Promise.all((ids || []).map((id) => findJobById(id)));
+    jobs.filter(Boolean).forEach(send);
+  } catch (error) {
+    logger.error("Failed to load jobs for event stream", {
+      requestId: req.id,
+      error,
+    });
+    res.end();
   }
+  return undefined;
+});
 
-  res.json({ results });
+router.get("/api/jobs/:id", requireReader, async (req, res, next) => {
+  const jobId = Number(req.params.id);
+  if (!Number.isInteger(jobId) || jobId <= 0) {
+    return res.status(404).json({ error: "Job not found." });
+  }
+  try {
+    const job = await findJobById(jobId);
+    if (!job || (job.userId !== req.user.id && req.user.role !== "admin")) {
+      return res.status(404).json({ error: "Job not found." });
+    }
+    return res.json({ job: serializeJob(job) });
+  } catch (error) {
+    return next(error);
+  }
 });
 
 module.exports = router;
@@ -6,7 +6,16 @@ const cookieParser = require("cookie-parser");
 const config = require("./config");
 const routes = require("./routes");
 const logger = require("./logger");
+const metrics = require("./metrics");
 const stats = require("./stats");
+const { ensureBootstrapUser } = require("./auth");
+const { backfillContentHashes } = require("./content-hash");
+const { backfillPerceptualHashes } = require("./perceptual-hash");
+const { backfillThumbnails } = require("./thumbnails");
+const { jobEvents, startJobWorkers } = require("./jobs");
+const { startShareHitPruning } = require("./share-hits");
+const { registerMediaJobs } = require("./media-pipeline");
+const { flushDatabase } = require("./database");
 
 const app = express();
 const port = process.env.PORT || 3000;
@@ -23,10 +32,8 @@ app.use(
 app.use(cookieParser());
 app.use(config.BASE_PATH, express.json());
 
-app.use((req, res, next) => {
-  logger.logRequest(req);
-  next();
-});
+app.use(logger.requestLogger);
+app.use(metrics.requestMetrics);
 
 if (config.ENABLE_FILE_LOGGING) {
   setInterval(
@@ -87,19 +94,70 @@ app.get(`${config.BASE_PATH}/*rest`, (req, res, next) => {
 });
 
 app.use((err, req, res, next) => {
-  console.error(err);
+  logger.error("Unhandled request error", { requestId: req.id, error: err });
   res.status(500).json({ error: "Internal server error." });
 });
 
-const server = app.listen(port, () => {
-  console.log(`gifselector backend running on port ${port}`);
-});
+let server;
+// How long requests still running on shutdown get before they are cut off.
+const SHUTDOWN_GRACE_MS = 10000;
+
+registerMediaJobs();
+
+ensureBootstrapUser()
+  .then(() => {
+    server = app.listen(port, () => {
+      logger.info(`gifselector backend running on port ${port}`);
+    });
+    startJobWorkers().catch((error) => {
+      logger.error("Failed to start job workers", { error });
+    });
+    startShareHitPruning();
+    backfillContentHashes()
+      .catch((error) => {
+        logger.error("Failed to compute content hashes", { error });
+      })
+      .then(() => backfillPerceptualHashes())
+      .catch((error) => {
+        logger.error("Failed to compute perceptual hashes", { error });
+      })
+      .then(() => backfillThumbnails())
+      .catch((error) => {
+        logger.error("Failed to generate thumbnails", { error });
+      });
+  })
+  .catch((error) => {
+    logger.error("Failed to initialise user accounts", { error });
+    process.exit(1);
+  });
+
+function flushAndExit() {
+  flushDatabase()
+    .then(
+      () => 0,
+      (error) => {
+        logger.error("Failed to write database file", { error });
+        return 1;
+      },
+    )
+    .then((code) => logger.flush().then(() => process.exit(code)));
+}
 
 function shutdown(signal) {
-  console.log(`${signal} received, shutting down...`);
-  server.close(() => {
-    process.exit(0);
+  logger.info(`${signal} received, shutting down...`);
+  if (!server) {
+    flushAndExit();
+    return;
+  }
+  // Write pending changes right away: slow requests can hold up
+  // server.close until the process is killed.
+  flushDatabase().catch((error) => {
+    logger.error("Failed to write database file", { error });
   });
+  server.close(flushAndExit);
+  jobEvents.emit("shutdown");
+  server.closeIdleConnections();
+  setTimeout(() => server.closeAllConnections(), SHUTDOWN_GRACE_MS).unref();
 }
 
 ["SIGINT", "SIGTERM"].forEach((signal) => {
@@ -0,0 +1,66 @@
+const config = require("./config");
+const logger = require("./logger");
+const { recordShareHit, pruneShareHits } = require("./database");
+
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Checked before the mobile pattern: chat apps unfurl links with user agents
+// that often mention a phone platform too.
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|preview|facebookexternalhit|whatsapp|embedly|curl|wget|python|okhttp|go-http/i;
+const MOBILE_PATTERN = /mobi|android|iphone|ipad|ipod/i;
+
+function clientType(userAgent) {
+  if (!userAgent) {
+    return "other";
+  }
+  if (BOT_PATTERN.test(userAgent)) {
+    return "bot";
+  }
+  if (MOBILE_PATTERN.test(userAgent)) {
+    return "mobile";
+  }
+  return /mozilla/i.test(userAgent) ? "desktop" : "other";
+}
+
+function refererHost(referer) {
+  if (!referer) {
+    return null;
+  }
+  try {
+    return new URL(referer).hostname.toLowerCase() || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Records a view of a shared GIF without holding up the response. Only the
+// referer's host and a coarse client type are kept, never the address.
+function trackShareHit(req, slug) {
+  recordShareHit({
+    slug,
+    refererHost: refererHost(req.get("referer") || req.get("referrer")),
+    clientType: clientType(req.get("user-agent")),
+  }).catch((error) => {
+    logger.warn(`Could not record share hit for ${slug}`, {
+      requestId: req.id,
+      error,
+    });
+  });
+}
+
+function startShareHitPruning() {
+  if (config.SHARE_HIT_RETENTION_DAYS === 0) {
+    return;
+  }
+  const prune = () =>
+    pruneShareHits(config.SHARE_HIT_RETENTION_DAYS).catch((error) => {
+      logger.error("Failed to prune share hits", { error });
+    });
+  prune();
+  setInterval(prune, PRUNE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  trackShareHit,
+  startShareHitPruning,
+};
@@ -1,53 +1,70 @@
 const fs = require("fs");
+const readline = require("readline");
 const config = require("./config");
+const logger = require("./logger");
 
-function processStats() {
+function increment(counts, key) {
+  counts[key] = (counts[key] || 0) + 1;
+}
+
+// Counts the request entries of one log file. Lines that are not JSON, such
+// as those written before structured logging, are skipped.
+async function countRequests(filePath, ipCounts, uaCounts) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, "utf8"),
+    crlfDelay: Infinity,
+  });
+  for await (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      continue;
+    }
+    if (entry?.msg !== "request") {
+      continue;
+    }
+    increment(ipCounts, entry.ip || "unknown-ip");
+    increment(uaCounts, entry.userAgent || "no-user-agent");
+  }
+}
+
+function ranked(counts) {
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([key, count]) => `${key}: ${count}`);
+}
+
+// Ranks clients and browsers over the current and the retained rotated logs.
+async function processStats() {
   if (!config.ENABLE_FILE_LOGGING) return;
-  if (!fs.existsSync(config.LOG_FILE_PATH)) return;
 
   try {
-    const data = fs.readFileSync(config.LOG_FILE_PATH, "utf8");
-    const lines = data.split("\n").filter((line) => line.trim() !== "");
+    const files = await logger.listRotatedLogs();
+    if (fs.existsSync(config.LOG_FILE_PATH)) {
+      files.push(config.LOG_FILE_PATH);
+    }
+    if (files.length === 0) return;
 
     const ipCounts = {};
     const uaCounts = {};
-
-    lines.forEach((line) => {
-      const ipMatch = line.match(/from (.*?) referer=/);
-      const uaMatch = line.match(/ua=(.*)$/);
-
-      if (ipMatch && ipMatch[1]) {
-        const ip = ipMatch[1].trim();
-        ipCounts[ip] = (ipCounts[ip] || 0) + 1;
-      }
-
-      if (uaMatch && uaMatch[1]) {
-        const ua = uaMatch[1].trim();
-        uaCounts[ua] = (uaCounts[ua] || 0) + 1;
-      }
-    });
-
-    const sortedIps = Object.entries(ipCounts)
-      .sort((a, b) => b[1] - a[1])
-      .map(([ip, count]) => `${ip}: ${count}`);
-
-    const sortedUas = Object.entries(uaCounts)
-      .sort((a, b) => b[1] - a[1])
-      .map(([ua, count]) => `${ua}: ${count}`);
+    for (const filePath of files) {
+      await countRequests(filePath, ipCounts, uaCounts);
+    }
 
     const output = [
       `Statistics generated at ${new Date().toISOString()}`,
       "",
       "=== IP Addresses Ranked ===",
-      ...sortedIps,
+      ...ranked(ipCounts),
       "",
       "=== Browser Agents Ranked ===",
-      ...sortedUas,
+      ...ranked(uaCounts),
     ].join("\n");
 
-    fs.writeFileSync(config.STATS_FILE_PATH, output);
+    await fs.promises.writeFile(config.STATS_FILE_PATH, output);
   } catch (err) {
-    console.error("Error processing log statistics:", err);
+    logger.error("Error processing log statistics", { error: err });
   }
 }
 
@@ -0,0 +1,137 @@
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const { execFile } = require("child_process");
+const { nanoid } = require("nanoid");
+const config = require("./config");
+const logger = require("./logger");
+const { listGifFiles } = require("./database");
+
+const execFilePromise = util.promisify(execFile);
+const fsPromises = fs.promises;
+
+const VARIANTS = {
+  poster: {
+    suffix: "poster",
+    size: "320x320>",
+    quality: "80",
+    animated: false,
+  },
+  preview: {
+    suffix: "preview",
+    size: "240x240>",
+    quality: "60",
+    animated: true,
+  },
+};
+const THUMBNAIL_MIME_TYPE = "image/webp";
+
+let backfillPromise = null;
+
+function thumbnailPath(filename, variant) {
+  const base = path.parse(filename).name;
+  return path.join(
+    config.THUMBNAIL_DIR,
+    `${base}-${VARIANTS[variant].suffix}.webp`,
+  );
+}
+
+async function renderVariant(filePath, outPath, variant) {
+  const { size, quality, animated } = VARIANTS[variant];
+  const tmpPath = `${outPath.slice(0, -".webp".length)}-${nanoid(6)}.tmp.webp`;
+  const args = animated
+    ? [filePath, "-coalesce", "-thumbnail", size, "-quality", quality]
+    : [`${filePath}[0]`, "-thumbnail", size, "-quality", quality];
+  if (animated) {
+    args.push("-loop", "0");
+  }
+  args.push(tmpPath);
+  let lastError;
+  for (const cmd of ["magick", "convert"]) {
+    try {
+      await execFilePromise(cmd, args);
+      await fsPromises.rename(tmpPath, outPath);
+      return;
+    } catch (error) {
+      lastError = error;
+      await fsPromises.rm(tmpPath, { force: true }).catch(() => {});
+    }
+  }
+  throw lastError;
+}
+
+async function generateThumbnails(
+  filePath,
+  filename = path.basename(filePath),
+) {
+  await fsPromises.mkdir(config.THUMBNAIL_DIR, { recursive: true });
+  for (const variant of Object.keys(VARIANTS)) {
+    await renderVariant(filePath, thumbnailPath(filename, variant), variant);
+  }
+}
+
+async function removeThumbnails(filename) {
+  await Promise.all(
+    Object.keys(VARIANTS).map((variant) =>
+      fsPromises
+        .rm(thumbnailPath(filename, variant), { force: true })
+        .catch(() => {}),
+    ),
+  );
+}
+
+async function hasThumbnails(filename) {
+  const present = await Promise.all(
+    Object.keys(VARIANTS).map((variant) =>
+      fsPromises
+        .access(thumbnailPath(filename, variant))
+        .then(() => true)
+        .catch(() => false),
+    ),
+  );
+  return present.every(Boolean);
+}
+
+async function runBackfill() {
+  const gifs = await listGifFiles();
+  let generated = 0;
+  for (const gif of gifs) {
+    if (await hasThumbnails(gif.filename)) {
+      continue;
+    }
+    try {
+      await generateThumbnails(
+        path.resolve(config.UPLOAD_DIR, gif.filename),
+        gif.filename,
+      );
+      generated += 1;
+    } catch (error) {
+      if (error.code === "ENOENT" && error.syscall?.startsWith("spawn")) {
+        logger.warn("ImageMagick not found; skipping thumbnails");
+        break;
+      }
+      logger.warn("Could not generate thumbnails", { slug: gif.slug, error });
+    }
+  }
+  if (generated > 0) {
+    logger.info("Generated thumbnails", { count: generated });
+  }
+  return generated;
+}
+
+function backfillThumbnails() {
+  if (!backfillPromise) {
+    backfillPromise = runBackfill().finally(() => {
+      backfillPromise = null;
+    });
+  }
+  return backfillPromise;
+}
+
+module.exports = {
+  THUMBNAIL_MIME_TYPE,
+  thumbnailPath,
+  generateThumbnails,
+  removeThumbnails,
+  backfillThumbnails,
+};
@@ -1,22 +1,86 @@
 import type { DragEvent } from "react";
-import { useCallback, useEffect, useMemo, useState } from "react";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
     createCategory,
+    createApiToken,
+    createShareLink,
+    createUser,
+    disableTwoFactor,
+    enableTwoFactor,
     deleteCategory,
     deleteGif,
     fetchCategories,
+    fetchDuplicates,
     fetchGifs,
-    fetchPublicGifs,
+    fetchLibrarySummary,
+    fetchApiTokens,
+    fetchSessions,
+    fetchSimilarGifs,
+    fetchStats,
+    fetchTwoFactorStatus,
+    fetchUsers,
     getSession,
+    buildExportUrl,
+    importArchive,
     importGifs,
     login,
     logout,
+    mergeDuplicates,
+    regenerateRecoveryCodes,
+    resetUserPassword,
+    resetUserTwoFactor,
+    revokeAllSessions,
+    revokeApiToken,
+    revokeSession,
+    startTwoFactorSetup,
+    searchGifs,
+    updateCategoryVisibility,
     updateGifCategories,
+    updateGifDetails,
+    updateUser,
+    verifyLoginCode,
+    watchJobs,
+    VIDEO_MIME_TYPES,
     uploadGif,
 } from "./api";
+import type {
+  ArchiveConflictStrategy,
+  ArchiveImportMode,
+  VideoUploadOptions,
+  GifDetailsInput,
+  GifListQuery,
+  LibraryScope,
+  ApiTokenScope,
+  CategoryVisibility,
+  UserRole,
+} from "./api";
 import CategoryManager from "./components/CategoryManager";
 import Gallery from "./components/Gallery";
 import LoginForm from "./components/LoginForm";
+import PublicGallery from "./components/PublicGallery";
+import UserManager from "./components/UserManager";
+import type { UserAccount } from "./components/UserManager";
+import ApiTokenManager from "./components/ApiTokenManager";
+import type { ApiToken } from "./components/ApiTokenManager";
+import SessionManager from "./components/SessionManager";
+import type { UserSession } from "./components/SessionManager";
+import DuplicateManager from "./components/DuplicateManager";
+import type { DuplicateGroup } from "./components/DuplicateManager";
+import SimilarGifs from "./components/SimilarGifs";
+import type { SimilarCluster } from "./components/SimilarGifs";
+import BackupManager from "./components/BackupManager";
+import type { ArchiveImportSummary } from "./components/BackupManager";
+import StatsDashboard from "./components/StatsDashboard";
+import type { ShareStats } from "./components/StatsDashboard";
+import TwoFactorSettings from "./components/TwoFactorSettings";
+import ProgressList, { progressFromJob } from "./components/ProgressList";
+import type { ProgressItem } from "./components/ProgressList";
+import VideoUploadOptionsForm from "./components/VideoUploadOptions";
+import type { PendingVideo } from "./components/VideoUploadOptions";
+import type {
+  TwoFactorEnrollment,
+  TwoFactorStatus,
+} from "./components/TwoFactorSettings";
 
 type GifCategory = {
   id: number;
@@ -26,6 +90,12 @@ type GifCategory = {
 type Category = GifCategory & {
   createdAt: string;
   gifCount: number;
+  owner?: string | null;
+  shared?: boolean;
+  visibility?: CategoryVisibility;
+  publicSlug?: string | null;
+  accessToken?: string | null;
+  canManage?: boolean;
 };
 
 type GifItem = {
@@ -33,18 +103,56 @@ type GifItem = {
   slug: string;
   originalName: string;
   shareUrl: string;
+  thumbnailUrl?: string;
+  previewUrl?: string;
   createdAt: string;
   sizeBytes: number;
   mimeType?: string;
+  title?: string | null;
+  description?: string | null;
   categories: GifCategory[];
+  tags: string[];
+  owner?: string | null;
+  shared?: boolean;
+  canManage?: boolean;
+  hasOriginal?: boolean;
 };
 
 type SessionState = {
   authenticated: boolean;
   username?: string;
+  role?: UserRole;
+};
+
+type LibrarySummary = {
+  totalCount: number;
+  totalSize: number;
+  gifCount: number;
+  webpCount: number;
+  uncategorizedCount: number;
 };
 
 const UNCATEGORIZED_ID = -1;
+const UPLOAD_MIME_TYPES = ["image/gif", "image/webp", ...VIDEO_MIME_TYPES];
+
+const EMPTY_SUMMARY: LibrarySummary = {
+  totalCount: 0,
+  totalSize: 0,
+  gifCount: 0,
+  webpCount: 0,
+  uncategorizedCount: 0,
+};
+
+const SORT_OPTIONS = [
+  { value: "created:desc", label: "Newest first" },
+  { value: "created:asc", label: "Oldest first" },
+  { value: "size:desc", label: "Largest first" },
+  { value: "size:asc", label: "Smallest first" },
+  { value: "name:asc", label: "Name (A–Z)" },
+  { value: "name:desc", label: "Name (Z–A)" },
+] as const;
+
+type SortOption = (typeof SORT_OPTIONS)[number]["value"];
 
 function formatBytes(bytes: number) {
   if (bytes === 0) return "0 B";
@@ -58,10 +166,20 @@ export default function App() {
   const base = import.meta.env.BASE_URL;
   const publicPath = base.endsWith("/") ? `${base}public` : `${base}/public`;
   const isPublicView = window.location.pathname.startsWith(publicPath);
+  const publicCollectionSlug = isPublicView
+    ? decodeURIComponent(
+        window.location.pathname
+          .slice(publicPath.length)
+          .replace(/^\/+|\/+$/g, ""),
+      ) || null
+    : null;
+  const publicToken = new URLSearchParams(window.location.search).get("token");
 
   const [session, setSession] = useState<SessionState>({
     authenticated: false,
   });
+  const canEdit = session.role === "editor" || session.role === "admin";
+  const isAdmin = session.role === "admin";
   const [isSessionLoading, setIsSessionLoading] = useState(true);
   const [isAuthenticating, setIsAuthenticating] = useState(false);
   const [loginError, setLoginError] = useState<string | null>(null);
@@ -77,11 +195,21 @@ export default function App() {
   >(null);
   const [isUploading, setIsUploading] = useState(false);
   const [uploadError, setUploadError] = useState<string | null>(null);
+  const [uploadItems, setUploadItems] = useState<ProgressItem[]>([]);
+  const [pendingVideos, setPendingVideos] = useState<PendingVideo[]>([]);
   const [isDragging, setIsDragging] = useState(false);
   const [dragDepth, setDragDepth] = useState(0);
   const [deletingSlug, setDeletingSlug] = useState<string | null>(null);
   const [deleteError, setDeleteError] = useState<string | null>(null);
   const [totalCount, setTotalCount] = useState(0);
+  const [summary, setSummary] = useState<LibrarySummary>(EMPTY_SUMMARY);
+  const [sortOption, setSortOption] = useState<SortOption>("created:desc");
+  const [libraryScope, setLibraryScope] = useState<LibraryScope>("mine");
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [libraryVersion, setLibraryVersion] = useState(0);
+  const gifsRequestRef = useRef(0);
+  const loadMoreRef = useRef<HTMLDivElement | null>(null);
   const [selectedCategory, setSelectedCategory] = useState<number | null>(
     () => {
       const params = new URLSearchParams(window.location.search);
@@ -98,6 +226,61 @@ export default function App() {
   const [importText, setImportText] = useState("");
   const [importStatus, setImportStatus] = useState<string | null>(null);
   const [isImporting, setIsImporting] = useState(false);
+  const [importItems, setImportItems] = useState<ProgressItem[]>([]);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState<GifItem[] | null>(null);
+  const [searchError, setSearchError] = useState<string | null>(null);
+  const [updatingDetailsSlug, setUpdatingDetailsSlug] = useState<string | null>(
+    null,
+  );
+  const [users, setUsers] = useState<UserAccount[]>([]);
+  const [userError, setUserError] = useState<string | null>(null);
+  const [isCreatingUser, setIsCreatingUser] = useState(false);
+  const [updatingUserId, setUpdatingUserId] = useState<number | null>(null);
+  const [apiTokens, setApiTokens] = useState<ApiToken[]>([]);
+  const [apiTokenError, setApiTokenError] = useState<string | null>(null);
+  const [newApiTokenSecret, setNewApiTokenSecret] = useState<string | null>(
+    null,
+  );
+  const [isCreatingApiToken, setIsCreatingApiToken] = useState(false);
+  const [revokingApiTokenId, setRevokingApiTokenId] = useState<number | null>(
+    null,
+  );
+  const [sessions, setSessions] = useState<UserSession[]>([]);
+  const [sessionError, setSessionError] = useState<string | null>(null);
+  const [revokingSessionId, setRevokingSessionId] = useState<string | null>(
+    null,
+  );
+  const [isRevokingAllSessions, setIsRevokingAllSessions] = useState(false);
+  const [duplicateGroups, setDuplicateGroups] = useState<
+    DuplicateGroup[] | null
+  >(null);
+  const [duplicateError, setDuplicateError] = useState<string | null>(null);
+  const [isScanningDuplicates, setIsScanningDuplicates] = useState(false);
+  const [mergingDuplicateHash, setMergingDuplicateHash] = useState<
+    string | null
+  >(null);
+  const [similarClusters, setSimilarClusters] = useState<
+    SimilarCluster[] | null
+  >(null);
+  const [similarError, setSimilarError] = useState<string | null>(null);
+  const [isScanningSimilar, setIsScanningSimilar] = useState(false);
+  const [backupError, setBackupError] = useState<string | null>(null);
+  const [lastArchiveImport, setLastArchiveImport] =
+    useState<ArchiveImportSummary | null>(null);
+  const [isImportingArchive, setIsImportingArchive] = useState(false);
+  const [shareStats, setShareStats] = useState<ShareStats | null>(null);
+  const [statsDays, setStatsDays] = useState(30);
+  const [statsError, setStatsError] = useState<string | null>(null);
+  const [isLoadingStats, setIsLoadingStats] = useState(false);
+  const [loginChallenge, setLoginChallenge] = useState<string | null>(null);
+  const [twoFactorStatus, setTwoFactorStatus] =
+    useState<TwoFactorStatus | null>(null);
+  const [twoFactorEnrollment, setTwoFactorEnrollment] =
+    useState<TwoFactorEnrollment | null>(null);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [twoFactorError, setTwoFactorError] = useState<string | null>(null);
+  const [isUpdatingTwoFactor, setIsUpdatingTwoFactor] = useState(false);
 
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
@@ -111,39 +294,115 @@ export default function App() {
     window.history.replaceState(null, "", newRelativePathQuery);
   }, [selectedCategory]);
 
+  useEffect(() => {
+    if (isPublicView || !session.authenticated) return;
+    const query = searchQuery.trim();
+    if (!query) {
+      setSearchResults(null);
+      setSearchError(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = window.setTimeout(async () => {
+      try {
+        const data = await searchGifs(query, libraryScope);
+        if (!cancelled) {
+          setSearchResults(data.gifs ?? []);
+          setSearchError(null);
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setSearchError(
+            error instanceof Error ? error.message : "Search failed.",
+          );
+        }
+      }
+    }, 250);
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [
+    searchQuery,
+    libraryScope,
+    libraryVersion,
+    isPublicView,
+    session.authenticated,
+  ]);
+
   const filteredGifs = useMemo(() => {
+    const source = searchResults ?? gifs;
     if (selectedCategory === null) {
-      return gifs;
+      return source;
     }
     if (selectedCategory === UNCATEGORIZED_ID) {
-      return gifs.filter((gif) => gif.categories.length === 0);
+      return source.filter((gif) => gif.categories.length === 0);
     }
-    return gifs.filter((gif) =>
+    return source.filter((gif) =>
       gif.categories.some((c) => c.id === selectedCategory),
     );
-  }, [gifs, selectedCategory]);
-
-  const stats = useMemo(() => {
-    const totalSize = gifs.reduce((acc, gif) => acc + gif.sizeBytes, 0);
-    const gifCount = gifs.filter((g) => g.mimeType === "image/gif").length;
-    const webpCount = gifs.filter((g) => g.mimeType === "image/webp").length;
-    const uncategorizedCount = gifs.filter(
-      (g) => g.categories.length === 0,
-    ).length;
-    return { totalSize, gifCount, webpCount, uncategorizedCount };
-  }, [gifs]);
+  }, [gifs, searchResults, selectedCategory]);
+
+  const listQuery = useMemo<GifListQuery>(() => {
+    const [sort, order] = sortOption.split(":") as [
+      GifListQuery["sort"],
+      GifListQuery["order"],
+    ];
+    return {
+      sort,
+      order,
+      category:
+        selectedCategory !== null && selectedCategory > 0
+          ? selectedCategory
+          : undefined,
+      uncategorized: selectedCategory === UNCATEGORIZED_ID,
+      scope: libraryScope,
+    };
+  }, [sortOption, selectedCategory, libraryScope]);
 
   const loadGifs = useCallback(async () => {
+    const requestId = ++gifsRequestRef.current;
     try {
-      const data = await fetchGifs();
+      const data = await fetchGifs(listQuery);
+      if (requestId !== gifsRequestRef.current) return;
       setGifs(data.gifs ?? []);
+      setNextCursor(data.nextCursor ?? null);
       setTotalCount(
         typeof data.total === "number" ? data.total : (data.gifs?.length ?? 0),
       );
     } catch (error) {
       console.error(error);
     }
-  }, []);
+  }, [listQuery]);
+
+  const loadMoreGifs = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+    const requestId = gifsRequestRef.current;
+    setIsLoadingMore(true);
+    try {
+      const data = await fetchGifs({ ...listQuery, cursor: nextCursor });
+      if (requestId !== gifsRequestRef.current) return;
+      const page: GifItem[] = data.gifs ?? [];
+      setGifs((current) => {
+        const seen = new Set(current.map((gif) => gif.id));
+        return [...current, ...page.filter((gif) => !seen.has(gif.id))];
+      });
+      setNextCursor(data.nextCursor ?? null);
+    } catch (error) {
+      console.error(error);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [listQuery, nextCursor, isLoadingMore]);
+
+  const loadSummary = useCallback(async () => {
+    try {
+      const data = await fetchLibrarySummary(libraryScope);
+      setSummary(data.summary ?? EMPTY_SUMMARY);
+    } catch (error) {
+      console.error(error);
+    }
+  }, [libraryScope]);
 
   const loadCategories = useCallback(async () => {
     try {
@@ -155,20 +414,23 @@ export default function App() {
   }, []);
 
   const loadAdminData = useCallback(async () => {
-    await Promise.all([loadGifs(), loadCategories()]);
-  }, [loadCategories, loadGifs]);
+    await Promise.all([loadGifs(), loadCategories(), loadSummary()]);
+    setLibraryVersion((value) => value + 1);
+  }, [loadCategories, loadGifs, loadSummary]);
+
+  const replaceGif = useCallback(
+    (slug: string, update: (gif: GifItem) => GifItem) => {
+      const apply = (items: GifItem[]) =>
+        items.map((gif) => (gif.slug === slug ? update(gif) : gif));
+      setGifs(apply);
+      setSearchResults((current) => (current ? apply(current) : current));
+    },
+    [],
+  );
 
   const loadSession = useCallback(async () => {
     if (isPublicView) {
-      try {
-        const data = await fetchPublicGifs();
-        setGifs(data.gifs ?? []);
-        setTotalCount(data.gifs?.length ?? 0);
-      } catch (err) {
-        console.error("Failed to load public gifs", err);
-      } finally {
-        setIsSessionLoading(false);
-      }
+      setIsSessionLoading(false);
       return;
     }
 
@@ -176,11 +438,13 @@ export default function App() {
       const result = await getSession();
       setSession(result);
       if (result.authenticated) {
-        await loadAdminData();
+        await loadCategories();
       } else {
         setGifs([]);
         setCategories([]);
         setTotalCount(0);
+        setSummary(EMPTY_SUMMARY);
+        setNextCursor(null);
         setCategoryError(null);
         setDeletingCategoryId(null);
         setUpdatingCategorySlug(null);
@@ -191,12 +455,107 @@ export default function App() {
     } finally {
       setIsSessionLoading(false);
     }
-  }, [loadAdminData]);
+  }, [loadCategories]);
 
   useEffect(() => {
     loadSession();
   }, [loadSession]);
 
+  useEffect(() => {
+    if (isPublicView || !session.authenticated) return;
+    void loadSummary();
+  }, [isPublicView, session.authenticated, loadSummary]);
+
+  useEffect(() => {
+    if (isPublicView || !session.authenticated) return;
+    void loadGifs();
+  }, [isPublicView, session.authenticated, loadGifs]);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      const data = await fetchUsers();
+      setUsers(data.users ?? []);
+    } catch (error) {
+      console.error(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isPublicView || !isAdmin) {
+      setUsers([]);
+      return;
+    }
+    void loadUsers();
+  }, [isPublicView, isAdmin, loadUsers]);
+
+  const loadApiTokens = useCallback(async () => {
+    try {
+      const data = await fetchApiTokens();
+      setApiTokens(data.tokens ?? []);
+    } catch (error) {
+      console.error(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isPublicView || !session.authenticated) {
+      setApiTokens([]);
+      setNewApiTokenSecret(null);
+      return;
+    }
+    void loadApiTokens();
+  }, [isPublicView, session.authenticated, loadApiTokens]);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const data = await fetchSessions();
+      setSessions(data.sessions ?? []);
+    } catch (error) {
+      console.error(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isPublicView || !session.authenticated) {
+      setSessions([]);
+      return;
+    }
+    void loadSessions();
+  }, [isPublicView, session.authenticated, loadSessions]);
+
+  const loadTwoFactorStatus = useCallback(async () => {
+    try {
+      setTwoFactorStatus(await fetchTwoFactorStatus());
+    } catch (error) {
+      console.error(error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isPublicView || !session.authenticated) {
+      setTwoFactorStatus(null);
+      setTwoFactorEnrollment(null);
+      setRecoveryCodes(null);
+      return;
+    }
+    void loadTwoFactorStatus();
+  }, [isPublicView, session.authenticated, loadTwoFactorStatus]);
+
+  useEffect(() => {
+    const node = loadMoreRef.current;
+    if (!node || !nextCursor || searchResults) return;
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          void loadMoreGifs();
+        }
+      },
+      { rootMargin: "400px" },
+    );
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [nextCursor, searchResults, loadMoreGifs]);
+
   const handleImport = async () => {
     if (!importText.trim()) return;
     setIsImporting(true);
@@ -213,19 +572,50 @@ export default function App() {
       return;
     }
 
+    setImportItems(
+      urls.map((url, index) => ({
+        key: `${index}:${url}`,
+        label: url,
+        state: "queued",
+      })),
+    );
+    const updateItem = (key: string, patch: Partial<ProgressItem>) =>
+      setImportItems((items) =>
+        items.map((item) => (item.key === key ? { ...item, ...patch } : item)),
+      );
+
     try {
-      const result = await importGifs(urls);
-      const successes = result.results.filter((r: any) => r.success).length;
-      const failures = result.results.length - successes;
+      const queued = await importGifs(urls);
+      setImportStatus(null);
+      const keysByJob = new Map<number, string>();
+      queued.results.forEach((r: any, index: number) => {
+        const key = `${index}:${r.url}`;
+        if (r.jobId) {
+          keysByJob.set(r.jobId, key);
+        } else {
+          updateItem(key, { state: "failed", detail: r.error });
+        }
+      });
+      const jobs = await watchJobs(Array.from(keysByJob.keys()), (job) => {
+        const key = keysByJob.get(job.id);
+        if (key) updateItem(key, progressFromJob(job));
+      });
+      const finished = Array.from(jobs.values());
+      const successes = finished.filter(
+        (job) => job.status === "succeeded",
+      ).length;
+      const failures = urls.length - successes;
+      const duplicates = finished.filter(
+        (job) => job.status === "succeeded" && job.result?.duplicate,
+      ).length;
+      const duplicateNote =
+        duplicates > 0 ? ` (${duplicates} already in the library)` : "";
 
-      if (failures > 0) {
-        setImportStatus(
-          `Imported ${successes}, Passed ${failures}. Check console.`,
-        );
-        console.log("Import results:", result.results);
-      } else {
-        setImportStatus(`Successfully imported ${successes} item(s).`);
-      }
+      setImportStatus(
+        failures > 0
+          ? `Imported ${successes}${duplicateNote}, ${failures} failed.`
+          : `Successfully imported ${successes} item(s)${duplicateNote}.`,
+      );
 
       if (successes > 0) {
         await loadAdminData();
@@ -243,7 +633,11 @@ export default function App() {
     setIsAuthenticating(true);
     setLoginError(null);
     try {
-      await login(username, password);
+      const data = await login(username, password);
+      if (data.twoFactorRequired) {
+        setLoginChallenge(data.challenge);
+        return;
+      }
       await loadSession();
     } catch (error) {
       setLoginError(error instanceof Error ? error.message : "Login failed.");
@@ -252,6 +646,28 @@ export default function App() {
     }
   };
 
+  const handleLoginCode = async (code: string) => {
+    if (!loginChallenge) return;
+    setIsAuthenticating(true);
+    setLoginError(null);
+    try {
+      await verifyLoginCode(loginChallenge, code);
+      setLoginChallenge(null);
+      await loadSession();
+    } catch (error) {
+      setLoginError(
+        error instanceof Error ? error.message : "Verification failed.",
+      );
+    } finally {
+      setIsAuthenticating(false);
+    }
+  };
+
+  const handleCancelLoginCode = () => {
+    setLoginChallenge(null);
+    setLoginError(null);
+  };
+
   const handleLogout = async () => {
     try {
       await logout();
@@ -260,8 +676,12 @@ export default function App() {
     } finally {
       setSession({ authenticated: false });
       setGifs([]);
+      setSearchQuery("");
+      setLibraryScope("mine");
       setCategories([]);
       setTotalCount(0);
+      setSummary(EMPTY_SUMMARY);
+      setNextCursor(null);
       setCategoryError(null);
       setDeletingCategoryId(null);
       setUpdatingCategorySlug(null);
@@ -269,21 +689,66 @@ export default function App() {
     }
   };
 
-  const handleFiles = useCallback(
-    async (files: FileList | null) => {
-      if (!files || files.length === 0) {
-        return;
-      }
+  const uploadFiles = useCallback(
+    async (uploads: { file: File; options?: VideoUploadOptions }[]) => {
+      const batch = Date.now();
+      const entries = uploads.map((upload, index) => ({
+        ...upload,
+        key: `${batch}:${index}`,
+      }));
+      const updateItem = (key: string, patch: Partial<ProgressItem>) =>
+        setUploadItems((items) =>
+          items.map((item) =>
+            item.key === key ? { ...item, ...patch } : item,
+          ),
+        );
       setUploadError(null);
       setIsUploading(true);
+      setUploadItems(
+        entries.map(({ file, key }) => ({
+          key,
+          label: file.name,
+          state: "queued",
+        })),
+      );
+      const processing: Promise<unknown>[] = [];
       try {
-        for (const file of Array.from(files)) {
-          if (!["image/gif", "image/webp"].includes(file.type)) {
-            setUploadError("Only GIF or WebP files are supported.");
+        for (const { file, key, options } of entries) {
+          if (!UPLOAD_MIME_TYPES.includes(file.type)) {
+            updateItem(key, {
+              state: "failed",
+              detail: "Only GIF, WebP, MP4, WebM or MOV files are supported.",
+            });
             continue;
           }
-          await uploadGif(file);
+          updateItem(key, { state: "uploading", progress: 0 });
+          try {
+            const result = await uploadGif(
+              file,
+              (progress) => updateItem(key, { progress }),
+              options,
+            );
+            if (result.duplicate || !result.jobId) {
+              updateItem(key, {
+                state: "done",
+                detail: result.duplicate ? "Already in the library" : null,
+              });
+              continue;
+            }
+            updateItem(key, { state: "queued" });
+            processing.push(
+              watchJobs([result.jobId], (job) =>
+                updateItem(key, progressFromJob(job)),
+              ),
+            );
+          } catch (error) {
+            updateItem(key, {
+              state: "failed",
+              detail: error instanceof Error ? error.message : "Upload failed.",
+            });
+          }
         }
+        await Promise.all(processing);
         await loadAdminData();
       } catch (error) {
         setUploadError(
@@ -296,16 +761,47 @@ export default function App() {
     [loadAdminData],
   );
 
+  // Images are uploaded straight away; videos wait for their trim and scale
+  // options first.
+  const handleFiles = useCallback(
+    async (files: FileList | null) => {
+      if (!files || files.length === 0) {
+        return;
+      }
+      const all = Array.from(files);
+      const videos = all.filter((file) => VIDEO_MIME_TYPES.includes(file.type));
+      if (videos.length > 0) {
+        const batch = Date.now();
+        setPendingVideos(
+          videos.map((file, index) => ({ key: `${batch}:${index}`, file })),
+        );
+      }
+      const others = all.filter((file) => !videos.includes(file));
+      if (others.length > 0) {
+        await uploadFiles(others.map((file) => ({ file })));
+      }
+    },
+    [uploadFiles],
+  );
+
+  const handleUploadVideos = useCallback(
+    async (videos: { file: File; options: VideoUploadOptions }[]) => {
+      setPendingVideos([]);
+      await uploadFiles(videos);
+    },
+    [uploadFiles],
+  );
+
   const handleDrop = useCallback(
     async (event: DragEvent<HTMLDivElement>) => {
       event.preventDefault();
       event.stopPropagation();
       setDragDepth(0);
       setIsDragging(false);
-      if (isPublicView) return;
+      if (isPublicView || !canEdit) return;
       await handleFiles(event.dataTransfer.files);
     },
-    [handleFiles, isPublicView],
+    [handleFiles, isPublicView, canEdit],
   );
 
   const handleDragEnter = useCallback(
@@ -315,11 +811,11 @@ export default function App() {
       }
       event.preventDefault();
       event.stopPropagation();
-      if (isPublicView) return;
+      if (isPublicView || !canEdit) return;
       setDragDepth((value) => value + 1);
       setIsDragging(true);
     },
-    [isPublicView],
+    [isPublicView, canEdit],
   );
 
   const handleDragLeave = useCallback((event: DragEvent<HTMLDivElement>) => {
@@ -371,7 +867,7 @@ export default function App() {
   );
 
   const handleCreateCategory = useCallback(
-    async (name: string) => {
+    async (name: string, shared: boolean) => {
       const trimmed = name.trim();
       if (!trimmed) {
         setCategoryError("Category name is required.");
@@ -380,7 +876,7 @@ export default function App() {
       setCategoryError(null);
       setIsCreatingCategory(true);
       try {
-        await createCategory(trimmed);
+        await createCategory(trimmed, shared);
         await loadCategories();
         return true;
       } catch (error) {
@@ -421,6 +917,29 @@ export default function App() {
     [loadAdminData],
   );
 
+  const handleUpdateCategoryVisibility = useCallback(
+    async (
+      categoryId: number,
+      visibility: CategoryVisibility,
+      regenerateToken = false,
+    ) => {
+      setCategoryError(null);
+      try {
+        await updateCategoryVisibility(categoryId, visibility, regenerateToken);
+        await loadCategories();
+        return true;
+      } catch (error) {
+        setCategoryError(
+          error instanceof Error
+            ? error.message
+            : "Failed to update category visibility.",
+        );
+        return false;
+      }
+    },
+    [loadCategories],
+  );
+
   const handleUpdateGifCategories = useCallback(
     async (slug: string, categoryIds: number[]) => {
       setCategoryError(null);
@@ -430,12 +949,8 @@ export default function App() {
         const nextCategories = Array.isArray(result.categories)
           ? result.categories
           : [];
-        setGifs((current) =>
-          current.map((gif) =>
-            gif.slug === slug ? { ...gif, categories: nextCategories } : gif,
-          ),
-        );
-        await loadCategories();
+        replaceGif(slug, (gif) => ({ ...gif, categories: nextCategories }));
+        await Promise.all([loadCategories(), loadSummary()]);
         return true;
       } catch (error) {
         setCategoryError(
@@ -448,7 +963,416 @@ export default function App() {
         setUpdatingCategorySlug(null);
       }
     },
-    [loadCategories],
+    [loadCategories, loadSummary, replaceGif],
+  );
+
+  const handleUpdateGifDetails = useCallback(
+    async (slug: string, details: GifDetailsInput) => {
+      setCategoryError(null);
+      setUpdatingDetailsSlug(slug);
+      try {
+        const result = await updateGifDetails(slug, details);
+        const updated: GifItem = result.gif;
+        replaceGif(slug, () => updated);
+        return true;
+      } catch (error) {
+        setCategoryError(
+          error instanceof Error ? error.message : "Failed to update details.",
+        );
+        return false;
+      } finally {
+        setUpdatingDetailsSlug(null);
+      }
+    },
+    [replaceGif],
+  );
+
+  const handleToggleShared = useCallback(
+    (slug: string, shared: boolean) => handleUpdateGifDetails(slug, { shared }),
+    [handleUpdateGifDetails],
+  );
+
+  const handleCreateUser = useCallback(
+    async (username: string, password: string, role: UserRole) => {
+      setUserError(null);
+      setIsCreatingUser(true);
+      try {
+        await createUser(username, password, role);
+        await loadUsers();
+        return true;
+      } catch (error) {
+        setUserError(
+          error instanceof Error ? error.message : "Failed to create user.",
+        );
+        return false;
+      } finally {
+        setIsCreatingUser(false);
+      }
+    },
+    [loadUsers],
+  );
+
+  const handleUpdateUser = useCallback(
+    async (
+      userId: number,
+      changes: { role?: UserRole; disabled?: boolean },
+    ) => {
+      setUserError(null);
+      setUpdatingUserId(userId);
+      try {
+        await updateUser(userId, changes);
+        await loadUsers();
+        return true;
+      } catch (error) {
+        setUserError(
+          error instanceof Error ? error.message : "Failed to update user.",
+        );
+        return false;
+      } finally {
+        setUpdatingUserId(null);
+      }
+    },
+    [loadUsers],
+  );
+
+  const handleResetPassword = useCallback(
+    async (userId: number, username: string) => {
+      const password = window.prompt(`New password for "${username}":`);
+      if (!password) {
+        return false;
+      }
+      setUserError(null);
+      setUpdatingUserId(userId);
+      try {
+        await resetUserPassword(userId, password);
+        return true;
+      } catch (error) {
+        setUserError(
+          error instanceof Error ? error.message : "Failed to reset password.",
+        );
+        return false;
+      } finally {
+        setUpdatingUserId(null);
+      }
+    },
+    [],
+  );
+
+  const handleCreateApiToken = useCallback(
+    async (name: string, scopes: ApiTokenScope[]) => {
+      setApiTokenError(null);
+      setIsCreatingApiToken(true);
+      try {
+        const data = await createApiToken(name, scopes);
+        setNewApiTokenSecret(data.secret);
+        await loadApiTokens();
+        return true;
+      } catch (error) {
+        setApiTokenError(
+          error instanceof Error ? error.message : "Failed to create token.",
+        );
+        return false;
+      } finally {
+        setIsCreatingApiToken(false);
+      }
+    },
+    [loadApiTokens],
+  );
+
+  const handleRevokeApiToken = useCallback(
+    async (tokenId: number, name: string) => {
+      const confirmed = window.confirm(
+        `Revoke API token "${name}"? Scripts using it will stop working.`,
+      );
+      if (!confirmed) {
+        return false;
+      }
+      setApiTokenError(null);
+      setRevokingApiTokenId(tokenId);
+      try {
+        await revokeApiToken(tokenId);
+        await loadApiTokens();
+        return true;
+      } catch (error) {
+        setApiTokenError(
+          error instanceof Error ? error.message : "Failed to revoke token.",
+        );
+        return false;
+      } finally {
+        setRevokingApiTokenId(null);
+      }
+    },
+    [loadApiTokens],
+  );
+
+  const handleRevokeSession = useCallback(
+    async (target: UserSession) => {
+      if (target.current) {
+        await handleLogout();
+        return true;
+      }
+      setSessionError(null);
+      setRevokingSessionId(target.id);
+      try {
+        await revokeSession(target.id);
+        await loadSessions();
+        return true;
+      } catch (error) {
+        setSessionError(
+          error instanceof Error ? error.message : "Failed to revoke session.",
+        );
+        return false;
+      } finally {
+        setRevokingSessionId(null);
+      }
+    },
+    [handleLogout, loadSessions],
+  );
+
+  const handleRevokeAllSessions = useCallback(
+    async (keepCurrent: boolean) => {
+      const confirmed = window.confirm(
+        keepCurrent
+          ? "Sign out all other sessions?"
+          : "Sign out everywhere, including this browser?",
+      );
+      if (!confirmed) {
+        return false;
+      }
+      setSessionError(null);
+      setIsRevokingAllSessions(true);
+      try {
+        await revokeAllSessions(keepCurrent);
+        if (keepCurrent) {
+          await loadSessions();
+        } else {
+          await handleLogout();
+        }
+        return true;
+      } catch (error) {
+        setSessionError(
+          error instanceof Error ? error.message : "Failed to revoke sessions.",
+        );
+        return false;
+      } finally {
+        setIsRevokingAllSessions(false);
+      }
+    },
+    [handleLogout, loadSessions],
+  );
+
+  const handleScanDuplicates = useCallback(async () => {
+    setDuplicateError(null);
+    setIsScanningDuplicates(true);
+    try {
+      const data = await fetchDuplicates();
+      setDuplicateGroups(data.groups ?? []);
+      return true;
+    } catch (error) {
+      setDuplicateError(
+        error instanceof Error ? error.message : "Failed to find duplicates.",
+      );
+      return false;
+    } finally {
+      setIsScanningDuplicates(false);
+    }
+  }, []);
+
+  const handleLoadStats = useCallback(async () => {
+    setStatsError(null);
+    setIsLoadingStats(true);
+    try {
+      const data = await fetchStats(statsDays);
+      setShareStats(data);
+      return true;
+    } catch (error) {
+      setStatsError(
+        error instanceof Error ? error.message : "Failed to load statistics.",
+      );
+      return false;
+    } finally {
+      setIsLoadingStats(false);
+    }
+  }, [statsDays]);
+
+  const handleMergeDuplicates = useCallback(
+    async (group: DuplicateGroup) => {
+      const [survivor, ...copies] = group.gifs;
+      const confirmed = window.confirm(
+        `Keep ${survivor.slug} and delete ${copies.length} duplicate(s)? Share links to the deleted copies will stop working.`,
+      );
+      if (!confirmed) {
+        return false;
+      }
+      setDuplicateError(null);
+      setMergingDuplicateHash(group.sha256);
+      try {
+        await mergeDuplicates(
+          survivor.slug,
+          copies.map((gif) => gif.slug),
+        );
+        setDuplicateGroups((current) =>
+          current
+            ? current.filter((item) => item.sha256 !== group.sha256)
+            : current,
+        );
+        await loadAdminData();
+        return true;
+      } catch (error) {
+        setDuplicateError(
+          error instanceof Error
+            ? error.message
+            : "Failed to merge duplicates.",
+        );
+        return false;
+      } finally {
+        setMergingDuplicateHash(null);
+      }
+    },
+    [loadAdminData],
+  );
+
+  const handleScanSimilar = useCallback(async () => {
+    setSimilarError(null);
+    setIsScanningSimilar(true);
+    try {
+      const data = await fetchSimilarGifs();
+      setSimilarClusters(data.clusters ?? []);
+      return true;
+    } catch (error) {
+      setSimilarError(
+        error instanceof Error ? error.message : "Failed to find similar GIFs.",
+      );
+      return false;
+    } finally {
+      setIsScanningSimilar(false);
+    }
+  }, []);
+
+  const handleImportArchive = useCallback(
+    async (
+      file: File,
+      mode: ArchiveImportMode,
+      conflict: ArchiveConflictStrategy,
+    ) => {
+      if (
+        mode === "replace" &&
+        !window.confirm(
+          "Replace the whole library with this archive? Existing GIFs and categories will be deleted.",
+        )
+      ) {
+        return false;
+      }
+      setBackupError(null);
+      setIsImportingArchive(true);
+      try {
+        const summary = await importArchive(file, mode, conflict);
+        setLastArchiveImport(summary);
+        await loadAdminData();
+        return true;
+      } catch (error) {
+        setBackupError(
+          error instanceof Error ? error.message : "Failed to import archive.",
+        );
+        return false;
+      } finally {
+        setIsImportingArchive(false);
+      }
+    },
+    [loadAdminData],
+  );
+
+  const runTwoFactorAction = useCallback(
+    async (action: () => Promise<void>, fallbackMessage: string) => {
+      setTwoFactorError(null);
+      setIsUpdatingTwoFactor(true);
+      try {
+        await action();
+        await loadTwoFactorStatus();
+        return true;
+      } catch (error) {
+        setTwoFactorError(
+          error instanceof Error ? error.message : fallbackMessage,
+        );
+        return false;
+      } finally {
+        setIsUpdatingTwoFactor(false);
+      }
+    },
+    [loadTwoFactorStatus],
+  );
+
+  const handleStartTwoFactorSetup = useCallback(
+    () =>
+      runTwoFactorAction(async () => {
+        setRecoveryCodes(null);
+        setTwoFactorEnrollment(await startTwoFactorSetup());
+      }, "Failed to start two-factor setup."),
+    [runTwoFactorAction],
+  );
+
+  const handleConfirmTwoFactorSetup = useCallback(
+    (code: string) =>
+      runTwoFactorAction(async () => {
+        const data = await enableTwoFactor(code);
+        setTwoFactorEnrollment(null);
+        setRecoveryCodes(data.recoveryCodes);
+      }, "Failed to enable two-factor authentication."),
+    [runTwoFactorAction],
+  );
+
+  const handleDisableTwoFactor = useCallback(async () => {
+    const password = window.prompt(
+      "Enter your password to disable two-factor authentication:",
+    );
+    if (!password) {
+      return false;
+    }
+    return runTwoFactorAction(async () => {
+      await disableTwoFactor(password);
+      setRecoveryCodes(null);
+    }, "Failed to disable two-factor authentication.");
+  }, [runTwoFactorAction]);
+
+  const handleRegenerateRecoveryCodes = useCallback(async () => {
+    const password = window.prompt(
+      "Enter your password to replace your recovery codes:",
+    );
+    if (!password) {
+      return false;
+    }
+    return runTwoFactorAction(async () => {
+      const data = await regenerateRecoveryCodes(password);
+      setRecoveryCodes(data.recoveryCodes);
+    }, "Failed to create recovery codes.");
+  }, [runTwoFactorAction]);
+
+  const handleResetUserTwoFactor = useCallback(
+    async (userId: number, username: string) => {
+      const confirmed = window.confirm(
+        `Turn off two-factor authentication for "${username}"?`,
+      );
+      if (!confirmed) {
+        return false;
+      }
+      setUserError(null);
+      setUpdatingUserId(userId);
+      try {
+        await resetUserTwoFactor(userId);
+        await loadUsers();
+        return true;
+      } catch (error) {
+        setUserError(
+          error instanceof Error
+            ? error.message
+            : "Failed to reset two-factor authentication.",
+        );
+        return false;
+      } finally {
+        setUpdatingUserId(null);
+      }
+    },
+    [loadUsers],
   );
 
   if (isSessionLoading) {
@@ -461,50 +1385,12 @@ export default function App() {
 
   if (isPublicView) {
     return (
-      <div className="dashboard">
-        <aside className="sidebar">
-          <div className="sidebar-header">
-            <h1>gifselector</h1>
-            <p style={{ fontSize: "0.8rem", color: "#888" }}>Public Gallery</p>
-          </div>
-          <div className="filter-section">
-            <label className="filter-label">View</label>
-            <div className="view-selector">
-              <button
-                type="button"
-                className={viewMode === "grid" ? "selected" : ""}
-                onClick={() => setViewMode("grid")}
-              >
-                Grid
-              </button>
-              <button
-                type="button"
-                className={viewMode === "list" ? "selected" : ""}
-                onClick={() => setViewMode("list")}
-              >
-                List
-              </button>
-            </div>
-          </div>
-          <div className="instructions-block">
-            <p className="muted instructions">Showing {gifs.length} entries</p>
-          </div>
-        </aside>
-        <main className="dashboard-main">
-          <div className="gallery-container">
-            <Gallery
-              gifs={gifs}
-              categories={[]}
-              onDelete={async () => {}}
-              deletingSlug={null}
-              onUpdateCategories={async () => false}
-              updatingCategoriesSlug={null}
-              viewMode={viewMode}
-              readOnly={true}
-            />
-          </div>
-        </main>
-      </div>
+      <PublicGallery
+        collectionSlug={publicCollectionSlug}
+        token={publicToken}
+        viewMode={viewMode}
+        onViewModeChange={setViewMode}
+      />
     );
   }
 
@@ -513,6 +1399,9 @@ export default function App() {
       <div className="app-shell">
         <LoginForm
           onSubmit={handleLogin}
+          onSubmitCode={handleLoginCode}
+          onCancelCode={handleCancelLoginCode}
+          codeRequired={loginChallenge !== null}
           isSubmitting={isAuthenticating}
           errorMessage={loginError}
         />
@@ -557,6 +1446,42 @@ export default function App() {
           </div>
         </div>
 
+        <div className="filter-section">
+          <label htmlFor="library-scope" className="filter-label">
+            Library
+          </label>
+          <div className="select-wrapper">
+            <select
+              id="library-scope"
+              value={libraryScope}
+              onChange={(e) => setLibraryScope(e.target.value as LibraryScope)}
+            >
+              <option value="mine">My GIFs</option>
+              <option value="shared">My GIFs + shared</option>
+              {isAdmin ? <option value="all">Everyone's GIFs</option> : null}
+            </select>
+          </div>
+        </div>
+
+        <div className="filter-section">
+          <label htmlFor="sort-order" className="filter-label">
+            Sort
+          </label>
+          <div className="select-wrapper">
+            <select
+              id="sort-order"
+              value={sortOption}
+              onChange={(e) => setSortOption(e.target.value as SortOption)}
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
         <div className="filter-section">
           <label className="filter-label">View</label>
           <div className="view-selector">
@@ -577,73 +1502,164 @@ export default function App() {
           </div>
         </div>
 
-        <div className="filter-section">
-          <label className="filter-label">Import</label>
-          {!isImportOpen ? (
-            <button
-              type="button"
-              className="import-trigger"
-              onClick={() => setIsImportOpen(true)}
-            >
-              Import from URLs
-            </button>
-          ) : (
-            <div className="import-box">
-              <textarea
-                className="import-textarea"
-                placeholder={`Paste URLS from:\n${[
-                  "tenor.com",
-                  "giphy.com",
-                  "imgur.com",
-                  "discord.com",
-                ].join("\n")}`}
-                rows={4}
-                value={importText}
-                onChange={(e) => setImportText(e.target.value)}
-                disabled={isImporting}
-              />
-              <div className="import-actions">
-                <button
-                  type="button"
-                  onClick={handleImport}
-                  disabled={isImporting || !importText.trim()}
-                >
-                  {isImporting ? "Working..." : "Run"}
-                </button>
-                <button
-                  type="button"
-                  className="button-muted"
+        {canEdit ? (
+          <div className="filter-section">
+            <label className="filter-label">Import</label>
+            {!isImportOpen ? (
+              <button
+                type="button"
+                className="import-trigger"
+                onClick={() => setIsImportOpen(true)}
+              >
+                Import from URLs
+              </button>
+            ) : (
+              <div className="import-box">
+                <textarea
+                  className="import-textarea"
+                  placeholder={`Paste URLS from:\n${[
+                    "tenor.com",
+                    "giphy.com",
+                    "imgur.com",
+                    "discord.com",
+                  ].join("\n")}`}
+                  rows={4}
+                  value={importText}
+                  onChange={(e) => setImportText(e.target.value)}
                   disabled={isImporting}
-                  onClick={() => {
-                    setIsImportOpen(false);
-                    setImportStatus(null);
-                  }}
-                >
-                  Cancel
-                </button>
+                />
+                <div className="import-actions">
+                  <button
+                    type="button"
+                    onClick={handleImport}
+                    disabled={isImporting || !importText.trim()}
+                  >
+                    {isImporting ? "Working..." : "Run"}
+                  </button>
+                  <button
+                    type="button"
+                    className="button-muted"
+                    disabled={isImporting}
+                    onClick={() => {
+                      setIsImportOpen(false);
+                      setImportStatus(null);
+                      setImportItems([]);
+                    }}
+                  >
+                    Cancel
+                  </button>
+                </div>
+                <ProgressList items={importItems} />
+                {importStatus && (
+                  <p className="import-status">{importStatus}</p>
+                )}
               </div>
-              {importStatus && <p className="import-status">{importStatus}</p>}
-            </div>
-          )}
-        </div>
+            )}
+          </div>
+        ) : null}
 
         <div className="instructions-block">
           <p className="muted instructions">
             {selectedCategory
-              ? `Showing ${filteredGifs.length} of ${totalCount} entries`
-              : `Total entries: ${totalCount}`}
-          </p>
-          <p className="muted instructions">
-            Drag GIF or WebP files anywhere on the screen to upload them.
+              ? `Showing ${totalCount} of ${summary.totalCount} entries`
+              : `Total entries: ${summary.totalCount}`}
           </p>
+          {canEdit ? (
+            <p className="muted instructions">
+              Drag GIF or WebP files anywhere on the screen to upload them.
+            </p>
+          ) : null}
         </div>
 
-        <CategoryManager
-          categories={categories}
-          onCreateCategory={handleCreateCategory}
-          onDeleteCategory={handleDeleteCategory}
-          isCreating={isCreatingCategory}
-          deletingCategoryId={deletingCategoryId}
+        {canEdit ? (
+          <CategoryManager
+            categories={categories}
+            onCreateCategory={handleCreateCategory}
+            onDeleteCategory={handleDeleteCategory}
+            onUpdateVisibility={handleUpdateCategoryVisibility}
+            isCreating={isCreatingCategory}
+            deletingCategoryId={deletingCategoryId}
+          />
+        ) : null}
+
+        {isAdmin ? (
+          <>
+            {userError ? <p className="error">{userError}</p> : null}
+            <UserManager
+              users={users}
+              currentUsername={session.username}
+              onCreateUser={handleCreateUser}
+              onUpdateUser={handleUpdateUser}
+              onResetPassword={handleResetPassword}
+              onResetTwoFactor={handleResetUserTwoFactor}
+              isCreating={isCreatingUser}
+              updatingUserId={updatingUserId}
+            />
+            {statsError ? <p className="error">{statsError}</p> : null}
+            <StatsDashboard
+              stats={shareStats}
+              days={statsDays}
+              onDaysChange={setStatsDays}
+              onLoad={handleLoadStats}
+              isLoading={isLoadingStats}
+            />
+            {duplicateError ? <p className="error">{duplicateError}</p> : null}
+            <DuplicateManager
+              groups={duplicateGroups}
+              onScan={handleScanDuplicates}
+              onMerge={handleMergeDuplicates}
+              isScanning={isScanningDuplicates}
+              mergingHash={mergingDuplicateHash}
+            />
+            {similarError ? <p className="error">{similarError}</p> : null}
+            <SimilarGifs
+              clusters={similarClusters}
+              onScan={handleScanSimilar}
+              isScanning={isScanningSimilar}
+            />
+            {backupError ? <p className="error">{backupError}</p> : null}
+            <BackupManager
+              exportUrl={buildExportUrl()}
+              lastImport={lastArchiveImport}
+              onImport={handleImportArchive}
+              isImporting={isImportingArchive}
+            />
+          </>
+        ) : null}
+
+        {apiTokenError ? <p className="error">{apiTokenError}</p> : null}
+        <ApiTokenManager
+          tokens={apiTokens}
+          availableScopes={canEdit ? ["read", "upload", "manage"] : ["read"]}
+          newSecret={newApiTokenSecret}
+          onCreateToken={handleCreateApiToken}
+          onRevokeToken={handleRevokeApiToken}
+          onDismissSecret={() => setNewApiTokenSecret(null)}
+          isCreating={isCreatingApiToken}
+          revokingTokenId={revokingApiTokenId}
+        />
+
+        {twoFactorError ? <p className="error">{twoFactorError}</p> : null}
+        <TwoFactorSettings
+          status={twoFactorStatus}
+          enrollment={twoFactorEnrollment}
+          recoveryCodes={recoveryCodes}
+          onStartSetup={handleStartTwoFactorSetup}
+          onConfirmSetup={handleConfirmTwoFactorSetup}
+          onCancelSetup={() => setTwoFactorEnrollment(null)}
+          onDisable={handleDisableTwoFactor}
+          onRegenerateCodes={handleRegenerateRecoveryCodes}
+          onDismissCodes={() => setRecoveryCodes(null)}
+          isBusy={isUpdatingTwoFactor}
+        />
+
+        {sessionError ? <p className="error">{sessionError}</p> : null}
+        <SessionManager
+          sessions={sessions}
+          onRevokeSession={handleRevokeSession}
+          onRevokeAll={handleRevokeAllSessions}
+          revokingSessionId={revokingSessionId}
+          isRevokingAll={isRevokingAllSessions}
         />
 
         <div className="stats-block">
@@ -651,19 +1667,19 @@ export default function App() {
           <dl className="stats-list">
             <div className="stats-item">
               <dt>Total Size</dt>
-              <dd>{formatBytes(stats.totalSize)}</dd>
+              <dd>{formatBytes(summary.totalSize)}</dd>
             </div>
             <div className="stats-item">
               <dt>GIFs</dt>
-              <dd>{stats.gifCount}</dd>
+              <dd>{summary.gifCount}</dd>
             </div>
             <div className="stats-item">
               <dt>WebPs</dt>
-              <dd>{stats.webpCount}</dd>
+              <dd>{summary.webpCount}</dd>
             </div>
             <div className="stats-item">
               <dt>Uncategorized</dt>
-              <dd>{stats.uncategorizedCount}</dd>
+              <dd>{summary.uncategorizedCount}</dd>
             </div>
           </dl>
         </div>
@@ -671,6 +1687,14 @@ export default function App() {
 
       <main className="dashboard-main">
         <header className="top-bar">
+          <input
+            type="search"
+            className="search-input"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search titles, descriptions and tags"
+            aria-label="Search GIFs"
+          />
           <p className="muted">
             Welcome back{session.username ? `, ${session.username}` : ""}.
           </p>
@@ -683,7 +1707,34 @@ export default function App() {
           {uploadError ? <p className="error">{uploadError}</p> : null}
           {deleteError ? <p className="error">{deleteError}</p> : null}
           {categoryError ? <p className="error">{categoryError}</p> : null}
-          {isUploading ? <p className="muted">Uploading…</p> : null}
+          {searchError ? <p className="error">{searchError}</p> : null}
+          {searchResults ? (
+            <p className="muted">
+              {searchResults.length} result(s) for "{searchQuery.trim()}"
+            </p>
+          ) : null}
+          {pendingVideos.length > 0 ? (
+            <VideoUploadOptionsForm
+              videos={pendingVideos}
+              onUpload={handleUploadVideos}
+              onCancel={() => setPendingVideos([])}
+              isUploading={isUploading}
+            />
+          ) : null}
+          {uploadItems.length > 0 ? (
+            <div className="upload-progress">
+              <ProgressList items={uploadItems} />
+              {!isUploading ? (
+                <button
+                  type="button"
+                  className="button-muted"
+                  onClick={() => setUploadItems([])}
+                >
+                  Dismiss
+                </button>
+              ) : null}
+            </div>
+          ) : null}
 
           <Gallery
             gifs={filteredGifs}
@@ -692,14 +1743,32 @@ export default function App() {
             deletingSlug={deletingSlug}
             onUpdateCategories={handleUpdateGifCategories}
             updatingCategoriesSlug={updatingCategorySlug}
+            onUpdateDetails={handleUpdateGifDetails}
+            updatingDetailsSlug={updatingDetailsSlug}
+            onToggleShared={handleToggleShared}
+            onCreateShareLink={createShareLink}
+            onTagClick={setSearchQuery}
             viewMode={viewMode}
+            readOnly={!canEdit}
           />
+          {nextCursor && !searchResults ? (
+            <div ref={loadMoreRef} className="load-more">
+              <button
+                type="button"
+                className="button-muted"
+                onClick={() => void loadMoreGifs()}
+                disabled={isLoadingMore}
+              >
+                {isLoadingMore ? "Loading…" : "Load more"}
+              </button>
+            </div>
+          ) : null}
         </div>
       </main>
 
       {isDragging ? (
         <div className="drag-overlay">
-          <p>Drop to upload GIF/WebP files</p>
+          <p>Drop to upload GIF, WebP or video files</p>
         </div>
       ) : null}
     </div>
@@ -33,6 +33,18 @@ export async function login(username: string, password: string) {
   return handleResponse(response);
 }
 
+export async function verifyLoginCode(challenge: string, code: string) {
+  const response = await fetch(`${basePath}/api/login/totp`, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ challenge, code }),
+  });
+  return handleResponse(response);
+}
+
 export async function logout() {
   const response = await fetch(`${basePath}/api/logout`, {
     method: "POST",
@@ -41,29 +53,177 @@ export async function logout() {
   return handleResponse(response);
 }
 
-export async function fetchGifs() {
-  const response = await fetch(`${basePath}/api/gifs`, {
+export type LibraryScope = "mine" | "shared" | "all";
+
+export type GifListQuery = {
+  cursor?: string;
+  limit?: number;
+  sort?: "created" | "size" | "name";
+  order?: "asc" | "desc";
+  category?: number;
+  uncategorized?: boolean;
+  scope?: LibraryScope;
+};
+
+export async function fetchGifs(query: GifListQuery = {}) {
+  const params = new URLSearchParams();
+  if (query.cursor) params.set("cursor", query.cursor);
+  if (query.limit) params.set("limit", String(query.limit));
+  if (query.sort) params.set("sort", query.sort);
+  if (query.order) params.set("order", query.order);
+  if (query.category) params.set("category", String(query.category));
+  if (query.uncategorized) params.set("uncategorized", "true");
+  if (query.scope) params.set("scope", query.scope);
+  const response = await fetch(`${basePath}/api/gifs?${params}`, {
     credentials: "include",
   });
   return handleResponse(response);
 }
 
-export async function fetchPublicGifs() {
-  const response = await fetch(`${basePath}/api/public/gifs`);
+export async function fetchLibrarySummary(scope: LibraryScope = "mine") {
+  const params = new URLSearchParams({ scope });
+  const response = await fetch(`${basePath}/api/gifs/summary?${params}`, {
+    credentials: "include",
+  });
   return handleResponse(response);
 }
 
-export async function uploadGif(file: File) {
-  const formData = new FormData();
-  formData.append("gif", file);
-  const response = await fetch(`${basePath}/api/upload`, {
-    method: "POST",
+export async function searchGifs(query: string, scope: LibraryScope = "mine") {
+  const params = new URLSearchParams({ q: query, scope });
+  const response = await fetch(`${basePath}/api/gifs/search?${params}`, {
     credentials: "include",
-    body: formData,
   });
   return handleResponse(response);
 }
 
+export type GifDetailsInput = {
+  title?: string | null;
+  description?: string | null;
+  tags?: string[];
+  shared?: boolean;
+};
+
+export async function updateGifDetails(slug: string, details: GifDetailsInput) {
+  const response = await fetch(
+    `${basePath}/api/gifs/${encodeURIComponent(slug)}`,
+    {
+      method: "PATCH",
+      credentials: "include",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(details),
+    },
+  );
+  return handleResponse(response);
+}
+
+export type ShareLinkInput = {
+  expiresAt?: string | null;
+  maxViews?: number | null;
+  password?: string | null;
+};
+
+export type ShareLink = {
+  id: number;
+  url: string;
+  expiresAt: string | null;
+  maxViews: number | null;
+  viewCount: number;
+  hasPassword: boolean;
+  active: boolean;
+  createdAt: string;
+};
+
+export async function createShareLink(
+  slug: string,
+  input: ShareLinkInput,
+): Promise<{ link: ShareLink }> {
+  const response = await fetch(
+    `${basePath}/api/gifs/${encodeURIComponent(slug)}/links`,
+    {
+      method: "POST",
+      credentials: "include",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(input),
+    },
+  );
+  return handleResponse(response);
+}
+
+export async function fetchPublicCollections() {
+  const response = await fetch(`${basePath}/api/public/collections`);
+  return handleResponse(response);
+}
+
+export async function fetchPublicCollection(slug: string, token?: string) {
+  const query = token ? `?token=${encodeURIComponent(token)}` : "";
+  const response = await fetch(
+    `${basePath}/api/public/collections/${encodeURIComponent(slug)}${query}`,
+  );
+  return handleResponse(response);
+}
+
+export function buildCollectionUrl(slug: string, token?: string | null) {
+  const url = new URL(
+    `${basePath}/public/${encodeURIComponent(slug)}`,
+    window.location.href,
+  );
+  if (token) url.searchParams.set("token", token);
+  return url.toString();
+}
+
+// Video uploads are answered before conversion, with only a job id.
+export type UploadResult = {
+  slug?: string;
+  shareUrl?: string;
+  jobId?: number;
+  duplicate?: boolean;
+};
+
+export type VideoUploadOptions = {
+  trimStart?: number;
+  trimEnd?: number;
+  width?: number;
+};
+
+export const VIDEO_MIME_TYPES = ["video/mp4", "video/webm", "video/quicktime"];
+
+// Uses XMLHttpRequest because fetch cannot report upload progress.
+export function uploadGif(
+  file: File,
+  onProgress?: (fraction: number) => void,
+  options: VideoUploadOptions = {},
+): Promise<UploadResult> {
+  const formData = new FormData();
+  Object.entries(options).forEach(([key, value]) => {
+    if (value !== undefined) formData.append(key, String(value));
+  });
+  formData.append("gif", file);
+  return new Promise((resolve, reject) => {
+    const request = new XMLHttpRequest();
+    request.open("POST", `${basePath}/api/upload`);
+    request.withCredentials = true;
+    request.responseType = "json";
+    request.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress?.(event.loaded / event.total);
+      }
+    };
+    request.onload = () => {
+      if (request.status >= 200 && request.status < 300) {
+        resolve(request.response);
+      } else {
+        reject(new Error(request.response?.error || request.statusText));
+      }
+    };
+    request.onerror = () => reject(new Error("Upload failed."));
+    request.send(formData);
+  });
+}
+
 export function buildShareLink(slug: string) {
   return `${window.location.origin}${basePath}/share/${slug}`;
 }
@@ -86,14 +246,14 @@ export async function fetchCategories() {
   return handleResponse(response);
 }
 
-export async function createCategory(name: string) {
+export async function createCategory(name: string, shared = false) {
   const response = await fetch(`${basePath}/api/categories`, {
     method: "POST",
     credentials: "include",
     headers: {
       "Content-Type": "application/json",
     },
-    body: JSON.stringify({ name }),
+    body: JSON.stringify({ name, shared }),
   });
   return handleResponse(response);
 }
@@ -109,6 +269,27 @@ export async function deleteCategory(categoryId: number) {
   return handleResponse(response);
 }
 
+export type CategoryVisibility = "private" | "public" | "unlisted";
+
+export async function updateCategoryVisibility(
+  categoryId: number,
+  visibility: CategoryVisibility,
+  regenerateToken = false,
+) {
+  const response = await fetch(
+    `${basePath}/api/categories/${encodeURIComponent(String(categoryId))}`,
+    {
+      method: "PATCH",
+      credentials: "include",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ visibility, regenerateToken }),
+    },
+  );
+  return handleResponse(response);
+}
+
 export async function updateGifCategories(slug: string, categoryIds: number[]) {
   const response = await fetch(
     `${basePath}/api/gifs/${encodeURIComponent(slug)}/categories`,
@@ -135,3 +316,330 @@ export async function importGifs(urls: string[]) {
   });
   return handleResponse(response);
 }
+
+export type JobStatus = "queued" | "running" | "succeeded" | "failed";
+
+export type Job = {
+  id: number;
+  type: string;
+  status: JobStatus;
+  stage: string | null;
+  attempts: number;
+  maxAttempts: number;
+  payload: Record<string, unknown>;
+  result: Record<string, unknown> | null;
+  error: string | null;
+  createdAt: string;
+  updatedAt: string;
+  finishedAt: string | null;
+};
+
+export async function fetchJob(id: number): Promise<{ job: Job }> {
+  const response = await fetch(`${basePath}/api/jobs/${id}`, {
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export function isJobFinished(job: Job) {
+  return job.status === "succeeded" || job.status === "failed";
+}
+
+// Streams updates for the given jobs until every one of them has finished.
+// Resolves with the final state of each job, keyed by id.
+export function watchJobs(
+  ids: number[],
+  onUpdate: (job: Job) => void,
+): Promise<Map<number, Job>> {
+  const finished = new Map<number, Job>();
+  if (ids.length === 0) {
+    return Promise.resolve(finished);
+  }
+  return new Promise((resolve) => {
+    const source = new EventSource(
+      `${basePath}/api/jobs/events?ids=${ids.join(",")}`,
+      { withCredentials: true },
+    );
+    source.addEventListener("job", (event) => {
+      const job: Job = JSON.parse((event as MessageEvent).data);
+      onUpdate(job);
+      if (isJobFinished(job)) {
+        finished.set(job.id, job);
+      }
+      if (finished.size === ids.length) {
+        source.close();
+        resolve(finished);
+      }
+    });
+  });
+}
+
+export type UserRole = "viewer" | "editor" | "admin";
+
+export async function fetchUsers() {
+  const response = await fetch(`${basePath}/api/users`, {
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export async function createUser(
+  username: string,
+  password: string,
+  role: UserRole,
+) {
+  const response = await fetch(`${basePath}/api/users`, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ username, password, role }),
+  });
+  return handleResponse(response);
+}
+
+export async function updateUser(
+  userId: number,
+  changes: { role?: UserRole; disabled?: boolean },
+) {
+  const response = await fetch(
+    `${basePath}/api/users/${encodeURIComponent(String(userId))}`,
+    {
+      method: "PATCH",
+      credentials: "include",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify(changes),
+    },
+  );
+  return handleResponse(response);
+}
+
+export async function resetUserPassword(userId: number, password: string) {
+  const response = await fetch(
+    `${basePath}/api/users/${encodeURIComponent(String(userId))}/password`,
+    {
+      method: "POST",
+      credentials: "include",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ password }),
+    },
+  );
+  return handleResponse(response);
+}
+
+export type ApiTokenScope = "read" | "upload" | "manage";
+
+export async function fetchApiTokens() {
+  const response = await fetch(`${basePath}/api/tokens`, {
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export async function createApiToken(name: string, scopes: ApiTokenScope[]) {
+  const response = await fetch(`${basePath}/api/tokens`, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ name, scopes }),
+  });
+  return handleResponse(response);
+}
+
+export async function revokeApiToken(tokenId: number) {
+  const response = await fetch(
+    `${basePath}/api/tokens/${encodeURIComponent(String(tokenId))}`,
+    {
+      method: "DELETE",
+      credentials: "include",
+    },
+  );
+  return handleResponse(response);
+}
+
+export async function fetchSessions() {
+  const response = await fetch(`${basePath}/api/sessions`, {
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export async function revokeSession(sessionId: string) {
+  const response = await fetch(
+    `${basePath}/api/sessions/${encodeURIComponent(sessionId)}`,
+    {
+      method: "DELETE",
+      credentials: "include",
+    },
+  );
+  return handleResponse(response);
+}
+
+export async function revokeAllSessions(keepCurrent = false) {
+  const params = keepCurrent ? "?keepCurrent=true" : "";
+  const response = await fetch(`${basePath}/api/sessions${params}`, {
+    method: "DELETE",
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export async function fetchTwoFactorStatus() {
+  const response = await fetch(`${basePath}/api/2fa`, {
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export async function startTwoFactorSetup() {
+  const response = await fetch(`${basePath}/api/2fa/setup`, {
+    method: "POST",
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export async function enableTwoFactor(code: string) {
+  const response = await fetch(`${basePath}/api/2fa/enable`, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ code }),
+  });
+  return handleResponse(response);
+}
+
+export async function disableTwoFactor(password: string) {
+  const response = await fetch(`${basePath}/api/2fa/disable`, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ password }),
+  });
+  return handleResponse(response);
+}
+
+export async function regenerateRecoveryCodes(password: string) {
+  const response = await fetch(`${basePath}/api/2fa/recovery-codes`, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ password }),
+  });
+  return handleResponse(response);
+}
+
+export async function resetUserTwoFactor(userId: number) {
+  const response = await fetch(
+    `${basePath}/api/users/${encodeURIComponent(String(userId))}/2fa`,
+    {
+      method: "DELETE",
+      credentials: "include",
+    },
+  );
+  return handleResponse(response);
+}
+
+export type ArchiveImportMode = "merge" | "replace";
+export type ArchiveConflictStrategy = "rename" | "skip";
+
+export function buildExportUrl() {
+  return `${basePath}/api/export`;
+}
+
+export function buildOriginalUrl(slug: string) {
+  return `${basePath}/api/gifs/${encodeURIComponent(slug)}/original`;
+}
+
+export type ShareSizePreset = {
+  id: string;
+  label: string;
+  width?: number;
+  height?: number;
+  fps?: number;
+};
+
+// Must stay within the sizes and frame rates the server allows on share URLs.
+export const SHARE_SIZE_PRESETS: ShareSizePreset[] = [
+  { id: "full", label: "Full size" },
+  { id: "emoji", label: "Emoji (32px)", width: 32, height: 32, fps: 10 },
+  { id: "small", label: "Small (128px)", width: 128, height: 128 },
+  { id: "medium", label: "Medium (320px)", width: 320, height: 320 },
+  { id: "large", label: "Large (480px)", width: 480, height: 480 },
+];
+
+export function buildSizedShareUrl(shareUrl: string, preset: ShareSizePreset) {
+  const url = new URL(shareUrl, window.location.href);
+  if (preset.width) url.searchParams.set("w", String(preset.width));
+  if (preset.height) url.searchParams.set("h", String(preset.height));
+  if (preset.fps) url.searchParams.set("fps", String(preset.fps));
+  return url.toString();
+}
+
+export async function importArchive(
+  file: File,
+  mode: ArchiveImportMode,
+  conflict: ArchiveConflictStrategy,
+) {
+  const formData = new FormData();
+  formData.append("archive", file);
+  const params = new URLSearchParams({ mode, conflict });
+  const response = await fetch(
+    `${basePath}/api/import-archive?${params.toString()}`,
+    {
+      method: "POST",
+      credentials: "include",
+      body: formData,
+    },
+  );
+  return handleResponse(response);
+}
+
+export async function fetchStats(days: number) {
+  const params = new URLSearchParams({ days: String(days) });
+  const response = await fetch(`${basePath}/api/stats?${params.toString()}`, {
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export async function fetchDuplicates() {
+  const response = await fetch(`${basePath}/api/duplicates`, {
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
+
+export async function mergeDuplicates(survivor: string, duplicates: string[]) {
+  const response = await fetch(`${basePath}/api/duplicates/merge`, {
+    method: "POST",
+    credentials: "include",
+    headers: {
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({ survivor, duplicates }),
+  });
+  return handleResponse(response);
+}
+
+export async function fetchSimilarGifs(threshold?: number) {
+  const params = new URLSearchParams();
+  if (threshold !== undefined) params.set("threshold", String(threshold));
+  const response = await fetch(`${basePath}/api/similar?${params}`, {
+    credentials: "include",
+  });
+  return handleResponse(response);
+}
@@ -0,0 +1,166 @@
+import { FormEvent, useState } from "react";
+import type { ApiTokenScope } from "../api";
+
+export type ApiToken = {
+  id: number;
+  name: string;
+  prefix: string;
+  scopes: ApiTokenScope[];
+  createdAt: string;
+  lastUsedAt: string | null;
+};
+
+type ApiTokenManagerProps = {
+  tokens: ApiToken[];
+  availableScopes: ApiTokenScope[];
+  newSecret: string | null;
+  onCreateToken: (name: string, scopes: ApiTokenScope[]) => Promise<boolean>;
+  onRevokeToken: (tokenId: number, name: string) => Promise<boolean>;
+  onDismissSecret: () => void;
+  isCreating: boolean;
+  revokingTokenId: number | null;
+};
+
+const SCOPE_LABELS: Record<ApiTokenScope, string> = {
+  read: "Read",
+  upload: "Upload",
+  manage: "Manage",
+};
+
+function formatTimestamp(value: string) {
+  const parsed = new Date(`${value.replace(" ", "T")}Z`);
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toLocaleString();
+}
+
+export default function ApiTokenManager({
+  tokens,
+  availableScopes,
+  newSecret,
+  onCreateToken,
+  onRevokeToken,
+  onDismissSecret,
+  isCreating,
+  revokingTokenId,
+}: ApiTokenManagerProps) {
+  const [name, setName] = useState("");
+  const [scopes, setScopes] = useState<ApiTokenScope[]>(["read"]);
+  const [copied, setCopied] = useState(false);
+
+  const toggleScope = (scope: ApiTokenScope, checked: boolean) => {
+    setScopes((current) =>
+      checked
+        ? [...current, scope]
+        : current.filter((existing) => existing !== scope),
+    );
+  };
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    setCopied(false);
+    const created = await onCreateToken(name.trim(), scopes);
+    if (created) {
+      setName("");
+      setScopes(["read"]);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!newSecret) return;
+    try {
+      await navigator.clipboard.writeText(newSecret);
+      setCopied(true);
+    } catch (error) {
+      console.error("Failed to copy API token", error);
+    }
+  };
+
+  return (
+    <section className="category-manager token-manager">
+      <div className="category-manager__header">
+        <div>
+          <h2>API tokens</h2>
+          <p className="muted">
+            Send a token as an <code>Authorization: Bearer</code> header from
+            scripts and bots.
+          </p>
+        </div>
+      </div>
+      {newSecret ? (
+        <div className="token-manager__secret">
+          <p className="muted">
+            Copy this token now. It will not be shown again.
+          </p>
+          <code>{newSecret}</code>
+          <div className="user-manager__actions">
+            <button type="button" onClick={handleCopy}>
+              {copied ? "Copied" : "Copy token"}
+            </button>
+            <button
+              type="button"
+              className="button-muted"
+              onClick={onDismissSecret}
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      ) : null}
+      <form className="category-form" onSubmit={handleSubmit}>
+        <div className="category-form__controls">
+          <input
+            type="text"
+            value={name}
+            onChange={(event) => setName(event.target.value)}
+            placeholder="Token name, e.g. Discord bot"
+            aria-label="Token name"
+            disabled={isCreating}
+            required
+          />
+          <button type="submit" disabled={isCreating || scopes.length === 0}>
+            {isCreating ? "Creating…" : "Create token"}
+          </button>
+        </div>
+        <div className="token-manager__scopes">
+          {availableScopes.map((scope) => (
+            <label key={scope} className="category-form__shared">
+              <input
+                type="checkbox"
+                checked={scopes.includes(scope)}
+                onChange={(event) => toggleScope(scope, event.target.checked)}
+                disabled={isCreating}
+              />
+              <span>{SCOPE_LABELS[scope]}</span>
+            </label>
+          ))}
+        </div>
+      </form>
+      <div className="category-list">
+        {tokens.length === 0 ? (
+          <p className="muted">No API tokens yet.</p>
+        ) : (
+          tokens.map((token) => (
+            <div key={token.id} className="category-list__item">
+              <div className="category-list__info">
+                <span className="category-list__name">{token.name}</span>
+                <span className="muted category-list__meta">
+                  {token.prefix}… · {token.scopes.join(", ")} ·{" "}
+                  {token.lastUsedAt
+                    ? `last used ${formatTimestamp(token.lastUsedAt)}`
+                    : "never used"}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="button-danger"
+                onClick={() => onRevokeToken(token.id, token.name)}
+                disabled={revokingTokenId === token.id}
+              >
+                {revokingTokenId === token.id ? "Revoking…" : "Revoke"}
+              </button>
+            </div>
+          ))
+        )}
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,124 @@
+import { FormEvent, useState } from "react";
+import type { ArchiveConflictStrategy, ArchiveImportMode } from "../api";
+
+export type ArchiveImportSummary = {
+  mode: ArchiveImportMode;
+  imported: number;
+  renamed: { from: string; to: string }[];
+  skipped: string[];
+  unchanged: string[];
+  categoriesCreated: number;
+};
+
+type BackupManagerProps = {
+  exportUrl: string;
+  lastImport: ArchiveImportSummary | null;
+  onImport: (
+    file: File,
+    mode: ArchiveImportMode,
+    conflict: ArchiveConflictStrategy,
+  ) => Promise<boolean>;
+  isImporting: boolean;
+};
+
+function describeImport(summary: ArchiveImportSummary) {
+  const parts = [`Imported ${summary.imported} GIF(s)`];
+  if (summary.renamed.length > 0) {
+    parts.push(`renamed ${summary.renamed.length}`);
+  }
+  if (summary.skipped.length > 0) {
+    parts.push(`skipped ${summary.skipped.length}`);
+  }
+  if (summary.unchanged.length > 0) {
+    parts.push(`${summary.unchanged.length} already present`);
+  }
+  parts.push(`${summary.categoriesCreated} new category(ies)`);
+  return `${parts.join(", ")}.`;
+}
+
+export default function BackupManager({
+  exportUrl,
+  lastImport,
+  onImport,
+  isImporting,
+}: BackupManagerProps) {
+  const [file, setFile] = useState<File | null>(null);
+  const [mode, setMode] = useState<ArchiveImportMode>("merge");
+  const [conflict, setConflict] = useState<ArchiveConflictStrategy>("rename");
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const form = event.currentTarget;
+    if (!file) {
+      return;
+    }
+    const imported = await onImport(file, mode, conflict);
+    if (imported) {
+      setFile(null);
+      form.reset();
+    }
+  };
+
+  return (
+    <section className="category-manager backup-manager">
+      <div className="category-manager__header">
+        <div>
+          <h2>Backup</h2>
+          <p className="muted">
+            Download every GIF with its categories and tags, or restore an
+            earlier export.
+          </p>
+        </div>
+      </div>
+      <div className="user-manager__actions">
+        <button
+          type="button"
+          onClick={() => window.location.assign(exportUrl)}
+          disabled={isImporting}
+        >
+          Download export
+        </button>
+      </div>
+      <form className="category-form" onSubmit={handleSubmit}>
+        <input
+          type="file"
+          accept=".tar,application/x-tar"
+          onChange={(event) => setFile(event.target.files?.[0] ?? null)}
+          aria-label="Archive to import"
+          disabled={isImporting}
+          required
+        />
+        <div className="category-form__controls">
+          <select
+            value={mode}
+            onChange={(event) =>
+              setMode(event.target.value as ArchiveImportMode)
+            }
+            aria-label="Import mode"
+            disabled={isImporting}
+          >
+            <option value="merge">Merge into library</option>
+            <option value="replace">Replace library</option>
+          </select>
+          <select
+            value={conflict}
+            onChange={(event) =>
+              setConflict(event.target.value as ArchiveConflictStrategy)
+            }
+            aria-label="When a slug already exists"
+            disabled={isImporting || mode === "replace"}
+          >
+            <option value="rename">Rename clashing slugs</option>
+            <option value="skip">Skip clashing slugs</option>
+          </select>
+          <button type="submit" disabled={isImporting || !file}>
+            {isImporting ? "Importing…" : "Import"}
+          </button>
+        </div>
+      </form>
+      {lastImport ? (
+        <p className="muted">{describeImport(lastImport)}</p>
+      ) : null}
+    </section>
+  );
+}
@@ -1,16 +1,29 @@
 import { FormEvent, useState } from 'react';
+import { buildCollectionUrl } from '../api';
+import type { CategoryVisibility } from '../api';
 
 type Category = {
   id: number;
   name: string;
   createdAt: string;
   gifCount: number;
+  owner?: string | null;
+  shared?: boolean;
+  visibility?: CategoryVisibility;
+  publicSlug?: string | null;
+  accessToken?: string | null;
+  canManage?: boolean;
 };
 
 type CategoryManagerProps = {
   categories: Category[];
-  onCreateCategory: (name: string) => Promise<boolean>;
+  onCreateCategory: (name: string, shared: boolean) => Promise<boolean>;
   onDeleteCategory: (categoryId: number, categoryName: string) => Promise<boolean>;
+  onUpdateVisibility: (
+    categoryId: number,
+    visibility: CategoryVisibility,
+    regenerateToken?: boolean
+  ) => Promise<boolean>;
   isCreating: boolean;
   deletingCategoryId: number | null;
 };
@@ -19,11 +32,40 @@ export default function CategoryManager({
   categories,
   onCreateCategory,
   onDeleteCategory,
+  onUpdateVisibility,
   isCreating,
   deletingCategoryId
 }: CategoryManagerProps) {
   const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
   const [localError, setLocalError] = useState<string | null>(null);
+  const [updatingId, setUpdatingId] = useState<number | null>(null);
+  const [copiedId, setCopiedId] = useState<number | null>(null);
+
+  const handleVisibility = async (
+    categoryId: number,
+    visibility: CategoryVisibility,
+    regenerateToken = false
+  ) => {
+    setUpdatingId(categoryId);
+    try {
+      await onUpdateVisibility(categoryId, visibility, regenerateToken);
+    } finally {
+      setUpdatingId(null);
+    }
+  };
+
+  const handleCopyLink = async (categoryId: number, url: string) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopiedId(categoryId);
+      window.setTimeout(() => {
+        setCopiedId((current) => (current === categoryId ? null : current));
+      }, 2000);
+    } catch (error) {
+      console.error('Failed to copy collection link', error);
+    }
+  };
 
   const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
     event.preventDefault();
@@ -33,9 +75,10 @@ export default function CategoryManager({
       return;
     }
     setLocalError(null);
-    const created = await onCreateCategory(trimmed);
+    const created = await onCreateCategory(trimmed, shared);
     if (created) {
       setName('');
+      setShared(false);
     }
   };
 
@@ -62,6 +105,15 @@ export default function CategoryManager({
             aria-label="Category name"
             disabled={isCreating}
           />
+          <label className="category-form__shared">
+            <input
+              type="checkbox"
+              checked={shared}
+              onChange={(event) => setShared(event.target.checked)}
+              disabled={isCreating}
+            />
+            <span>Shared</span>
+          </label>
           <button type="submit" disabled={isCreating}>
             {isCreating ? 'Creating…' : 'Add category'}
           </button>
@@ -72,22 +124,79 @@ export default function CategoryManager({
         {categories.length === 0 ? (
           <p className="muted">No categories yet. Create one to get started.</p>
         ) : (
-          categories.map((category) => (
-            <div key={category.id} className="category-list__item">
-              <div className="category-list__info">
-                <span className="category-list__name">{category.name}</span>
-                <span className="muted category-list__meta">{category.gifCount} gif(s)</span>
+          categories.map((category) => {
+            const visibility = category.visibility ?? 'private';
+            const publicUrl =
+              category.publicSlug && visibility !== 'private'
+                ? buildCollectionUrl(category.publicSlug, category.accessToken)
+                : null;
+            const isUpdating = updatingId === category.id;
+            return (
+              <div key={category.id} className="category-list__item">
+                <div className="category-list__info">
+                  <span className="category-list__name">{category.name}</span>
+                  <span className="muted category-list__meta">
+                    {category.gifCount} gif(s)
+                    {category.shared ? ' · Shared' : ''}
+                    {visibility === 'public' ? ' · Public' : ''}
+                    {visibility === 'unlisted' ? ' · Unlisted' : ''}
+                    {category.owner && category.canManage === false ? ` · by ${category.owner}` : ''}
+                  </span>
+                  {publicUrl && category.canManage !== false ? (
+                    <span className="category-list__link">
+                      <a href={publicUrl} target="_blank" rel="noreferrer">
+                        {publicUrl}
+                      </a>
+                    </span>
+                  ) : null}
+                </div>
+                {category.canManage !== false ? (
+                  <div className="category-list__actions">
+                    <select
+                      value={visibility}
+                      onChange={(event) =>
+                        handleVisibility(category.id, event.target.value as CategoryVisibility)
+                      }
+                      disabled={isUpdating}
+                      aria-label={`Visibility of ${category.name}`}
+                    >
+                      <option value="private">Private</option>
+                      <option value="public">Public</option>
+                      <option value="unlisted">Unlisted</option>
+                    </select>
+                    {publicUrl ? (
+                      <button
+                        type="button"
+                        className="button-muted"
+                        onClick={() => handleCopyLink(category.id, publicUrl)}
+                      >
+                        {copiedId === category.id ? 'Copied' : 'Copy link'}
+                      </button>
+                    ) : null}
+                    {visibility === 'unlisted' ? (
+                      <button
+                        type="button"
+                        className="button-muted"
+                        onClick={() => handleVisibility(category.id, 'unlisted', true)}
+                        disabled={isUpdating}
+                        title="Replace the secret link; the old one stops working"
+                      >
+                        New link
+                      </button>
+                    ) : null}
+                    <button
+                      type="button"
+                      className="button-danger"
+                      onClick={() => onDeleteCategory(category.id, category.name)}
+                      disabled={deletingCategoryId === category.id}
+                    >
+                      {deletingCategoryId === category.id ? 'Deleting…' : 'Delete'}
+                    </button>
+                  </div>
+                ) : null}
               </div>
-              <button
-                type="button"
-                className="button-danger"
-                onClick={() => onDeleteCategory(category.id, category.name)}
-                disabled={deletingCategoryId === category.id}
-              >
-                {deletingCategoryId === category.id ? 'Deleting…' : 'Delete'}
-              </button>
-            </div>
-          ))
+            );
+          })
         )}
       </div>
     </section>
@@ -0,0 +1,82 @@
+export type DuplicateGif = {
+  slug: string;
+  originalName: string;
+  title?: string | null;
+  createdAt: string;
+  owner?: string | null;
+  categories: { id: number; name: string }[];
+};
+
+export type DuplicateGroup = {
+  sha256: string;
+  sizeBytes: number;
+  gifs: DuplicateGif[];
+};
+
+type DuplicateManagerProps = {
+  groups: DuplicateGroup[] | null;
+  onScan: () => Promise<boolean>;
+  onMerge: (group: DuplicateGroup) => Promise<boolean>;
+  isScanning: boolean;
+  mergingHash: string | null;
+};
+
+export default function DuplicateManager({
+  groups,
+  onScan,
+  onMerge,
+  isScanning,
+  mergingHash,
+}: DuplicateManagerProps) {
+  return (
+    <section className="category-manager duplicate-manager">
+      <div className="category-manager__header">
+        <div>
+          <h2>Duplicates</h2>
+          <p className="muted">
+            {groups === null
+              ? "Find GIFs that were stored more than once."
+              : groups.length === 0
+                ? "No duplicates found."
+                : `${groups.length} GIF(s) stored more than once. Merging keeps the oldest copy and moves categories onto it.`}
+          </p>
+        </div>
+      </div>
+      <div className="category-list">
+        {(groups ?? []).map((group) => {
+          const [survivor, ...copies] = group.gifs;
+          return (
+            <div key={group.sha256} className="category-list__item">
+              <div className="category-list__info">
+                <span className="category-list__name">
+                  {survivor.title || survivor.originalName}
+                </span>
+                <span className="muted category-list__meta">
+                  {survivor.slug} · also stored as{" "}
+                  {copies.map((gif) => gif.slug).join(", ")}
+                </span>
+              </div>
+              <button
+                type="button"
+                onClick={() => onMerge(group)}
+                disabled={mergingHash !== null}
+              >
+                {mergingHash === group.sha256 ? "Merging…" : "Merge"}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+      <div className="user-manager__actions">
+        <button
+          type="button"
+          className="button-muted"
+          onClick={onScan}
+          disabled={isScanning || mergingHash !== null}
+        >
+          {isScanning ? "Scanning…" : "Check for duplicates"}
+        </button>
+      </div>
+    </section>
+  );
+}
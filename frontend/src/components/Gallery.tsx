@@ -1,4 +1,11 @@
-import { useState } from "react";
+import { FormEvent, useState } from "react";
+import {
+  SHARE_SIZE_PRESETS,
+  buildOriginalUrl,
+  buildSizedShareUrl,
+} from "../api";
+import type { GifDetailsInput, ShareLink, ShareLinkInput } from "../api";
+import ShareLinkForm from "./ShareLinkForm";
 
 type GifCategory = {
   id: number;
@@ -10,10 +17,19 @@ type GifItem = {
   slug: string;
   originalName: string;
   shareUrl: string;
+  thumbnailUrl?: string;
+  previewUrl?: string;
   createdAt: string;
   sizeBytes: number;
   mimeType?: string;
+  title?: string | null;
+  description?: string | null;
   categories: GifCategory[];
+  tags?: string[];
+  owner?: string | null;
+  shared?: boolean;
+  canManage?: boolean;
+  hasOriginal?: boolean;
 };
 
 type CategoryOption = GifCategory;
@@ -28,6 +44,17 @@ type GalleryProps = {
     categoryIds: number[],
   ) => Promise<boolean>;
   updatingCategoriesSlug?: string | null;
+  onUpdateDetails?: (
+    slug: string,
+    details: GifDetailsInput,
+  ) => Promise<boolean>;
+  updatingDetailsSlug?: string | null;
+  onToggleShared?: (slug: string, shared: boolean) => Promise<boolean>;
+  onCreateShareLink?: (
+    slug: string,
+    input: ShareLinkInput,
+  ) => Promise<{ link: ShareLink }>;
+  onTagClick?: (tag: string) => void;
   viewMode: "grid" | "list";
   readOnly?: boolean;
 };
@@ -59,14 +86,55 @@ export default function Gallery({
   deletingSlug,
   onUpdateCategories,
   updatingCategoriesSlug,
+  onUpdateDetails,
+  updatingDetailsSlug,
+  onToggleShared,
+  onCreateShareLink,
+  onTagClick,
   viewMode,
   readOnly = false,
 }: GalleryProps) {
   const [copiedSlug, setCopiedSlug] = useState<string | null>(null);
+  const [linkSizes, setLinkSizes] = useState<Record<string, string>>({});
+  const [playingSlug, setPlayingSlug] = useState<string | null>(null);
+  const [editingSlug, setEditingSlug] = useState<string | null>(null);
+  const [linkFormSlug, setLinkFormSlug] = useState<string | null>(null);
+  const [draftTitle, setDraftTitle] = useState("");
+  const [draftDescription, setDraftDescription] = useState("");
+  const [draftTags, setDraftTags] = useState("");
+
+  const startEditing = (gif: GifItem) => {
+    setEditingSlug(gif.slug);
+    setDraftTitle(gif.title ?? "");
+    setDraftDescription(gif.description ?? "");
+    setDraftTags((gif.tags ?? []).join(", "));
+  };
+
+  const handleDetailsSubmit = async (
+    event: FormEvent<HTMLFormElement>,
+    slug: string,
+  ) => {
+    event.preventDefault();
+    if (readOnly || !onUpdateDetails) return;
+    const saved = await onUpdateDetails(slug, {
+      title: draftTitle,
+      description: draftDescription,
+      tags: draftTags
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter((tag) => tag.length > 0),
+    });
+    if (saved) {
+      setEditingSlug(null);
+    }
+  };
 
-  const handleCopy = async (slug: string, url: string) => {
+  const handleCopy = async (slug: string, shareUrl: string) => {
+    const preset =
+      SHARE_SIZE_PRESETS.find((option) => option.id === linkSizes[slug]) ??
+      SHARE_SIZE_PRESETS[0];
     try {
-      await navigator.clipboard.writeText(url);
+      await navigator.clipboard.writeText(buildSizedShareUrl(shareUrl, preset));
       setCopiedSlug(slug);
       window.setTimeout(() => {
         setCopiedSlug((current) => (current === slug ? null : current));
@@ -106,20 +174,71 @@ export default function Gallery({
     <div className={`gallery gallery--${viewMode}`}>
       {gifs.map((gif) => {
         const isUpdating = updatingCategoriesSlug === gif.slug;
+        const isEditing = editingSlug === gif.slug;
+        const isSavingDetails = updatingDetailsSlug === gif.slug;
+        const tags = gif.tags ?? [];
+        const canManage = !readOnly && gif.canManage !== false;
         return (
           <article key={gif.id} className="gif-card">
-            <img src={gif.shareUrl} alt={gif.originalName} loading="lazy" />
+            <img
+              src={
+                playingSlug === gif.slug
+                  ? (gif.previewUrl ?? gif.shareUrl)
+                  : (gif.thumbnailUrl ?? gif.shareUrl)
+              }
+              alt={gif.title || gif.originalName}
+              loading="lazy"
+              onMouseEnter={() => setPlayingSlug(gif.slug)}
+              onMouseLeave={() =>
+                setPlayingSlug((current) =>
+                  current === gif.slug ? null : current,
+                )
+              }
+            />
             <div className="gif-meta">
               <div>
-                <h2>{gif.originalName}</h2>
+                <h2>{gif.title || gif.originalName}</h2>
+                {gif.description ? (
+                  <p className="gif-description">{gif.description}</p>
+                ) : null}
                 <p className="muted">
                   {formatBytes(gif.sizeBytes)} · Uploaded{" "}
                   {formatDate(gif.createdAt)}
+                  {gif.owner && !gif.canManage ? ` · by ${gif.owner}` : ""}
+                  {gif.shared && gif.canManage ? " · Shared" : ""}
+                  {gif.hasOriginal ? (
+                    <>
+                      {" · "}
+                      <a href={buildOriginalUrl(gif.slug)} download>
+                        Original
+                      </a>
+                    </>
+                  ) : null}
                 </p>
                 {copiedSlug === gif.slug ? (
                   <span className="copy-feedback">Copied to clipboard</span>
                 ) : null}
               </div>
+              {tags.length > 0 ? (
+                <div className="gif-tags">
+                  {tags.map((tag) =>
+                    onTagClick ? (
+                      <button
+                        key={tag}
+                        type="button"
+                        className="gif-tag"
+                        onClick={() => onTagClick(tag)}
+                      >
+                        #{tag}
+                      </button>
+                    ) : (
+                      <span key={tag} className="gif-tag">
+                        #{tag}
+                      </span>
+                    ),
+                  )}
+                </div>
+              ) : null}
               <div className="actions">
                 <button
                   type="button"
@@ -127,7 +246,24 @@ export default function Gallery({
                 >
                   {copiedSlug === gif.slug ? "Copied" : "Copy link"}
                 </button>
-                {!readOnly && onDelete && (
+                <select
+                  className="link-size"
+                  value={linkSizes[gif.slug] ?? SHARE_SIZE_PRESETS[0].id}
+                  onChange={(event) =>
+                    setLinkSizes((current) => ({
+                      ...current,
+                      [gif.slug]: event.target.value,
+                    }))
+                  }
+                  aria-label="Link size"
+                >
+                  {SHARE_SIZE_PRESETS.map((preset) => (
+                    <option key={preset.id} value={preset.id}>
+                      {preset.label}
+                    </option>
+                  ))}
+                </select>
+                {canManage && onDelete && (
                   <button
                     type="button"
                     className="button-danger"
@@ -137,9 +273,91 @@ export default function Gallery({
                     {deletingSlug === gif.slug ? "Deleting…" : "Delete"}
                   </button>
                 )}
+                {canManage && onToggleShared && (
+                  <button
+                    type="button"
+                    className="button-muted"
+                    onClick={() => onToggleShared(gif.slug, !gif.shared)}
+                    disabled={isSavingDetails}
+                  >
+                    {gif.shared ? "Make private" : "Share with team"}
+                  </button>
+                )}
+                {canManage &&
+                  onCreateShareLink &&
+                  linkFormSlug !== gif.slug && (
+                    <button
+                      type="button"
+                      className="button-muted"
+                      onClick={() => setLinkFormSlug(gif.slug)}
+                    >
+                      Create limited link
+                    </button>
+                  )}
+                {canManage && onUpdateDetails && !isEditing && (
+                  <button
+                    type="button"
+                    className="button-muted"
+                    onClick={() => startEditing(gif)}
+                  >
+                    Edit details
+                  </button>
+                )}
               </div>
+              {canManage && onCreateShareLink && linkFormSlug === gif.slug ? (
+                <ShareLinkForm
+                  onCreate={(input) => onCreateShareLink(gif.slug, input)}
+                  onClose={() => setLinkFormSlug(null)}
+                />
+              ) : null}
+              {isEditing ? (
+                <form
+                  className="gif-details-form"
+                  onSubmit={(event) => handleDetailsSubmit(event, gif.slug)}
+                >
+                  <input
+                    type="text"
+                    value={draftTitle}
+                    onChange={(event) => setDraftTitle(event.target.value)}
+                    placeholder={gif.originalName}
+                    aria-label="Title"
+                    disabled={isSavingDetails}
+                  />
+                  <textarea
+                    value={draftDescription}
+                    onChange={(event) =>
+                      setDraftDescription(event.target.value)
+                    }
+                    placeholder="Description"
+                    aria-label="Description"
+                    rows={3}
+                    disabled={isSavingDetails}
+                  />
+                  <input
+                    type="text"
+                    value={draftTags}
+                    onChange={(event) => setDraftTags(event.target.value)}
+                    placeholder="Tags, separated by commas"
+                    aria-label="Tags"
+                    disabled={isSavingDetails}
+                  />
+                  <div className="gif-details-form__actions">
+                    <button type="submit" disabled={isSavingDetails}>
+                      {isSavingDetails ? "Saving…" : "Save"}
+                    </button>
+                    <button
+                      type="button"
+                      className="button-muted"
+                      onClick={() => setEditingSlug(null)}
+                      disabled={isSavingDetails}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                </form>
+              ) : null}
               <div className="gif-categories">
-                {!readOnly ? (
+                {canManage ? (
                   <>
                     <p className="muted gif-categories__label">Categories</p>
                     {categories.length > 0 ? (
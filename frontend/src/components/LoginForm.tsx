@@ -2,19 +2,66 @@ import { FormEvent, useState } from 'react';
 
 type LoginFormProps = {
   onSubmit: (username: string, password: string) => Promise<void>;
+  onSubmitCode: (code: string) => Promise<void>;
+  onCancelCode: () => void;
+  codeRequired: boolean;
   isSubmitting: boolean;
   errorMessage: string | null;
 };
 
-export default function LoginForm({ onSubmit, isSubmitting, errorMessage }: LoginFormProps) {
+export default function LoginForm({
+  onSubmit,
+  onSubmitCode,
+  onCancelCode,
+  codeRequired,
+  isSubmitting,
+  errorMessage
+}: LoginFormProps) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
 
   const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
     event.preventDefault();
     await onSubmit(username, password);
   };
 
+  const handleCodeSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    await onSubmitCode(code.trim());
+    setCode('');
+  };
+
+  if (codeRequired) {
+    return (
+      <div className="card">
+        <h1>gifselector</h1>
+        <p className="muted">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+        <form className="stack" onSubmit={handleCodeSubmit}>
+          <label className="stack">
+            <span>Verification code</span>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(event) => setCode(event.target.value)}
+              autoFocus
+              required
+            />
+          </label>
+          {errorMessage ? <p className="error">{errorMessage}</p> : null}
+          <button type="submit" disabled={isSubmitting}>
+            {isSubmitting ? 'Verifying…' : 'Verify'}
+          </button>
+          <button type="button" className="button-muted" onClick={onCancelCode} disabled={isSubmitting}>
+            Back
+          </button>
+        </form>
+      </div>
+    );
+  }
+
   return (
     <div className="card">
       <h1>gifselector</h1>
@@ -0,0 +1,76 @@
+import type { Job } from "../api";
+
+export type ProgressState =
+  "queued" | "uploading" | "downloading" | "converting" | "done" | "failed";
+
+export type ProgressItem = {
+  key: string;
+  label: string;
+  state: ProgressState;
+  progress?: number;
+  detail?: string | null;
+};
+
+const STATE_LABELS: Record<ProgressState, string> = {
+  queued: "Queued",
+  uploading: "Uploading",
+  downloading: "Downloading",
+  converting: "Converting",
+  done: "Done",
+  failed: "Failed",
+};
+
+export function progressFromJob(job: Job): Partial<ProgressItem> {
+  switch (job.status) {
+    case "succeeded":
+      return {
+        state: "done",
+        detail: job.result?.duplicate ? "Already in the library" : null,
+      };
+    case "failed":
+      return { state: "failed", detail: job.error };
+    case "running":
+      return {
+        state: job.stage === "downloading" ? "downloading" : "converting",
+        detail: null,
+      };
+    default:
+      return {
+        state: "queued",
+        detail: job.error ? `Retrying: ${job.error}` : null,
+      };
+  }
+}
+
+type ProgressListProps = {
+  items: ProgressItem[];
+};
+
+export default function ProgressList({ items }: ProgressListProps) {
+  if (items.length === 0) {
+    return null;
+  }
+  return (
+    <ul className="progress-list">
+      {items.map((item) => (
+        <li
+          key={item.key}
+          className={`progress-list__item progress-list__item--${item.state}`}
+        >
+          <span className="progress-list__label" title={item.label}>
+            {item.label}
+          </span>
+          <span className="progress-list__state">
+            {STATE_LABELS[item.state]}
+            {item.state === "uploading" && item.progress !== undefined
+              ? ` ${Math.round(item.progress * 100)}%`
+              : ""}
+          </span>
+          {item.detail ? (
+            <span className="progress-list__detail">{item.detail}</span>
+          ) : null}
+        </li>
+      ))}
+    </ul>
+  );
+}
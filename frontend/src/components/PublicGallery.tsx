@@ -0,0 +1,150 @@
+import { useEffect, useState } from "react";
+import {
+  buildCollectionUrl,
+  fetchPublicCollection,
+  fetchPublicCollections,
+} from "../api";
+import Gallery from "./Gallery";
+
+type PublicCollection = {
+  slug: string;
+  name: string;
+  gifCount: number;
+};
+
+type PublicGif = {
+  id: number;
+  slug: string;
+  originalName: string;
+  shareUrl: string;
+  thumbnailUrl?: string;
+  previewUrl?: string;
+  createdAt: string;
+  sizeBytes: number;
+  mimeType?: string;
+  title?: string | null;
+  description?: string | null;
+  tags: string[];
+};
+
+type PublicGalleryProps = {
+  collectionSlug: string | null;
+  token: string | null;
+  viewMode: "grid" | "list";
+  onViewModeChange: (mode: "grid" | "list") => void;
+};
+
+export default function PublicGallery({
+  collectionSlug,
+  token,
+  viewMode,
+  onViewModeChange,
+}: PublicGalleryProps) {
+  const [collections, setCollections] = useState<PublicCollection[]>([]);
+  const [collection, setCollection] = useState<PublicCollection | null>(null);
+  const [gifs, setGifs] = useState<PublicGif[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const load = async () => {
+      try {
+        if (collectionSlug) {
+          const data = await fetchPublicCollection(
+            collectionSlug,
+            token ?? undefined,
+          );
+          if (cancelled) return;
+          setCollection(data.collection);
+          setGifs(data.gifs ?? []);
+        } else {
+          const data = await fetchPublicCollections();
+          if (cancelled) return;
+          setCollections(data.collections ?? []);
+        }
+      } catch (err) {
+        console.error("Failed to load public collection", err);
+        if (!cancelled) {
+          setError(
+            err instanceof Error ? err.message : "Failed to load collection.",
+          );
+        }
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+    void load();
+    return () => {
+      cancelled = true;
+    };
+  }, [collectionSlug, token]);
+
+  return (
+    <div className="dashboard">
+      <aside className="sidebar">
+        <div className="sidebar-header">
+          <h1>gifselector</h1>
+          <p style={{ fontSize: "0.8rem", color: "#888" }}>
+            {collection ? collection.name : "Public Gallery"}
+          </p>
+        </div>
+        {collectionSlug ? (
+          <div className="filter-section">
+            <label className="filter-label">View</label>
+            <div className="view-selector">
+              <button
+                type="button"
+                className={viewMode === "grid" ? "selected" : ""}
+                onClick={() => onViewModeChange("grid")}
+              >
+                Grid
+              </button>
+              <button
+                type="button"
+                className={viewMode === "list" ? "selected" : ""}
+                onClick={() => onViewModeChange("list")}
+              >
+                List
+              </button>
+            </div>
+          </div>
+        ) : null}
+        <div className="instructions-block">
+          <p className="muted instructions">
+            {collectionSlug
+              ? `Showing ${gifs.length} entries`
+              : `${collections.length} public collection(s)`}
+          </p>
+        </div>
+      </aside>
+      <main className="dashboard-main">
+        <div className="gallery-container">
+          {isLoading ? (
+            <p>Loading…</p>
+          ) : error ? (
+            <p className="error">{error}</p>
+          ) : collectionSlug ? (
+            <Gallery
+              gifs={gifs.map((gif) => ({ ...gif, categories: [] }))}
+              categories={[]}
+              viewMode={viewMode}
+              readOnly={true}
+            />
+          ) : collections.length === 0 ? (
+            <p className="muted">No public collections yet.</p>
+          ) : (
+            <ul className="public-collections">
+              {collections.map((item) => (
+                <li key={item.slug}>
+                  <a href={buildCollectionUrl(item.slug)}>{item.name}</a>
+                  <span className="muted"> · {item.gifCount} gif(s)</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </main>
+    </div>
+  );
+}
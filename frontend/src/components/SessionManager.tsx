@@ -0,0 +1,86 @@
+export type UserSession = {
+  id: string;
+  ip: string | null;
+  userAgent: string | null;
+  createdAt: string;
+  lastSeenAt: string;
+  expiresAt: string;
+  current: boolean;
+};
+
+type SessionManagerProps = {
+  sessions: UserSession[];
+  onRevokeSession: (session: UserSession) => Promise<boolean>;
+  onRevokeAll: (keepCurrent: boolean) => Promise<boolean>;
+  revokingSessionId: string | null;
+  isRevokingAll: boolean;
+};
+
+function formatTimestamp(value: string) {
+  const parsed = new Date(`${value.replace(" ", "T")}Z`);
+  return Number.isNaN(parsed.getTime()) ? value : parsed.toLocaleString();
+}
+
+export default function SessionManager({
+  sessions,
+  onRevokeSession,
+  onRevokeAll,
+  revokingSessionId,
+  isRevokingAll,
+}: SessionManagerProps) {
+  const hasOtherSessions = sessions.some((session) => !session.current);
+
+  return (
+    <section className="category-manager session-manager">
+      <div className="category-manager__header">
+        <h2>Sessions</h2>
+      </div>
+      <div className="category-list">
+        {sessions.map((session) => (
+          <div key={session.id} className="category-list__item">
+            <div className="category-list__info">
+              <span className="category-list__name">
+                {session.userAgent || "Unknown device"}
+                {session.current ? " (this device)" : ""}
+              </span>
+              <span className="muted category-list__meta">
+                {session.ip || "unknown IP"} · last seen{" "}
+                {formatTimestamp(session.lastSeenAt)}
+              </span>
+            </div>
+            <button
+              type="button"
+              className="button-danger"
+              onClick={() => onRevokeSession(session)}
+              disabled={isRevokingAll || revokingSessionId === session.id}
+            >
+              {revokingSessionId === session.id
+                ? "Revoking…"
+                : session.current
+                  ? "Sign out"
+                  : "Revoke"}
+            </button>
+          </div>
+        ))}
+      </div>
+      <div className="user-manager__actions">
+        <button
+          type="button"
+          className="button-muted"
+          onClick={() => onRevokeAll(true)}
+          disabled={isRevokingAll || !hasOtherSessions}
+        >
+          Sign out other sessions
+        </button>
+        <button
+          type="button"
+          className="button-danger"
+          onClick={() => onRevokeAll(false)}
+          disabled={isRevokingAll}
+        >
+          Sign out everywhere
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,145 @@
+import { FormEvent, useState } from "react";
+import type { ShareLink, ShareLinkInput } from "../api";
+
+type ShareLinkFormProps = {
+  onCreate: (input: ShareLinkInput) => Promise<{ link: ShareLink }>;
+  onClose: () => void;
+};
+
+const EXPIRY_OPTIONS = [
+  { label: "Never", hours: 0 },
+  { label: "1 hour", hours: 1 },
+  { label: "1 day", hours: 24 },
+  { label: "7 days", hours: 24 * 7 },
+  { label: "30 days", hours: 24 * 30 },
+];
+
+export default function ShareLinkForm({
+  onCreate,
+  onClose,
+}: ShareLinkFormProps) {
+  const [expiryHours, setExpiryHours] = useState(24);
+  const [maxViews, setMaxViews] = useState("");
+  const [password, setPassword] = useState("");
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [link, setLink] = useState<ShareLink | null>(null);
+  const [copied, setCopied] = useState(false);
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    setError(null);
+    setIsCreating(true);
+    try {
+      const data = await onCreate({
+        expiresAt:
+          expiryHours > 0
+            ? new Date(Date.now() + expiryHours * 3600 * 1000).toISOString()
+            : null,
+        maxViews: maxViews.trim() === "" ? null : Number(maxViews),
+        password: password === "" ? null : password,
+      });
+      setLink(data.link);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : "Failed to create link.");
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (!link) return;
+    try {
+      await navigator.clipboard.writeText(link.url);
+      setCopied(true);
+    } catch (err) {
+      console.error("Failed to copy share link", err);
+    }
+  };
+
+  if (link) {
+    return (
+      <div className="share-link-form">
+        <p className="muted">
+          {link.hasPassword
+            ? "Anyone opening this link is asked for the password."
+            : "This link works without signing in."}
+          {link.expiresAt
+            ? ` It expires ${new Date(link.expiresAt).toLocaleString()}.`
+            : ""}
+          {link.maxViews ? ` It can be viewed ${link.maxViews} time(s).` : ""}
+        </p>
+        <input
+          type="text"
+          value={link.url}
+          readOnly
+          aria-label="Limited link"
+        />
+        <div className="share-link-form__actions">
+          <button type="button" onClick={handleCopy}>
+            {copied ? "Copied" : "Copy link"}
+          </button>
+          <button type="button" className="button-muted" onClick={onClose}>
+            Done
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <form className="share-link-form" onSubmit={handleSubmit}>
+      <label>
+        Expires after
+        <select
+          value={expiryHours}
+          onChange={(event) => setExpiryHours(Number(event.target.value))}
+          disabled={isCreating}
+        >
+          {EXPIRY_OPTIONS.map((option) => (
+            <option key={option.hours} value={option.hours}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+      <label>
+        Max views
+        <input
+          type="number"
+          min="1"
+          step="1"
+          placeholder="unlimited"
+          value={maxViews}
+          onChange={(event) => setMaxViews(event.target.value)}
+          disabled={isCreating}
+        />
+      </label>
+      <label>
+        Password
+        <input
+          type="password"
+          placeholder="none"
+          autoComplete="new-password"
+          value={password}
+          onChange={(event) => setPassword(event.target.value)}
+          disabled={isCreating}
+        />
+      </label>
+      {error ? <p className="error">{error}</p> : null}
+      <div className="share-link-form__actions">
+        <button type="submit" disabled={isCreating}>
+          {isCreating ? "Creating…" : "Create link"}
+        </button>
+        <button
+          type="button"
+          className="button-muted"
+          onClick={onClose}
+          disabled={isCreating}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
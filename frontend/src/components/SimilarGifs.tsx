@@ -0,0 +1,85 @@
+export type SimilarGif = {
+  slug: string;
+  originalName: string;
+  title?: string | null;
+  shareUrl: string;
+  thumbnailUrl?: string;
+  owner?: string | null;
+  similarity: number;
+};
+
+export type SimilarCluster = {
+  similarity: number;
+  gifs: SimilarGif[];
+};
+
+type SimilarGifsProps = {
+  clusters: SimilarCluster[] | null;
+  onScan: () => Promise<boolean>;
+  isScanning: boolean;
+};
+
+function formatSimilarity(value: number) {
+  return `${Math.round(value * 100)}%`;
+}
+
+export default function SimilarGifs({
+  clusters,
+  onScan,
+  isScanning,
+}: SimilarGifsProps) {
+  return (
+    <section className="category-manager similar-gifs">
+      <div className="category-manager__header">
+        <div>
+          <h2>Similar GIFs</h2>
+          <p className="muted">
+            {clusters === null
+              ? "Find GIFs that look alike, such as the same clip re-encoded by another site."
+              : clusters.length === 0
+                ? "No similar GIFs found."
+                : `${clusters.length} group(s) of similar GIFs.`}
+          </p>
+        </div>
+      </div>
+      <div className="category-list">
+        {(clusters ?? []).map((cluster) => (
+          <div
+            key={cluster.gifs.map((gif) => gif.slug).join(",")}
+            className="category-list__item similar-gifs__cluster"
+          >
+            <span className="muted category-list__meta">
+              At least {formatSimilarity(cluster.similarity)} similar
+            </span>
+            <div className="similar-gifs__items">
+              {cluster.gifs.map((gif) => (
+                <a
+                  key={gif.slug}
+                  href={gif.shareUrl}
+                  target="_blank"
+                  rel="noreferrer"
+                  title={`${gif.title || gif.originalName} (${gif.slug})`}
+                >
+                  <img
+                    src={gif.thumbnailUrl ?? gif.shareUrl}
+                    alt={gif.title || gif.originalName}
+                  />
+                </a>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="user-manager__actions">
+        <button
+          type="button"
+          className="button-muted"
+          onClick={onScan}
+          disabled={isScanning}
+        >
+          {isScanning ? "Scanning…" : "Find similar GIFs"}
+        </button>
+      </div>
+    </section>
+  );
+}
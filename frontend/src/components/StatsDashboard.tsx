@@ -0,0 +1,140 @@
+export type ShareStats = {
+  days: number;
+  totalHits: number;
+  topGifs: {
+    slug: string;
+    title?: string | null;
+    originalName?: string | null;
+    hits: number;
+  }[];
+  hitsOverTime: { date: string; hits: number }[];
+  topReferers: { host: string; hits: number }[];
+  clientTypes: { type: string; hits: number }[];
+};
+
+type StatsDashboardProps = {
+  stats: ShareStats | null;
+  days: number;
+  onDaysChange: (days: number) => void;
+  onLoad: () => Promise<boolean>;
+  isLoading: boolean;
+};
+
+const DAY_OPTIONS = [7, 30, 90];
+
+function HitList({
+  title,
+  rows,
+}: {
+  title: string;
+  rows: { key: string; label: string; hits: number }[];
+}) {
+  return (
+    <div className="stats-dashboard__list">
+      <h3>{title}</h3>
+      {rows.length === 0 ? (
+        <p className="muted">No data yet.</p>
+      ) : (
+        <ol>
+          {rows.map((row) => (
+            <li key={row.key}>
+              <span className="stats-dashboard__label">{row.label}</span>
+              <span className="muted">{row.hits}</span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default function StatsDashboard({
+  stats,
+  days,
+  onDaysChange,
+  onLoad,
+  isLoading,
+}: StatsDashboardProps) {
+  const peak = Math.max(1, ...(stats?.hitsOverTime ?? []).map((d) => d.hits));
+
+  return (
+    <section className="category-manager stats-dashboard">
+      <div className="category-manager__header">
+        <div>
+          <h2>Share statistics</h2>
+          <p className="muted">
+            {stats === null
+              ? "See which GIFs get opened and where from."
+              : `${stats.totalHits} hit(s) in the last ${stats.days} day(s).`}
+          </p>
+        </div>
+      </div>
+      {stats ? (
+        <>
+          <div
+            className="stats-dashboard__chart"
+            role="img"
+            aria-label="Hits per day"
+          >
+            {stats.hitsOverTime.map((day) => (
+              <span
+                key={day.date}
+                className="stats-dashboard__bar"
+                style={{ height: `${(day.hits / peak) * 100}%` }}
+                title={`${day.date}: ${day.hits}`}
+              />
+            ))}
+          </div>
+          <div className="stats-dashboard__lists">
+            <HitList
+              title="Top GIFs"
+              rows={stats.topGifs.map((gif) => ({
+                key: gif.slug,
+                label: gif.title || gif.originalName || gif.slug,
+                hits: gif.hits,
+              }))}
+            />
+            <HitList
+              title="Referrers"
+              rows={stats.topReferers.map((referer) => ({
+                key: referer.host,
+                label: referer.host,
+                hits: referer.hits,
+              }))}
+            />
+            <HitList
+              title="Clients"
+              rows={stats.clientTypes.map((client) => ({
+                key: client.type,
+                label: client.type,
+                hits: client.hits,
+              }))}
+            />
+          </div>
+        </>
+      ) : null}
+      <div className="user-manager__actions">
+        <select
+          value={days}
+          onChange={(event) => onDaysChange(Number(event.target.value))}
+          disabled={isLoading}
+          aria-label="Period"
+        >
+          {DAY_OPTIONS.map((option) => (
+            <option key={option} value={option}>
+              Last {option} days
+            </option>
+          ))}
+        </select>
+        <button
+          type="button"
+          className="button-muted"
+          onClick={onLoad}
+          disabled={isLoading}
+        >
+          {isLoading ? "Loading…" : stats ? "Refresh" : "Show statistics"}
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,146 @@
+import { FormEvent, useState } from "react";
+
+export type TwoFactorStatus = {
+  enabled: boolean;
+  recoveryCodesRemaining: number;
+};
+
+export type TwoFactorEnrollment = {
+  secret: string;
+  otpauthUri: string;
+};
+
+type TwoFactorSettingsProps = {
+  status: TwoFactorStatus | null;
+  enrollment: TwoFactorEnrollment | null;
+  recoveryCodes: string[] | null;
+  onStartSetup: () => Promise<boolean>;
+  onConfirmSetup: (code: string) => Promise<boolean>;
+  onCancelSetup: () => void;
+  onDisable: () => Promise<boolean>;
+  onRegenerateCodes: () => Promise<boolean>;
+  onDismissCodes: () => void;
+  isBusy: boolean;
+};
+
+export default function TwoFactorSettings({
+  status,
+  enrollment,
+  recoveryCodes,
+  onStartSetup,
+  onConfirmSetup,
+  onCancelSetup,
+  onDisable,
+  onRegenerateCodes,
+  onDismissCodes,
+  isBusy,
+}: TwoFactorSettingsProps) {
+  const [code, setCode] = useState("");
+
+  const handleConfirm = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const confirmed = await onConfirmSetup(code.trim());
+    if (confirmed) {
+      setCode("");
+    }
+  };
+
+  return (
+    <section className="category-manager two-factor-settings">
+      <div className="category-manager__header">
+        <div>
+          <h2>Two-factor authentication</h2>
+          <p className="muted">
+            {status?.enabled
+              ? `Enabled · ${status.recoveryCodesRemaining} recovery code(s) left`
+              : "Require a code from an authenticator app when signing in."}
+          </p>
+        </div>
+      </div>
+      {recoveryCodes ? (
+        <div className="token-manager__secret">
+          <p className="muted">
+            Store these recovery codes somewhere safe. Each one can be used once
+            if you lose your authenticator. They will not be shown again.
+          </p>
+          <ul className="two-factor-settings__codes">
+            {recoveryCodes.map((recoveryCode) => (
+              <li key={recoveryCode}>
+                <code>{recoveryCode}</code>
+              </li>
+            ))}
+          </ul>
+          <div className="user-manager__actions">
+            <button type="button" onClick={onDismissCodes}>
+              I have saved them
+            </button>
+          </div>
+        </div>
+      ) : null}
+      {enrollment ? (
+        <form className="token-manager__secret" onSubmit={handleConfirm}>
+          <p className="muted">
+            Open this link on your phone or add the key manually in your
+            authenticator app, then enter the code it shows.
+          </p>
+          <a href={enrollment.otpauthUri}>Add to authenticator app</a>
+          <code>{enrollment.secret}</code>
+          <div className="category-form__controls">
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              value={code}
+              onChange={(event) => setCode(event.target.value)}
+              placeholder="6-digit code"
+              aria-label="Verification code"
+              disabled={isBusy}
+              required
+            />
+            <button type="submit" disabled={isBusy}>
+              {isBusy ? "Verifying…" : "Enable"}
+            </button>
+          </div>
+          <div className="user-manager__actions">
+            <button
+              type="button"
+              className="button-muted"
+              onClick={onCancelSetup}
+              disabled={isBusy}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : null}
+      {status && !enrollment ? (
+        <div className="user-manager__actions">
+          {status.enabled ? (
+            <>
+              <button
+                type="button"
+                className="button-muted"
+                onClick={onRegenerateCodes}
+                disabled={isBusy}
+              >
+                New recovery codes
+              </button>
+              <button
+                type="button"
+                className="button-danger"
+                onClick={onDisable}
+                disabled={isBusy}
+              >
+                Disable
+              </button>
+            </>
+          ) : (
+            <button type="button" onClick={onStartSetup} disabled={isBusy}>
+              Set up
+            </button>
+          )}
+        </div>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,166 @@
+import { FormEvent, useState } from "react";
+import type { UserRole } from "../api";
+
+export type UserAccount = {
+  id: number;
+  username: string;
+  role: UserRole;
+  disabled: boolean;
+  totpEnabled?: boolean;
+  createdAt: string;
+};
+
+type UserManagerProps = {
+  users: UserAccount[];
+  currentUsername?: string;
+  onCreateUser: (
+    username: string,
+    password: string,
+    role: UserRole,
+  ) => Promise<boolean>;
+  onUpdateUser: (
+    userId: number,
+    changes: { role?: UserRole; disabled?: boolean },
+  ) => Promise<boolean>;
+  onResetPassword: (userId: number, username: string) => Promise<boolean>;
+  onResetTwoFactor: (userId: number, username: string) => Promise<boolean>;
+  isCreating: boolean;
+  updatingUserId: number | null;
+};
+
+const ROLE_OPTIONS: UserRole[] = ["viewer", "editor", "admin"];
+
+export default function UserManager({
+  users,
+  currentUsername,
+  onCreateUser,
+  onUpdateUser,
+  onResetPassword,
+  onResetTwoFactor,
+  isCreating,
+  updatingUserId,
+}: UserManagerProps) {
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [role, setRole] = useState<UserRole>("viewer");
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    const created = await onCreateUser(username.trim(), password, role);
+    if (created) {
+      setUsername("");
+      setPassword("");
+      setRole("viewer");
+    }
+  };
+
+  return (
+    <section className="category-manager user-manager">
+      <div className="category-manager__header">
+        <h2>Users</h2>
+      </div>
+      <form className="category-form" onSubmit={handleSubmit}>
+        <div className="category-form__controls">
+          <input
+            type="text"
+            value={username}
+            onChange={(event) => setUsername(event.target.value)}
+            placeholder="Username"
+            aria-label="Username"
+            autoComplete="off"
+            disabled={isCreating}
+            required
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(event) => setPassword(event.target.value)}
+            placeholder="Password"
+            aria-label="Password"
+            autoComplete="new-password"
+            disabled={isCreating}
+            required
+          />
+          <select
+            value={role}
+            onChange={(event) => setRole(event.target.value as UserRole)}
+            aria-label="Role"
+            disabled={isCreating}
+          >
+            {ROLE_OPTIONS.map((option) => (
+              <option key={option} value={option}>
+                {option}
+              </option>
+            ))}
+          </select>
+          <button type="submit" disabled={isCreating}>
+            {isCreating ? "Creating…" : "Add user"}
+          </button>
+        </div>
+      </form>
+      <div className="category-list">
+        {users.map((user) => {
+          const isBusy = updatingUserId === user.id;
+          const isSelf = user.username === currentUsername;
+          return (
+            <div key={user.id} className="category-list__item">
+              <div className="category-list__info">
+                <span className="category-list__name">{user.username}</span>
+                <span className="muted category-list__meta">
+                  {user.disabled ? "disabled" : "active"}
+                  {user.totpEnabled ? " · 2FA" : ""}
+                </span>
+              </div>
+              <div className="user-manager__actions">
+                <select
+                  value={user.role}
+                  onChange={(event) =>
+                    onUpdateUser(user.id, {
+                      role: event.target.value as UserRole,
+                    })
+                  }
+                  aria-label={`Role for ${user.username}`}
+                  disabled={isBusy}
+                >
+                  {ROLE_OPTIONS.map((option) => (
+                    <option key={option} value={option}>
+                      {option}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  className="button-muted"
+                  onClick={() => onResetPassword(user.id, user.username)}
+                  disabled={isBusy}
+                >
+                  Reset password
+                </button>
+                {user.totpEnabled ? (
+                  <button
+                    type="button"
+                    className="button-muted"
+                    onClick={() => onResetTwoFactor(user.id, user.username)}
+                    disabled={isBusy}
+                  >
+                    Reset 2FA
+                  </button>
+                ) : null}
+                <button
+                  type="button"
+                  className={user.disabled ? "" : "button-danger"}
+                  onClick={() =>
+                    onUpdateUser(user.id, { disabled: !user.disabled })
+                  }
+                  disabled={isBusy || isSelf}
+                >
+                  {user.disabled ? "Enable" : "Disable"}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
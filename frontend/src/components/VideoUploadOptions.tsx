@@ -0,0 +1,153 @@
+import { FormEvent, useEffect, useMemo, useState } from "react";
+import type { VideoUploadOptions as UploadOptions } from "../api";
+
+export type PendingVideo = {
+  key: string;
+  file: File;
+};
+
+type VideoFields = {
+  trimStart: string;
+  trimEnd: string;
+  width: string;
+};
+
+type VideoUploadOptionsProps = {
+  videos: PendingVideo[];
+  onUpload: (videos: { file: File; options: UploadOptions }[]) => Promise<void>;
+  onCancel: () => void;
+  isUploading: boolean;
+};
+
+const EMPTY_FIELDS: VideoFields = { trimStart: "", trimEnd: "", width: "" };
+
+function toOptions(fields: VideoFields): UploadOptions {
+  const parse = (value: string) =>
+    value.trim() === "" ? undefined : Number(value);
+  return {
+    trimStart: parse(fields.trimStart),
+    trimEnd: parse(fields.trimEnd),
+    width: parse(fields.width),
+  };
+}
+
+export default function VideoUploadOptions({
+  videos,
+  onUpload,
+  onCancel,
+  isUploading,
+}: VideoUploadOptionsProps) {
+  const [fields, setFields] = useState<Record<string, VideoFields>>({});
+  const previews = useMemo(
+    () =>
+      new Map(
+        videos.map((video) => [video.key, URL.createObjectURL(video.file)]),
+      ),
+    [videos],
+  );
+
+  useEffect(
+    () => () => previews.forEach((url) => URL.revokeObjectURL(url)),
+    [previews],
+  );
+
+  const updateField = (key: string, name: keyof VideoFields, value: string) => {
+    setFields((current) => ({
+      ...current,
+      [key]: { ...EMPTY_FIELDS, ...current[key], [name]: value },
+    }));
+  };
+
+  const handleSubmit = async (event: FormEvent<HTMLFormElement>) => {
+    event.preventDefault();
+    await onUpload(
+      videos.map((video) => ({
+        file: video.file,
+        options: toOptions(fields[video.key] ?? EMPTY_FIELDS),
+      })),
+    );
+  };
+
+  return (
+    <form className="video-upload" onSubmit={handleSubmit}>
+      <p className="muted">
+        Videos are converted to animated images. Optionally trim them (in
+        seconds) or limit their width (in pixels).
+      </p>
+      {videos.map((video) => {
+        const values = fields[video.key] ?? EMPTY_FIELDS;
+        return (
+          <div key={video.key} className="video-upload__item">
+            <video
+              src={previews.get(video.key)}
+              className="video-upload__preview"
+              muted
+              loop
+              autoPlay
+              playsInline
+            />
+            <div className="video-upload__fields">
+              <strong className="video-upload__name">{video.file.name}</strong>
+              <label>
+                Start
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  placeholder="0"
+                  value={values.trimStart}
+                  onChange={(event) =>
+                    updateField(video.key, "trimStart", event.target.value)
+                  }
+                  disabled={isUploading}
+                />
+              </label>
+              <label>
+                End
+                <input
+                  type="number"
+                  min="0"
+                  step="0.1"
+                  placeholder="full length"
+                  value={values.trimEnd}
+                  onChange={(event) =>
+                    updateField(video.key, "trimEnd", event.target.value)
+                  }
+                  disabled={isUploading}
+                />
+              </label>
+              <label>
+                Max width
+                <input
+                  type="number"
+                  min="16"
+                  max="4096"
+                  step="1"
+                  placeholder="original"
+                  value={values.width}
+                  onChange={(event) =>
+                    updateField(video.key, "width", event.target.value)
+                  }
+                  disabled={isUploading}
+                />
+              </label>
+            </div>
+          </div>
+        );
+      })}
+      <div className="import-actions">
+        <button type="submit" disabled={isUploading}>
+          {isUploading ? "Uploading…" : `Upload ${videos.length} video(s)`}
+        </button>
+        <button
+          type="button"
+          className="button-muted"
+          onClick={onCancel}
+          disabled={isUploading}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}